@@ -0,0 +1,132 @@
+/**
+ * Achievements for Ping Pong Match Tracker
+ * Unlocks badges from data-defined rules after each recorded match
+ */
+
+const Achievements = {
+  /**
+   * Badge rules, checked in order after every match
+   * Each rule names a condition below; new badges only need a new entry here
+   */
+  rules: [
+    { id: 'first-win', name: 'First Win', description: 'Win a match', condition: 'wins', count: 1 },
+    { id: 'wins-50', name: 'Veteran Winner', description: 'Win 50 matches', condition: 'wins', count: 50 },
+    { id: 'win-streak-5', name: 'On Fire', description: 'Win 5 matches in a row', condition: 'winStreak', count: 5 },
+    { id: 'win-streak-10', name: 'Unstoppable', description: 'Win 10 matches in a row', condition: 'winStreak', count: 10 },
+    { id: 'shutout', name: 'Shutout', description: 'Win a game without conceding a point', condition: 'shutoutGame' },
+    { id: 'giant-killer', name: 'Giant Killer', description: 'Beat the top-ranked player', condition: 'beatTopRanked' },
+    { id: 'comeback', name: 'Comeback', description: 'Win a match after losing the first 2 games', condition: 'comeback', count: 2 },
+    { id: 'matches-100', name: 'Centurion', description: 'Play 100 matches', condition: 'matchesPlayed', count: 100 }
+  ],
+  
+  /**
+   * Conditions a rule can use, each given the player's context and the rule
+   */
+  conditions: {
+    wins: (context, rule) => context.won && context.wins >= rule.count,
+    winStreak: (context, rule) => context.won && context.winStreak >= rule.count,
+    matchesPlayed: (context, rule) => context.matches >= rule.count,
+    shutoutGame: (context) => context.gamesFor.some((points, index) => points > 0 && context.gamesAgainst[index] === 0),
+    beatTopRanked: (context) => context.won && context.opponentIds.includes(context.topRankedId),
+    comeback: (context, rule) => context.won &&
+      context.gamesFor.length > rule.count &&
+      context.gamesFor.slice(0, rule.count).every((points, index) => points < context.gamesAgainst[index])
+  },
+  
+  /**
+   * Get a rule by ID
+   * @param {string} id - Achievement ID
+   * @returns {Object|undefined} - Rule
+   */
+  get(id) {
+    return this.rules.find(rule => rule.id === id);
+  },
+  
+  /**
+   * Build what the rules know about one player after a match
+   * @param {Object} match - Match just recorded
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Matches in the room, including the new one
+   * @param {string|null} topRankedId - ID of the top-ranked player before the match
+   * @returns {Object} - Player context
+   */
+  buildContext(match, playerId, matches, topRankedId) {
+    const side = Stats.getPlayerSide(match, playerId);
+    const otherSide = side === 'player1' ? 'player2' : 'player1';
+    const history = matches
+      .filter(m => Stats.getPlayerSide(m, playerId) !== null)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    // Count back from the latest match while the player kept winning
+    let winStreak = 0;
+    for (let i = history.length - 1; i >= 0 && Stats.isWinner(history[i], playerId); i--) {
+      winStreak++;
+    }
+    
+    const games = match.games || [];
+    
+    return {
+      won: Stats.isWinner(match, playerId),
+      matches: history.length,
+      wins: history.filter(m => Stats.isWinner(m, playerId)).length,
+      winStreak,
+      gamesFor: games.map(game => game[`${side}Score`]),
+      gamesAgainst: games.map(game => game[`${otherSide}Score`]),
+      opponentIds: Stats.getTeam(match, otherSide),
+      topRankedId
+    };
+  },
+  
+  /**
+   * Find the badges a match unlocks
+   * @param {Object} match - Match just recorded
+   * @param {Array} matches - Matches in the room, including the new one
+   * @param {string|null} topRankedId - ID of the top-ranked player before the match
+   * @param {Set} excludedIds - IDs of players who cannot earn badges
+   * @returns {Array} - Unlocked badges as { achievementId, playerId }
+   */
+  evaluate(match, matches, topRankedId, excludedIds = new Set()) {
+    const unlocked = this.getUnlocked(matches);
+    const badges = [];
+    
+    Stats.getMatchPlayerIds(match)
+      .filter(playerId => !excludedIds.has(playerId))
+      .forEach(playerId => {
+        const context = this.buildContext(match, playerId, matches, topRankedId);
+        const earned = new Set((unlocked.get(playerId) || []).map(badge => badge.achievementId));
+        
+        this.rules.forEach(rule => {
+          if (!earned.has(rule.id) && this.conditions[rule.condition](context, rule)) {
+            badges.push({ achievementId: rule.id, playerId });
+          }
+        });
+      });
+    
+    return badges;
+  },
+  
+  /**
+   * Collect the badges stored on matches
+   * @param {Array} matches - Matches in the room
+   * @returns {Map} - Badges by player ID as { achievementId, matchId, date }, earliest first
+   */
+  getUnlocked(matches) {
+    const unlocked = new Map();
+    
+    [...matches]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(match => {
+        (match.achievements || []).forEach(({ achievementId, playerId }) => {
+          const badges = unlocked.get(playerId) || [];
+          
+          // A badge is only earned once, even if merged players both had it
+          if (this.get(achievementId) && !badges.some(badge => badge.achievementId === achievementId)) {
+            badges.push({ achievementId, matchId: match.id, date: match.date });
+            unlocked.set(playerId, badges);
+          }
+        });
+      });
+    
+    return unlocked;
+  }
+};
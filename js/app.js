@@ -15,6 +15,9 @@ const App = {
       // Initialize database
       await DB.init();
       
+      // Empty the trash of items past their retention period
+      await this.purgeExpiredTrash();
+      
       // Initialize UI
       UI.init();
       
@@ -32,6 +35,21 @@ const App = {
     }
   },
   
+  /**
+   * Permanently delete expired items from the trash
+   */
+  async purgeExpiredTrash() {
+    try {
+      const purged = await DB.purgeExpiredTrash();
+      
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired item(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  },
+  
   /**
    * Check if backup reminder is needed
    */
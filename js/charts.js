@@ -0,0 +1,434 @@
+/**
+ * SVG charts for Ping Pong Match Tracker
+ * Draws bar, line and stacked-area charts with axes, tooltips and a data table for screen readers
+ */
+
+const Charts = {
+  // Chart height in pixels; the width follows the container
+  height: 200,
+  
+  // Width used before the container has been laid out
+  defaultWidth: 300,
+  
+  // Space around the plot for the axes
+  margin: { top: 16, right: 16, bottom: 48, left: 40 },
+  
+  // Longest axis label before it is shortened (the tooltip shows it in full)
+  maxLabelLength: 12,
+  
+  // Number of series colors defined in the stylesheet
+  seriesColors: 4,
+  
+  // Redraws charts when their container changes size
+  resizeObserver: null,
+  
+  /**
+   * Draw a bar chart
+   * @param {HTMLElement} container - Element to draw the chart in
+   * @param {Object} spec - { title, data: [{ label, value, tooltip }], integer }
+   */
+  bar(container, spec) {
+    this.render(container, { ...spec, type: 'bar' });
+  },
+  
+  /**
+   * Draw a line chart
+   * @param {HTMLElement} container - Element to draw the chart in
+   * @param {Object} spec - { title, xLabel, series: [{ name, points: [{ x, y, tooltip }] }], integer }
+   */
+  line(container, spec) {
+    this.render(container, { ...spec, type: 'line' });
+  },
+  
+  /**
+   * Draw a stacked-area chart
+   * @param {HTMLElement} container - Element to draw the chart in
+   * @param {Object} spec - { title, labels: [string], series: [{ name, values: [number] }], integer }
+   */
+  stackedArea(container, spec) {
+    this.render(container, { ...spec, type: 'stackedArea' });
+  },
+  
+  /**
+   * Draw a chart and keep it sized to its container
+   * @param {HTMLElement} container - Element to draw the chart in
+   * @param {Object} spec - Chart type and data
+   */
+  render(container, spec) {
+    container.chartSpec = spec;
+    this.draw(container);
+    
+    if (!this.resizeObserver && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(entries => {
+        entries.forEach(entry => {
+          // Only redraw when the width changed, since drawing does not change it
+          if (entry.target.chartSpec && Math.round(entry.contentRect.width) !== entry.target.chartWidth) {
+            this.draw(entry.target);
+          }
+        });
+      });
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.observe(container);
+    }
+  },
+  
+  /**
+   * Draw a container's chart at its current width
+   * @param {HTMLElement} container - Element holding a chart spec
+   */
+  draw(container) {
+    const spec = container.chartSpec;
+    const width = Math.round(container.clientWidth) || this.defaultWidth;
+    container.chartWidth = width;
+    
+    if (!this.hasData(spec)) {
+      container.innerHTML = '<p class="empty-chart">No data available</p>';
+      return;
+    }
+    
+    const drawers = {
+      bar: () => this.drawBars(spec, width),
+      line: () => this.drawLines(spec, width),
+      stackedArea: () => this.drawStackedArea(spec, width)
+    };
+    
+    container.innerHTML = `
+      <svg class="chart-svg" width="${width}" height="${this.height}" viewBox="0 0 ${width} ${this.height}"
+        role="img" aria-label="${this.escape(spec.title)}">
+        ${drawers[spec.type]()}
+      </svg>
+      ${this.renderLegend(spec)}
+      <div class="chart-tooltip hidden" aria-hidden="true"></div>
+      ${this.renderTable(spec)}
+    `;
+    
+    this.attachTooltips(container);
+  },
+  
+  /**
+   * Check whether a chart has anything to draw
+   * @param {Object} spec - Chart spec
+   * @returns {boolean} - True if there is at least one value
+   */
+  hasData(spec) {
+    if (spec.type === 'bar') return spec.data.length > 0;
+    if (spec.type === 'line') return spec.series.some(series => series.points.length > 1);
+    return spec.labels.length > 0 && spec.series.length > 0;
+  },
+  
+  /**
+   * Draw the bars of a bar chart
+   * @param {Object} spec - Bar chart spec
+   * @param {number} width - Chart width
+   * @returns {string} - SVG markup
+   */
+  drawBars(spec, width) {
+    const plot = this.getPlot(width);
+    const yTicks = this.getTicks(0, Math.max(...spec.data.map(item => item.value)), spec.integer);
+    const yScale = this.createScale(yTicks[0], yTicks[yTicks.length - 1], plot.bottom, plot.top);
+    const band = (plot.right - plot.left) / spec.data.length;
+    const barWidth = Math.max(band * 0.7, 1);
+    
+    const bars = spec.data.map((item, index) => {
+      const x = plot.left + band * index + (band - barWidth) / 2;
+      const y = yScale(item.value);
+      const tooltip = item.tooltip || `${item.label}: ${item.value}`;
+      return `<rect class="chart-bar chart-mark" x="${x.toFixed(1)}" y="${y.toFixed(1)}"
+        width="${barWidth.toFixed(1)}" height="${Math.max(plot.bottom - y, 0).toFixed(1)}"
+        tabindex="0" data-tooltip="${this.escape(tooltip)}"></rect>`;
+    });
+    
+    const xLabels = spec.data.map((item, index) => ({
+      position: plot.left + band * (index + 0.5),
+      text: item.label
+    }));
+    
+    return this.drawYAxis(yTicks, yScale, plot) + this.drawXAxis(xLabels, plot, band) + bars.join('');
+  },
+  
+  /**
+   * Draw the lines of a line chart
+   * @param {Object} spec - Line chart spec
+   * @param {number} width - Chart width
+   * @returns {string} - SVG markup
+   */
+  drawLines(spec, width) {
+    const plot = this.getPlot(width);
+    const points = spec.series.flatMap(series => series.points);
+    const xValues = points.map(point => point.x);
+    const yValues = points.map(point => point.y);
+    const yTicks = this.getTicks(Math.min(...yValues), Math.max(...yValues), spec.integer);
+    const xTicks = this.getTicks(Math.min(...xValues), Math.max(...xValues), true);
+    const xScale = this.createScale(xTicks[0], xTicks[xTicks.length - 1], plot.left, plot.right);
+    const yScale = this.createScale(yTicks[0], yTicks[yTicks.length - 1], plot.bottom, plot.top);
+    
+    const lines = spec.series.map((series, seriesIndex) => {
+      const colorClass = `chart-series-${seriesIndex % this.seriesColors}`;
+      const path = series.points.map(point => `${xScale(point.x).toFixed(1)},${yScale(point.y).toFixed(1)}`).join(' ');
+      const markers = series.points.map(point => {
+        const tooltip = point.tooltip || `${series.name}: ${point.y}`;
+        return `<circle class="chart-point chart-mark ${colorClass}" cx="${xScale(point.x).toFixed(1)}"
+          cy="${yScale(point.y).toFixed(1)}" r="3" tabindex="0" data-tooltip="${this.escape(tooltip)}"></circle>`;
+      });
+      return `<polyline class="chart-line ${colorClass}" points="${path}"></polyline>${markers.join('')}`;
+    });
+    
+    const xLabels = xTicks.map(tick => ({ position: xScale(tick), text: String(tick) }));
+    
+    return this.drawYAxis(yTicks, yScale, plot) +
+      this.drawXAxis(xLabels, plot, null, spec.xLabel) +
+      lines.join('');
+  },
+  
+  /**
+   * Draw the layers of a stacked-area chart
+   * @param {Object} spec - Stacked-area chart spec
+   * @param {number} width - Chart width
+   * @returns {string} - SVG markup
+   */
+  drawStackedArea(spec, width) {
+    const plot = this.getPlot(width);
+    const totals = spec.labels.map((label, index) => spec.series.reduce((sum, series) => sum + series.values[index], 0));
+    const yTicks = this.getTicks(0, Math.max(...totals), spec.integer);
+    const yScale = this.createScale(yTicks[0], yTicks[yTicks.length - 1], plot.bottom, plot.top);
+    const step = spec.labels.length > 1 ? (plot.right - plot.left) / (spec.labels.length - 1) : 0;
+    const xPosition = index => spec.labels.length > 1 ? plot.left + step * index : (plot.left + plot.right) / 2;
+    
+    // Each layer sits on the running total of the layers below it
+    const baseline = spec.labels.map(() => 0);
+    const areas = spec.series.map((series, seriesIndex) => {
+      const lower = [...baseline];
+      series.values.forEach((value, index) => {
+        baseline[index] += value;
+      });
+      
+      const top = baseline.map((value, index) => `${xPosition(index).toFixed(1)},${yScale(value).toFixed(1)}`);
+      const bottom = lower.map((value, index) => `${xPosition(index).toFixed(1)},${yScale(value).toFixed(1)}`).reverse();
+      return `<polygon class="chart-area chart-series-${seriesIndex % this.seriesColors}"
+        points="${[...top, ...bottom].join(' ')}"></polygon>`;
+    });
+    
+    // Invisible columns carry the tooltip for every layer at one label
+    const columnWidth = step || plot.right - plot.left;
+    const columns = spec.labels.map((label, index) => {
+      const values = spec.series.map(series => `${series.name}: ${series.values[index]}`).join(', ');
+      return `<rect class="chart-column chart-mark" x="${(xPosition(index) - columnWidth / 2).toFixed(1)}" y="${plot.top}"
+        width="${columnWidth.toFixed(1)}" height="${plot.bottom - plot.top}" tabindex="0"
+        data-tooltip="${this.escape(`${label} - ${values}`)}"></rect>`;
+    });
+    
+    const xLabels = spec.labels.map((label, index) => ({ position: xPosition(index), text: label }));
+    
+    return this.drawYAxis(yTicks, yScale, plot) + this.drawXAxis(xLabels, plot, columnWidth) + areas.join('') + columns.join('');
+  },
+  
+  /**
+   * Get the plot area inside the axes
+   * @param {number} width - Chart width
+   * @returns {Object} - Plot edges as { left, right, top, bottom }
+   */
+  getPlot(width) {
+    return {
+      left: this.margin.left,
+      right: width - this.margin.right,
+      top: this.margin.top,
+      bottom: this.height - this.margin.bottom
+    };
+  },
+  
+  /**
+   * Create a linear scale
+   * @param {number} domainMin - Lowest value
+   * @param {number} domainMax - Highest value
+   * @param {number} rangeMin - Position of the lowest value
+   * @param {number} rangeMax - Position of the highest value
+   * @returns {Function} - Maps a value to a position
+   */
+  createScale(domainMin, domainMax, rangeMin, rangeMax) {
+    const span = domainMax - domainMin || 1;
+    return value => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin);
+  },
+  
+  /**
+   * Pick evenly spaced round axis ticks covering a range
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @param {boolean} integer - Whether ticks must be whole numbers
+   * @param {number} count - Rough number of ticks wanted
+   * @returns {Array} - Tick values, lowest first
+   */
+  getTicks(min, max, integer = false, count = 5) {
+    // A flat series still needs a range to be drawn against
+    if (min === max) {
+      const padding = integer ? 1 : 0.5;
+      if (min === 0) {
+        max = padding;
+      } else {
+        min -= padding;
+        max += padding;
+      }
+    }
+    
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+    let step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+    if (integer) step = Math.max(Math.round(step), 1);
+    
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= Math.ceil(max / step) * step + step / 2; tick += step) {
+      ticks.push(Math.round(tick * 1000) / 1000);
+    }
+    
+    return ticks;
+  },
+  
+  /**
+   * Draw the vertical axis with grid lines
+   * @param {Array} ticks - Tick values
+   * @param {Function} yScale - Maps a value to a position
+   * @param {Object} plot - Plot edges
+   * @returns {string} - SVG markup
+   */
+  drawYAxis(ticks, yScale, plot) {
+    return ticks.map(tick => {
+      const y = yScale(tick).toFixed(1);
+      return `<line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${y}" y2="${y}"></line>
+        <text class="chart-axis-label" x="${plot.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${tick}</text>`;
+    }).join('') + `<line class="chart-axis" x1="${plot.left}" x2="${plot.left}" y1="${plot.top}" y2="${plot.bottom}"></line>`;
+  },
+  
+  /**
+   * Draw the horizontal axis
+   * Labels are tilted when they would not fit side by side, and long ones are shortened
+   * @param {Array} labels - Labels as { position, text }
+   * @param {Object} plot - Plot edges
+   * @param {number|null} band - Width available to each label, or null for numeric ticks
+   * @param {string} title - Optional axis title
+   * @returns {string} - SVG markup
+   */
+  drawXAxis(labels, plot, band, title) {
+    const longest = Math.max(...labels.map(label => Math.min(label.text.length, this.maxLabelLength)));
+    const tilted = band !== null && longest * 6 > band;
+    // Skip labels when even tilted ones would overlap
+    const every = tilted ? Math.ceil(14 / band) : 1;
+    
+    const texts = labels.map((label, index) => {
+      if (index % every !== 0) return '';
+      
+      const text = this.escape(this.shorten(label.text));
+      const y = plot.bottom + 14;
+      return tilted
+        ? `<text class="chart-axis-label" x="${label.position.toFixed(1)}" y="${y}" text-anchor="end"
+            transform="rotate(-40 ${label.position.toFixed(1)} ${y})">${text}</text>`
+        : `<text class="chart-axis-label" x="${label.position.toFixed(1)}" y="${y}" text-anchor="middle">${text}</text>`;
+    });
+    
+    const axisTitle = title
+      ? `<text class="chart-axis-title" x="${(plot.left + plot.right) / 2}" y="${this.height - 4}" text-anchor="middle">${this.escape(title)}</text>`
+      : '';
+    
+    return `<line class="chart-axis" x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}"></line>` +
+      texts.join('') + axisTitle;
+  },
+  
+  /**
+   * Build the legend of a chart with several series
+   * @param {Object} spec - Chart spec
+   * @returns {string} - Legend markup, empty for single-series charts
+   */
+  renderLegend(spec) {
+    if (spec.type === 'bar' || spec.series.length < 2) return '';
+    
+    const items = spec.series.map((series, index) => `
+      <span class="chart-legend-item">
+        <span class="chart-swatch chart-series-${index % this.seriesColors}"></span>${this.escape(series.name)}
+      </span>
+    `);
+    
+    return `<div class="chart-legend" aria-hidden="true">${items.join('')}</div>`;
+  },
+  
+  /**
+   * Build the data table read out by screen readers in place of the chart
+   * @param {Object} spec - Chart spec
+   * @returns {string} - Table markup
+   */
+  renderTable(spec) {
+    let head;
+    let rows;
+    
+    if (spec.type === 'bar') {
+      head = `<th>Label</th><th>${this.escape(spec.valueLabel || 'Value')}</th>`;
+      rows = spec.data.map(item => `<tr><td>${this.escape(item.label)}</td><td>${item.value}</td></tr>`);
+    } else if (spec.type === 'line') {
+      head = `<th>Series</th><th>${this.escape(spec.xLabel || 'X')}</th><th>Value</th>`;
+      rows = spec.series.flatMap(series => series.points.map(point =>
+        `<tr><td>${this.escape(series.name)}</td><td>${point.x}</td><td>${point.y}</td></tr>`
+      ));
+    } else {
+      head = `<th>Label</th>${spec.series.map(series => `<th>${this.escape(series.name)}</th>`).join('')}`;
+      rows = spec.labels.map((label, index) =>
+        `<tr><td>${this.escape(label)}</td>${spec.series.map(series => `<td>${series.values[index]}</td>`).join('')}</tr>`
+      );
+    }
+    
+    return `
+      <table class="chart-data visually-hidden">
+        <caption>${this.escape(spec.title)}</caption>
+        <thead><tr>${head}</tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+  },
+  
+  /**
+   * Show a mark's tooltip while it is hovered or focused
+   * @param {HTMLElement} container - Chart container
+   */
+  attachTooltips(container) {
+    const tooltip = container.querySelector('.chart-tooltip');
+    
+    const show = event => {
+      const mark = event.target.closest('.chart-mark');
+      if (!mark) return;
+      
+      const markBox = mark.getBoundingClientRect();
+      const containerBox = container.getBoundingClientRect();
+      tooltip.textContent = mark.dataset.tooltip;
+      tooltip.style.left = `${markBox.left - containerBox.left + markBox.width / 2}px`;
+      tooltip.style.top = `${markBox.top - containerBox.top}px`;
+      tooltip.classList.remove('hidden');
+    };
+    const hide = () => tooltip.classList.add('hidden');
+    
+    const svg = container.querySelector('svg');
+    svg.addEventListener('mouseover', show);
+    svg.addEventListener('focusin', show);
+    svg.addEventListener('mouseout', hide);
+    svg.addEventListener('focusout', hide);
+  },
+  
+  /**
+   * Shorten a label to fit under the axis
+   * @param {string} text - Label
+   * @returns {string} - Label of at most maxLabelLength characters
+   */
+  shorten(text) {
+    return text.length > this.maxLabelLength ? `${text.slice(0, this.maxLabelLength - 1)}…` : text;
+  },
+  
+  /**
+   * Escape text for use in markup
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+};
@@ -6,15 +6,33 @@
 const DB = {
   // Database configuration
   name: 'PingPongTrackerDB',
-  version: 1,
+  version: 7,
   db: null,
   
+  // Number of games in a match when a room has not chosen a format
+  defaultMatchFormat: 3,
+  
+  // Days deleted rooms, players and matches stay in the trash when no retention is set
+  defaultTrashRetentionDays: 30,
+  trashRetentionKey: 'trashRetentionDays',
+  
+  // Name of the placeholder that keeps the matches of permanently deleted players
+  formerPlayerName: 'Former player',
+  
+  // Match fields that can be corrected after saving
+  editableMatchFields: ['player1Id', 'player1PartnerId', 'player2Id', 'player2PartnerId', 'games', 'date', 'notes'],
+  
   // Object store names
   stores: {
     rooms: 'rooms',
     players: 'players',
     matches: 'matches',
-    settings: 'settings'
+    settings: 'settings',
+    tournaments: 'tournaments',
+    leagues: 'leagues',
+    ladders: 'ladders',
+    people: 'people',
+    seasons: 'seasons'
   },
   
   /**
@@ -36,6 +54,7 @@ const DB = {
       // Create object stores if needed
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const upgradeTransaction = event.target.transaction;
         
         // Create rooms store
         if (!db.objectStoreNames.contains(this.stores.rooms)) {
@@ -61,17 +80,73 @@ const DB = {
           matchesStore.createIndex('date', 'date', { unique: false });
         }
         
+        // Version 2: index every participant so doubles partners can find their matches
+        const matchesStore = upgradeTransaction.objectStore(this.stores.matches);
+        if (!matchesStore.indexNames.contains('participantIds')) {
+          matchesStore.createIndex('participantIds', 'participantIds', { unique: false, multiEntry: true });
+          
+          matchesStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (cursor) {
+              cursor.update({ ...cursor.value, participantIds: Stats.getMatchPlayerIds(cursor.value) });
+              cursor.continue();
+            }
+          };
+        }
+        
         // Create settings store
         if (!db.objectStoreNames.contains(this.stores.settings)) {
           db.createObjectStore(this.stores.settings, { keyPath: 'id' });
         }
+        
+        // Create tournaments store
+        if (!db.objectStoreNames.contains(this.stores.tournaments)) {
+          const tournamentsStore = db.createObjectStore(this.stores.tournaments, { keyPath: 'id' });
+          tournamentsStore.createIndex('roomId', 'roomId', { unique: false });
+        }
+        
+        // Create leagues store
+        if (!db.objectStoreNames.contains(this.stores.leagues)) {
+          const leaguesStore = db.createObjectStore(this.stores.leagues, { keyPath: 'id' });
+          leaguesStore.createIndex('roomId', 'roomId', { unique: false });
+        }
+        
+        // Create ladders store (one ladder per room)
+        if (!db.objectStoreNames.contains(this.stores.ladders)) {
+          db.createObjectStore(this.stores.ladders, { keyPath: 'roomId' });
+        }
+        
+        // Create people store for profiles shared across rooms
+        if (!db.objectStoreNames.contains(this.stores.people)) {
+          const peopleStore = db.createObjectStore(this.stores.people, { keyPath: 'id' });
+          peopleStore.createIndex('name', 'name', { unique: false });
+        }
+        
+        // Version 6: find the room players linked to a person
+        const playersStore = upgradeTransaction.objectStore(this.stores.players);
+        if (!playersStore.indexNames.contains('personId')) {
+          playersStore.createIndex('personId', 'personId', { unique: false });
+        }
+        
+        // Create seasons store
+        if (!db.objectStoreNames.contains(this.stores.seasons)) {
+          const seasonsStore = db.createObjectStore(this.stores.seasons, { keyPath: 'id' });
+          seasonsStore.createIndex('roomId', 'roomId', { unique: false });
+        }
       };
       
       // Handle success
       request.onsuccess = (event) => {
         this.db = event.target.result;
-        UI.hideLoading();
-        resolve(this.db);
+        
+        // Matches saved before ratings were stored on them get theirs on first load
+        this.replayMissingRatings().then(() => {
+          UI.hideLoading();
+          resolve(this.db);
+        }, (error) => {
+          UI.hideLoading();
+          reject(error);
+        });
       };
       
       // Handle error
@@ -84,6 +159,31 @@ const DB = {
     });
   },
   
+  /**
+   * Replay the ratings of every room with matches that have no stored rating
+   * @returns {Promise} - Resolves when every match has its rating change
+   */
+  async replayMissingRatings() {
+    const matches = await new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.matches);
+      const request = store.getAll();
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting matches:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+    
+    const roomIds = new Set(matches.filter(match => !match.deletedAt && match.rating === undefined).map(match => match.roomId));
+    for (const roomId of roomIds) {
+      await this.updateMatchRatings(roomId);
+    }
+  },
+  
   /**
    * Get a transaction and object store
    * @param {string} storeName - Name of the object store
@@ -134,6 +234,8 @@ const DB = {
       id: this.generateId(),
       name: roomData.name,
       description: roomData.description || '',
+      ratingSystem: roomData.ratingSystem || RatingSystems.defaultSystem,
+      matchFormat: roomData.matchFormat || this.defaultMatchFormat,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -156,9 +258,10 @@ const DB = {
   
   /**
    * Get all rooms
+   * @param {boolean} includeTrashed - Whether to include rooms in the trash
    * @returns {Promise} - Resolves with an array of rooms
    */
-  async getAllRooms() {
+  async getAllRooms(includeTrashed = false) {
     await this.init();
     
     return new Promise((resolve, reject) => {
@@ -166,7 +269,7 @@ const DB = {
       const request = store.getAll();
       
       request.onsuccess = () => {
-        resolve(request.result);
+        resolve(includeTrashed ? request.result : request.result.filter(room => !room.deletedAt));
       };
       
       request.onerror = (event) => {
@@ -247,13 +350,48 @@ const DB = {
   },
   
   /**
-   * Delete a room and all associated data
+   * Move a room to the trash
+   * Its players, matches and events stay in place so restoring brings the whole room back
    * @param {string} id - Room ID
-   * @returns {Promise} - Resolves when room is deleted
+   * @returns {Promise} - Resolves when room is in the trash
    */
   async deleteRoom(id) {
     await this.init();
     
+    const room = await this.getRoom(id);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    
+    await this.putRecords(this.stores.rooms, [{ ...room, deletedAt: new Date().toISOString() }]);
+  },
+  
+  /**
+   * Restore a room from the trash
+   * @param {string} id - Room ID
+   * @returns {Promise} - Resolves with the restored room
+   */
+  async restoreRoom(id) {
+    await this.init();
+    
+    const room = await this.getRoom(id);
+    if (!room || !room.deletedAt) {
+      throw new Error('Room is not in the trash');
+    }
+    
+    const restoredRoom = this.removeTrashFields(room);
+    await this.putRecords(this.stores.rooms, [restoredRoom]);
+    return restoredRoom;
+  },
+  
+  /**
+   * Permanently delete a room and all associated data
+   * @param {string} id - Room ID
+   * @returns {Promise} - Resolves when room is deleted
+   */
+  async purgeRoom(id) {
+    await this.init();
+    
     // Delete room
     const deleteRoom = new Promise((resolve, reject) => {
       const { store } = this.getStore(this.stores.rooms, 'readwrite');
@@ -275,8 +413,32 @@ const DB = {
     // Delete all matches in the room
     const deleteMatches = this.deleteAllMatchesInRoom(id);
     
+    // Delete all tournaments in the room
+    const deleteTournaments = this.getTournamentsInRoom(id).then(tournaments => 
+      Promise.all(tournaments.map(tournament => this.deleteTournament(tournament.id)))
+    );
+    
+    // Delete all leagues in the room
+    const deleteLeagues = this.getLeaguesInRoom(id).then(leagues => 
+      Promise.all(leagues.map(league => this.deleteLeague(league.id)))
+    );
+    
+    // Delete the room's ladder
+    const deleteLadder = this.deleteLadder(id);
+    
+    // Delete all seasons in the room
+    const deleteSeasons = this.getSeasonsInRoom(id).then(seasons => 
+      Promise.all(seasons.map(season => this.deleteSeason(season.id)))
+    );
+    
+    // Delete the room's king of the table queue and live match
+    const deleteSettings = Promise.all([
+      this.deleteSetting(KingOfTable.getSettingKey(id)),
+      this.deleteSetting(LiveMatch.getSettingKey(id))
+    ]);
+    
     // Wait for all operations to complete
-    return Promise.all([deleteRoom, deletePlayers, deleteMatches]);
+    return Promise.all([deleteRoom, deletePlayers, deleteMatches, deleteTournaments, deleteLeagues, deleteLadder, deleteSeasons, deleteSettings]);
   },
   
   /**
@@ -335,9 +497,10 @@ const DB = {
   /**
    * Get all players in a room
    * @param {string} roomId - Room ID
+   * @param {boolean} includeTrashed - Whether to include players in the trash
    * @returns {Promise} - Resolves with an array of players
    */
-  async getPlayersInRoom(roomId) {
+  async getPlayersInRoom(roomId, includeTrashed = false) {
     await this.init();
     
     return new Promise((resolve, reject) => {
@@ -346,7 +509,7 @@ const DB = {
       const request = index.getAll(roomId);
       
       request.onsuccess = () => {
-        resolve(request.result);
+        resolve(includeTrashed ? request.result : request.result.filter(player => !player.deletedAt));
       };
       
       request.onerror = (event) => {
@@ -427,26 +590,355 @@ const DB = {
   },
   
   /**
-   * Delete a player
+   * Archive or reactivate a player
+   * Archived players keep their name and record but can no longer be picked for new matches
    * @param {string} id - Player ID
-   * @returns {Promise} - Resolves when player is deleted
+   * @param {boolean} archived - Whether the player is archived
+   * @returns {Promise} - Resolves with the updated player
+   */
+  async setPlayerArchived(id, archived) {
+    return this.updatePlayer({
+      id,
+      archived,
+      archivedAt: archived ? new Date().toISOString() : null
+    });
+  },
+  
+  /**
+   * Get a room's "Former player" placeholder, creating it if needed
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves with the placeholder player
+   */
+  async getFormerPlayer(roomId) {
+    const players = await this.getPlayersInRoom(roomId);
+    const formerPlayer = players.find(player => player.placeholder);
+    if (formerPlayer) {
+      return formerPlayer;
+    }
+    
+    const placeholder = await this.createPlayer({ roomId, name: this.formerPlayerName });
+    return this.updatePlayer({ id: placeholder.id, placeholder: true, archived: true });
+  },
+  
+  /**
+   * Move a player to the trash, along with every match they played
+   * @param {string} id - Player ID
+   * @returns {Promise} - Resolves when player is in the trash
    */
   async deletePlayer(id) {
     await this.init();
     
-    return new Promise((resolve, reject) => {
-      const { store } = this.getStore(this.stores.players, 'readwrite');
-      const request = store.delete(id);
+    const player = await this.getPlayer(id);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    
+    // Unfinished events need every player they were drawn with
+    const event = await this.findUnfinishedEvent(player.roomId, id);
+    if (event) {
+      throw new Error(`${player.name} is in "${event.name}"; finish or delete it before deleting the player`);
+    }
+    
+    // Matches remember who they were trashed with so restoring the player brings them back
+    const deletedAt = new Date().toISOString();
+    const matches = await this.getPlayerMatches(id);
+    const tournaments = await this.removeTournamentResults(matches);
+    
+    await this.putRecords(this.stores.matches, matches.map(match => ({ ...match, deletedAt, deletedWith: id })));
+    
+    await this.updateMatchRatings(player.roomId);
+    await this.clearLeagueResults(matches);
+    await this.clearLadderResults(player.roomId, matches);
+    for (const tournament of tournaments) {
+      await this.updateTournament(tournament);
+    }
+    
+    // The player leaves the ladder and the table, remembering their rung for a restore
+    const trashedPlayer = { ...player, deletedAt };
+    const ladder = await this.getLadder(player.roomId);
+    if (ladder && ladder.playerIds.includes(id)) {
+      trashedPlayer.ladderRung = ladder.playerIds.indexOf(id);
+      await this.saveLadder(Ladder.removePlayer(ladder, id));
+    }
+    
+    const queueKey = KingOfTable.getSettingKey(player.roomId);
+    const queue = await this.getSetting(queueKey);
+    if (queue) {
+      await this.saveSetting(queueKey, KingOfTable.leave(queue, id));
+    }
+    
+    await this.putRecords(this.stores.players, [trashedPlayer]);
+  },
+  
+  /**
+   * Find an unfinished tournament or league a player was drawn into
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - Player ID
+   * @returns {Promise} - Resolves with the event, or undefined if there is none
+   */
+  async findUnfinishedEvent(roomId, playerId) {
+    const events = [...await this.getTournamentsInRoom(roomId), ...await this.getLeaguesInRoom(roomId)];
+    return events.find(event => event.status !== 'completed' && event.playerIds.includes(playerId));
+  },
+  
+  /**
+   * Restore a player from the trash, along with the matches trashed with them
+   * @param {string} id - Player ID
+   * @returns {Promise} - Resolves with the restored player
+   */
+  async restorePlayer(id) {
+    await this.init();
+    
+    const player = await this.getPlayer(id);
+    if (!player || !player.deletedAt) {
+      throw new Error('Player is not in the trash');
+    }
+    
+    const { ladderRung, ...restoredPlayer } = this.removeTrashFields(player);
+    await this.putRecords(this.stores.players, [restoredPlayer]);
+    
+    // Back on the ladder at the rung they left
+    const ladder = ladderRung !== undefined ? await this.getLadder(player.roomId) : null;
+    if (ladder) {
+      await this.saveLadder(Ladder.insertPlayer(ladder, id, ladderRung));
+    }
+    
+    // A match stays in the trash while another of its players is still there
+    const trashedPlayerIds = (await this.getPlayersInRoom(player.roomId, true))
+      .filter(roomPlayer => roomPlayer.deletedAt)
+      .map(roomPlayer => roomPlayer.id);
+    const trashedMatches = (await this.getPlayerMatches(id, true))
+      .filter(match => match.deletedWith === id)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    const matches = [];
+    for (const match of trashedMatches) {
+      const trashedPlayerId = match.participantIds.find(playerId => trashedPlayerIds.includes(playerId));
+      matches.push(trashedPlayerId
+        ? { ...match, deletedWith: trashedPlayerId }
+        : await this.restoreEventResults(this.removeTrashFields(match)));
+    }
+    
+    await this.putRecords(this.stores.matches, matches);
+    await this.updateMatchRatings(player.roomId);
+    
+    return restoredPlayer;
+  },
+  
+  /**
+   * Permanently delete a player
+   * Their matches are either deleted with them or kept under the room's "Former player",
+   * who also takes their place in tournaments and leagues; they leave the ladder and the table
+   * @param {string} id - Player ID
+   * @param {boolean} reassignMatches - Whether to keep the matches under the placeholder
+   * @returns {Promise} - Resolves when player is deleted
+   */
+  async purgePlayer(id, reassignMatches = false) {
+    await this.init();
+    
+    const player = await this.getPlayer(id);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    
+    const matches = await this.getPlayerMatches(id, true);
+    const tournaments = (await this.getTournamentsInRoom(player.roomId)).filter(tournament => tournament.playerIds.includes(id));
+    const leagues = (await this.getLeaguesInRoom(player.roomId)).filter(league => league.playerIds.includes(id));
+    const formerPlayer = reassignMatches || tournaments.length || leagues.length
+      ? await this.getFormerPlayer(player.roomId)
+      : null;
+    
+    // Events keep their draw, with the "Former player" standing in
+    for (const tournament of tournaments) {
+      await this.updateTournament(Tournaments.replacePlayer(tournament, id, formerPlayer.id));
+    }
+    for (const league of leagues) {
+      await this.updateLeague(Leagues.replacePlayer(league, id, formerPlayer.id));
+    }
+    
+    const ladder = await this.getLadder(player.roomId);
+    if (ladder && ladder.playerIds.includes(id)) {
+      await this.saveLadder(Ladder.removePlayer(ladder, id));
+    }
+    
+    const queueKey = KingOfTable.getSettingKey(player.roomId);
+    const queue = await this.getSetting(queueKey);
+    if (queue) {
+      await this.saveSetting(queueKey, KingOfTable.leave(queue, id));
+    }
+    
+    if (reassignMatches) {
+      const reassigned = matches.map(match => {
+        const updatedMatch = this.reassignMatchPlayer(match, id, formerPlayer.id);
+        
+        // Matches trashed with the player return to the history; their event results were already taken back
+        if (match.deletedWith !== id) {
+          return updatedMatch;
+        }
+        const { leagueId, fixtureId, tournamentId, bracketMatchId, ladderChallengeId, ...unlinkedMatch } = this.removeTrashFields(updatedMatch);
+        return unlinkedMatch;
+      });
       
-      request.onsuccess = () => {
+      await this.putRecords(this.stores.matches, reassigned);
+    } else {
+      await this.deleteRecords(this.stores.matches, matches.map(match => match.id));
+    }
+    
+    await this.deleteRecords(this.stores.players, [id]);
+    await this.updateMatchRatings(player.roomId);
+  },
+  
+  /**
+   * Preview merging one player into another
+   * @param {string} sourceId - ID of the duplicate player to remove
+   * @param {string} targetId - ID of the player to keep
+   * @returns {Promise} - Resolves with { matchCount, reviewCount }
+   */
+  async getMergePreview(sourceId, targetId) {
+    await this.init();
+    
+    const matches = (await this.getPlayerMatches(sourceId)).map(match => this.reassignMatchPlayer(match, sourceId, targetId));
+    
+    return {
+      matchCount: matches.length,
+      reviewCount: matches.filter(match => match.needsReview).length
+    };
+  },
+  
+  /**
+   * Merge a duplicate player into another, moving every match and event entry in one transaction
+   * Matches where the two played each other end up against the same player and are flagged for review
+   * @param {string} sourceId - ID of the duplicate player to remove
+   * @param {string} targetId - ID of the player to keep
+   * @returns {Promise} - Resolves with { matchCount, reviewCount }
+   */
+  async mergePlayers(sourceId, targetId) {
+    await this.init();
+    
+    if (sourceId === targetId) {
+      throw new Error('Please choose two different players');
+    }
+    
+    const source = await this.getPlayer(sourceId);
+    const target = await this.getPlayer(targetId);
+    if (!source || !target || source.roomId !== target.roomId) {
+      throw new Error('Both players must be in the same room');
+    }
+    if (source.placeholder || target.placeholder) {
+      throw new Error(`The "${this.formerPlayerName}" placeholder cannot be merged`);
+    }
+    
+    // An unfinished event cannot hold the same player twice
+    const tournaments = (await this.getTournamentsInRoom(source.roomId)).filter(tournament => tournament.playerIds.includes(sourceId));
+    const leagues = (await this.getLeaguesInRoom(source.roomId)).filter(league => league.playerIds.includes(sourceId));
+    const sharedEvent = [...tournaments, ...leagues].find(event =>
+      event.status !== 'completed' && event.playerIds.includes(targetId)
+    );
+    if (sharedEvent) {
+      throw new Error(`Both players are in "${sharedEvent.name}"; finish or delete it before merging`);
+    }
+    
+    // Trashed matches move too, so restoring them later does not bring back the duplicate
+    const matches = (await this.getPlayerMatches(sourceId, true)).map(match => this.reassignMatchPlayer(match, sourceId, targetId));
+    
+    const ladder = await this.getLadder(source.roomId);
+    const updatedLadder = ladder ? Ladder.replacePlayer(ladder, sourceId, targetId) : null;
+    const queueKey = KingOfTable.getSettingKey(source.roomId);
+    const queue = await this.getSetting(queueKey);
+    
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        this.stores.matches,
+        this.stores.players,
+        this.stores.tournaments,
+        this.stores.leagues,
+        this.stores.ladders,
+        this.stores.settings
+      ], 'readwrite');
+      const matchesStore = transaction.objectStore(this.stores.matches);
+      const updatedAt = new Date().toISOString();
+      
+      matches.forEach(match => {
+        matchesStore.put(match);
+      });
+      
+      // Brackets, fixtures, rungs and the table queue follow the kept player
+      const tournamentsStore = transaction.objectStore(this.stores.tournaments);
+      tournaments.forEach(tournament => {
+        tournamentsStore.put({ ...Tournaments.replacePlayer(tournament, sourceId, targetId), updatedAt });
+      });
+      
+      const leaguesStore = transaction.objectStore(this.stores.leagues);
+      leagues.forEach(league => {
+        leaguesStore.put({ ...Leagues.replacePlayer(league, sourceId, targetId), updatedAt });
+      });
+      
+      if (updatedLadder && updatedLadder !== ladder) {
+        transaction.objectStore(this.stores.ladders).put({ ...updatedLadder, updatedAt });
+      }
+      
+      if (queue) {
+        transaction.objectStore(this.stores.settings).put({
+          id: queueKey,
+          value: KingOfTable.replacePlayer(queue, sourceId, targetId),
+          updatedAt
+        });
+      }
+      
+      // The kept player inherits the duplicate's profile link if it has none
+      const playersStore = transaction.objectStore(this.stores.players);
+      if (source.personId && !target.personId) {
+        playersStore.put({ ...target, personId: source.personId, updatedAt });
+      }
+      playersStore.delete(sourceId);
+      
+      transaction.oncomplete = () => {
         resolve();
       };
       
-      request.onerror = (event) => {
-        console.error('Error deleting player:', event.target.error);
+      transaction.onerror = (event) => {
+        console.error('Error merging players:', event.target.error);
         reject(event.target.error);
       };
     });
+    
+    await this.updateMatchRatings(target.roomId);
+    
+    const activeMatches = matches.filter(match => !match.deletedAt);
+    return {
+      matchCount: activeMatches.length,
+      reviewCount: activeMatches.filter(match => match.needsReview).length
+    };
+  },
+  
+  /**
+   * Replace one player with another in a match
+   * @param {Object} match - Match object
+   * @param {string} fromId - ID of the player to replace
+   * @param {string} toId - ID of the replacement player
+   * @returns {Object} - Updated match, flagged for review if a player now appears twice
+   */
+  reassignMatchPlayer(match, fromId, toId) {
+    const updatedMatch = { ...match };
+    ['player1Id', 'player1PartnerId', 'player2Id', 'player2PartnerId', 'winnerId'].forEach(field => {
+      if (updatedMatch[field] === fromId) {
+        updatedMatch[field] = toId;
+      }
+    });
+    
+    // Badges move to the replacement player
+    if (updatedMatch.achievements) {
+      updatedMatch.achievements = updatedMatch.achievements.map(badge =>
+        badge.playerId === fromId ? { ...badge, playerId: toId } : badge
+      );
+    }
+    
+    updatedMatch.participantIds = Stats.getMatchPlayerIds(updatedMatch);
+    if (new Set(updatedMatch.participantIds).size !== updatedMatch.participantIds.length) {
+      updatedMatch.needsReview = true;
+    }
+    
+    return updatedMatch;
   },
   
   /**
@@ -457,10 +949,8 @@ const DB = {
   async deleteAllPlayersInRoom(roomId) {
     await this.init();
     
-    const players = await this.getPlayersInRoom(roomId);
-    const deletePromises = players.map(player => this.deletePlayer(player.id));
-    
-    return Promise.all(deletePromises);
+    const players = await this.getPlayersInRoom(roomId, true);
+    return this.deleteRecords(this.stores.players, players.map(player => player.id));
   },
   
   /**
@@ -476,8 +966,8 @@ const DB = {
       throw new Error('Player not found');
     }
     
-    // Get all matches involving this player
-    const matches = await this.getPlayerMatches(playerId);
+    // Get all singles matches involving this player
+    const matches = Stats.getSinglesMatches(await this.getPlayerMatches(playerId));
     
     // Calculate statistics
     const wins = matches.filter(match => match.winnerId === playerId).length;
@@ -521,30 +1011,163 @@ const DB = {
   
   /**
    * Create a new match
-   * @param {Object} matchData - Match data
+   * @param {Object} matchData - Match data, with either games or player scores, and fromLiveMatch if it was scored live
    * @returns {Promise} - Resolves with the created match
    */
   async createMatch(matchData) {
     await this.init();
     
+    // Make sure the bracket match is waiting for this result before saving
+    if (matchData.tournamentId) {
+      const tournament = await this.getTournament(matchData.tournamentId);
+      if (!tournament || !Tournaments.canRecord(tournament, matchData.bracketMatchId, [matchData.player1Id, matchData.player2Id])) {
+        throw new Error('Bracket match is not ready to be played');
+      }
+    }
+    
+    // Make sure the league fixture is still unplayed
+    if (matchData.leagueId) {
+      const league = await this.getLeague(matchData.leagueId);
+      if (!league || !Leagues.canRecord(league, matchData.fixtureId, [matchData.player1Id, matchData.player2Id])) {
+        throw new Error('Fixture has already been played');
+      }
+    }
+    
+    // Only a singles match recorded for an accepted ladder challenge settles it
+    let ladder = null;
+    let ladderChallenge = null;
+    if (matchData.ladderChallengeId) {
+      const storedLadder = await this.getLadder(matchData.roomId);
+      // Expirations are saved with the result, once the match has been validated and saved
+      ladder = storedLadder ? Ladder.expireChallenges(storedLadder) : null;
+      
+      ladderChallenge = ladder ? Ladder.findAcceptedChallenge(ladder, matchData.player1Id, matchData.player2Id) : null;
+      if (matchData.type === 'doubles' || matchData.tournamentId || matchData.leagueId ||
+        !ladderChallenge || ladderChallenge.id !== matchData.ladderChallengeId) {
+        throw new Error('Challenge has not been accepted');
+      }
+    }
+    
+    // With individual games, the match score is the number of games won
+    const games = Array.isArray(matchData.games) ? matchData.games.map(game => ({
+      player1Score: parseInt(game.player1Score),
+      player2Score: parseInt(game.player2Score)
+    })) : null;
+    
+    let player1Score;
+    let player2Score;
+    if (games) {
+      const gamesWon = Stats.countGamesWon(games);
+      player1Score = gamesWon.player1;
+      player2Score = gamesWon.player2;
+    } else {
+      player1Score = parseInt(matchData.player1Score);
+      player2Score = parseInt(matchData.player2Score);
+    }
+    
+    // The result must follow the room's scoring rules, so a tie is never saved
+    const room = await this.getRoom(matchData.roomId);
+    let rules = Scoring.getRules(room);
+    
+    // A live match is held to the rules it started under, even if the room's changed meanwhile
+    if (matchData.fromLiveMatch) {
+      const liveMatch = await this.getSetting(LiveMatch.getSettingKey(matchData.roomId));
+      if (!liveMatch || liveMatch.player1Id !== matchData.player1Id || liveMatch.player2Id !== matchData.player2Id) {
+        throw new Error('The live match has already been saved or abandoned');
+      }
+      rules = LiveMatch.getRules(liveMatch);
+    }
+    
+    Scoring.validateResult({ games, player1Score, player2Score }, rules);
+    
+    if (matchData.handicap) {
+      const handicapError = Handicaps.getError(matchData.handicap, rules);
+      if (handicapError) {
+        throw new Error(handicapError);
+      }
+    }
+    
     // Determine winner based on scores
-    const player1Score = parseInt(matchData.player1Score);
-    const player2Score = parseInt(matchData.player2Score);
     const winnerId = player1Score > player2Score ? matchData.player1Id : matchData.player2Id;
     
     const match = {
       id: this.generateId(),
       roomId: matchData.roomId,
+      type: matchData.type === 'doubles' ? 'doubles' : 'singles',
       player1Id: matchData.player1Id,
       player2Id: matchData.player2Id,
       player1Score,
       player2Score,
       winnerId,
       notes: matchData.notes || '',
-      date: new Date().toISOString()
+      date: new Date().toISOString(),
+      matchFormat: rules.matchFormat,
+      scoringRules: {
+        pointsToWin: rules.pointsToWin,
+        winByTwo: rules.winByTwo,
+        maxDeuce: rules.maxDeuce
+      }
     };
     
-    return new Promise((resolve, reject) => {
+    if (match.type === 'doubles') {
+      match.player1PartnerId = matchData.player1PartnerId;
+      match.player2PartnerId = matchData.player2PartnerId;
+    }
+    match.participantIds = Stats.getMatchPlayerIds(match);
+    
+    if (games) {
+      match.games = games;
+    }
+    
+    // Keep the point sequence of live-scored matches
+    if (Array.isArray(matchData.points)) {
+      match.points = matchData.points;
+    }
+    
+    // Link tournament matches to their place in the bracket
+    if (matchData.tournamentId) {
+      match.tournamentId = matchData.tournamentId;
+      match.bracketMatchId = matchData.bracketMatchId;
+    }
+    
+    // Link league matches to their fixture
+    if (matchData.leagueId) {
+      match.leagueId = matchData.leagueId;
+      match.fixtureId = matchData.fixtureId;
+    }
+    
+    // Link ladder matches to their challenge
+    if (ladderChallenge) {
+      match.ladderChallengeId = ladderChallenge.id;
+    }
+    
+    // Tag matches played in a special mode, such as king of the table
+    if (matchData.mode) {
+      match.mode = matchData.mode;
+    }
+    
+    // Keep the head start the weaker player was given
+    if (matchData.handicap) {
+      match.handicap = {
+        side: matchData.handicap.side,
+        points: matchData.handicap.points
+      };
+    }
+    
+    // Save the pre-match prediction so upsets can be found later
+    if (match.type === 'singles') {
+      const players = await this.getPlayersInRoom(match.roomId);
+      const previousMatches = await this.getMatchesInRoom(match.roomId);
+      match.prediction = Predictions.predict(
+        players,
+        previousMatches,
+        RatingSystems.getSystemId(room),
+        match.player1Id,
+        match.player2Id
+      );
+    }
+    
+    await new Promise((resolve, reject) => {
       const { transaction, store } = this.getStore(this.stores.matches, 'readwrite');
       
       const request = store.add(match);
@@ -558,89 +1181,1154 @@ const DB = {
         reject(event.target.error);
       };
     });
-  },
-  
-  /**
-   * Get all matches in a room
-   * @param {string} roomId - Room ID
-   * @returns {Promise} - Resolves with an array of matches
-   */
-  async getMatchesInRoom(roomId) {
-    await this.init();
     
-    return new Promise((resolve, reject) => {
-      const { store } = this.getStore(this.stores.matches);
+    // Replay ratings so the new match gets its rating change
+    const matchRatings = await this.updateMatchRatings(match.roomId, match.date);
+    match.rating = matchRatings[match.id] || null;
+    
+    // Store any badges unlocked with the match that earned them
+    match.achievements = await this.awardAchievements(match);
+    
+    // Move the winner on in the tournament bracket
+    if (match.tournamentId) {
+      await this.advanceTournament(match);
+    }
+    
+    // Record the fixture result in the league
+    if (match.leagueId) {
+      const league = await this.getLeague(match.leagueId);
+      await this.updateLeague(Leagues.recordResult(league, match.fixtureId, match.winnerId, match.id));
+    }
+    
+    // Move the players on the ladder
+    if (ladderChallenge) {
+      await this.saveLadder(Ladder.recordResult(ladder, ladderChallenge.id, match.winnerId, match.id));
+    }
+    
+    // The winner stays on the table
+    if (match.mode === KingOfTable.mode) {
+      const queueKey = KingOfTable.getSettingKey(match.roomId);
+      const queue = await this.getSetting(queueKey) || KingOfTable.createQueue(match.roomId);
+      await this.saveSetting(queueKey, KingOfTable.recordResult(queue, match));
+    }
+    
+    return match;
+  },
+  
+  /**
+   * Evaluate achievement rules for a newly recorded match and save the badges it unlocks
+   * @param {Object} match - Match just recorded
+   * @returns {Promise} - Resolves with the unlocked badges as { achievementId, playerId }
+   */
+  async awardAchievements(match) {
+    await this.init();
+    
+    const room = await this.getRoom(match.roomId);
+    const players = await this.getPlayersInRoom(match.roomId);
+    const matches = await this.getMatchesInRoom(match.roomId);
+    
+    // The top-ranked player is judged on the matches before this one
+    const hiddenIds = Stats.getHiddenPlayerIds(players, room);
+    const rankedBefore = Stats.generateLeaderboardData(
+      players,
+      matches.filter(m => m.id !== match.id),
+      RatingSystems.getSystemId(room)
+    ).filter(row => row.matches > 0 && !hiddenIds.has(row.id));
+    const topRankedId = rankedBefore.length > 0 ? rankedBefore[0].id : null;
+    
+    const storedMatch = matches.find(m => m.id === match.id);
+    const excludedIds = new Set(players.filter(player => player.placeholder).map(player => player.id));
+    const achievements = Achievements.evaluate(storedMatch, matches, topRankedId, excludedIds);
+    
+    if (achievements.length > 0) {
+      await this.putRecords(this.stores.matches, [{ ...storedMatch, achievements }]);
+    }
+    
+    return achievements;
+  },
+  
+  /**
+   * Recalculate ratings for a room and store the rating change on each match whose change moved
+   * @param {string} roomId - Room ID
+   * @param {string} since - Date of the earliest match that changed; earlier matches are left alone
+   * @returns {Promise} - Resolves with rating changes by match ID
+   */
+  async updateMatchRatings(roomId, since = null) {
+    await this.init();
+    
+    const room = await this.getRoom(roomId);
+    const players = await this.getPlayersInRoom(roomId);
+    const matches = await this.getMatchesInRoom(roomId);
+    const { matchRatings } = Stats.calculateRatings(players, matches, RatingSystems.getSystemId(room));
+    
+    // Doubles matches have no rating change, stored as null so they do not look unrated
+    const changedMatches = matches
+      .filter(match => !since || new Date(match.date) >= new Date(since))
+      .filter(match => JSON.stringify(match.rating) !== JSON.stringify(matchRatings[match.id] || null));
+    
+    if (changedMatches.length === 0) {
+      return matchRatings;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const { transaction, store } = this.getStore(this.stores.matches, 'readwrite');
+      
+      changedMatches.forEach(match => {
+        store.put({ ...match, rating: matchRatings[match.id] || null });
+      });
+      
+      transaction.oncomplete = () => {
+        resolve(matchRatings);
+      };
+      
+      transaction.onerror = (event) => {
+        console.error('Error updating match ratings:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get all matches in a room
+   * @param {string} roomId - Room ID
+   * @param {boolean} includeTrashed - Whether to include matches in the trash
+   * @returns {Promise} - Resolves with an array of matches
+   */
+  async getMatchesInRoom(roomId, includeTrashed = false) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.matches);
+      const index = store.index('roomId');
+      const request = index.getAll(roomId);
+      
+      request.onsuccess = () => {
+        resolve(includeTrashed ? request.result : request.result.filter(match => !match.deletedAt));
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting matches:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get matches for a specific player
+   * @param {string} playerId - Player ID
+   * @param {boolean} includeTrashed - Whether to include matches in the trash
+   * @returns {Promise} - Resolves with an array of matches
+   */
+  async getPlayerMatches(playerId, includeTrashed = false) {
+    await this.init();
+    
+    // Get matches where player is on either side, including as a doubles partner
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.matches);
+      const index = store.index('participantIds');
+      const request = index.getAll(playerId);
+      
+      request.onsuccess = () => {
+        resolve(includeTrashed ? request.result : request.result.filter(match => !match.deletedAt));
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting player matches:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get a match by ID
+   * @param {string} id - Match ID
+   * @returns {Promise} - Resolves with the match
+   */
+  async getMatch(id) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.matches);
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting match:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Update a match, recomputing the winner and keeping a revision of what changed
+   * @param {Object} match - Match ID and the fields to change (players, games or scores, date, notes)
+   * @returns {Promise} - Resolves with the updated match
+   */
+  async updateMatch(match) {
+    await this.init();
+    
+    const existingMatch = await this.getMatch(match.id);
+    if (!existingMatch) {
+      throw new Error('Match not found');
+    }
+    
+    const updatedMatch = { ...existingMatch };
+    this.editableMatchFields.forEach(field => {
+      if (match[field] !== undefined) {
+        updatedMatch[field] = match[field];
+      }
+    });
+    
+    // With individual games, the match score is the number of games won
+    if (Array.isArray(match.games)) {
+      updatedMatch.games = match.games.map(game => ({
+        player1Score: parseInt(game.player1Score),
+        player2Score: parseInt(game.player2Score)
+      }));
+      const gamesWon = Stats.countGamesWon(updatedMatch.games);
+      updatedMatch.player1Score = gamesWon.player1;
+      updatedMatch.player2Score = gamesWon.player2;
+    } else {
+      updatedMatch.player1Score = parseInt(match.player1Score !== undefined ? match.player1Score : existingMatch.player1Score);
+      updatedMatch.player2Score = parseInt(match.player2Score !== undefined ? match.player2Score : existingMatch.player2Score);
+    }
+    
+    if (isNaN(updatedMatch.player1Score) || isNaN(updatedMatch.player2Score)) {
+      throw new Error('Please enter both scores');
+    }
+    
+    if (updatedMatch.player1Score < 0 || updatedMatch.player2Score < 0) {
+      throw new Error('Scores cannot be negative');
+    }
+    
+    if (updatedMatch.player1Score === updatedMatch.player2Score) {
+      throw new Error('A match cannot end in a tie');
+    }
+    
+    // Corrected games must follow the match's scoring rules, but games left as they were are kept
+    const rules = Scoring.getEditRules(existingMatch, await this.getRoom(existingMatch.roomId));
+    if (Array.isArray(updatedMatch.games) && updatedMatch.games.length > 0) {
+      const errors = Scoring.getEditedMatchErrors(updatedMatch.games, existingMatch.games, rules);
+      const gameIndex = errors.games.findIndex(error => error !== null);
+      if (gameIndex >= 0) {
+        throw new Error(`Game ${gameIndex + 1}: ${errors.games[gameIndex]}`);
+      }
+      if (errors.match) {
+        throw new Error(errors.match);
+      }
+    }
+    
+    // Recompute the winner from the corrected scores
+    updatedMatch.winnerId = updatedMatch.player1Score > updatedMatch.player2Score
+      ? updatedMatch.player1Id
+      : updatedMatch.player2Id;
+    updatedMatch.participantIds = Stats.getMatchPlayerIds(updatedMatch);
+    
+    // Correcting the players of a merged match, or the scores of an imported one, settles its review
+    const validGames = (updatedMatch.games || []).every(game => Scoring.getGameError(game, rules) === null);
+    if (new Set(updatedMatch.participantIds).size === updatedMatch.participantIds.length && validGames) {
+      delete updatedMatch.needsReview;
+      delete updatedMatch.reviewReason;
+    }
+    
+    // Event results depend on who played, and brackets and ladders on who won
+    const changes = this.getMatchChanges(existingMatch, updatedMatch);
+    const changedFields = changes.map(change => change.field);
+    const playersChanged = changedFields.some(field => field.endsWith('Id') && field !== 'winnerId');
+    const winnerChanged = changedFields.includes('winnerId');
+    
+    if ((existingMatch.tournamentId || existingMatch.leagueId || existingMatch.ladderChallengeId) && playersChanged) {
+      throw new Error('Players cannot be changed on a tournament, league or ladder match');
+    }
+    if ((existingMatch.tournamentId || existingMatch.ladderChallengeId) && winnerChanged) {
+      throw new Error('The winner of a tournament or ladder match cannot be changed');
+    }
+    
+    if (changes.length === 0) {
+      return existingMatch;
+    }
+    
+    // A prediction was made for the original players only
+    if (playersChanged) {
+      delete updatedMatch.prediction;
+    }
+    
+    updatedMatch.revisions = [
+      ...(existingMatch.revisions || []),
+      { date: new Date().toISOString(), changes }
+    ];
+    
+    await new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.matches, 'readwrite');
+      const request = store.put(updatedMatch);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error updating match:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+    
+    // A new winner or date changes every later rating
+    const since = new Date(updatedMatch.date) < new Date(existingMatch.date) ? updatedMatch.date : existingMatch.date;
+    const matchRatings = await this.updateMatchRatings(updatedMatch.roomId, since);
+    updatedMatch.rating = matchRatings[updatedMatch.id] || null;
+    
+    // Keep the league fixture's winner in step
+    if (updatedMatch.leagueId && winnerChanged) {
+      const league = await this.getLeague(updatedMatch.leagueId);
+      if (league) {
+        await this.updateLeague(Leagues.updateFixture(league, updatedMatch.fixtureId, { winnerId: updatedMatch.winnerId }));
+      }
+    }
+    
+    return updatedMatch;
+  },
+  
+  /**
+   * Get the fields that differ between two versions of a match
+   * @param {Object} before - Match before the edit
+   * @param {Object} after - Match after the edit
+   * @returns {Array} - Array of { field, from, to }
+   */
+  getMatchChanges(before, after) {
+    return [...this.editableMatchFields, 'player1Score', 'player2Score', 'winnerId']
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({
+        field,
+        from: before[field] === undefined ? null : before[field],
+        to: after[field] === undefined ? null : after[field]
+      }));
+  },
+  
+  /**
+   * Move a match to the trash
+   * @param {string} id - Match ID
+   * @returns {Promise} - Resolves when match is in the trash
+   */
+  async deleteMatch(id) {
+    await this.init();
+    
+    const match = await this.getMatch(id);
+    if (!match) {
+      throw new Error('Match not found');
+    }
+    
+    // A bracket result can only be taken back while no later round depends on it
+    const tournaments = await this.removeTournamentResults([match]);
+    
+    await this.putRecords(this.stores.matches, [{ ...match, deletedAt: new Date().toISOString() }]);
+    
+    // Later matches depend on this one's rating change
+    await this.updateMatchRatings(match.roomId, match.date);
+    
+    // The league fixture, bracket match or ladder challenge can be played again
+    await this.clearLeagueResults([match]);
+    await this.clearLadderResults(match.roomId, [match]);
+    for (const tournament of tournaments) {
+      await this.updateTournament(tournament);
+    }
+  },
+  
+  /**
+   * Restore a match from the trash
+   * @param {string} id - Match ID
+   * @returns {Promise} - Resolves with the restored match
+   */
+  async restoreMatch(id) {
+    await this.init();
+    
+    const match = await this.getMatch(id);
+    if (!match || !match.deletedAt) {
+      throw new Error('Match is not in the trash');
+    }
+    
+    const players = await this.getPlayersInRoom(match.roomId, true);
+    if (players.some(player => player.deletedAt && match.participantIds.includes(player.id))) {
+      throw new Error('Restore the deleted players of this match first');
+    }
+    
+    const restoredMatch = await this.restoreEventResults(this.removeTrashFields(match));
+    await this.putRecords(this.stores.matches, [restoredMatch]);
+    await this.updateMatchRatings(match.roomId, match.date);
+    
+    return restoredMatch;
+  },
+  
+  /**
+   * Permanently delete a match
+   * @param {string} id - Match ID
+   * @returns {Promise} - Resolves when match is deleted
+   */
+  async purgeMatch(id) {
+    await this.init();
+    
+    return this.deleteRecords(this.stores.matches, [id]);
+  },
+  
+  /**
+   * Reopen the league fixtures of matches leaving the results
+   * @param {Array} matches - Matches moved to the trash
+   * @returns {Promise} - Resolves when the leagues are updated
+   */
+  async clearLeagueResults(matches) {
+    for (const match of matches.filter(m => m.leagueId)) {
+      const league = await this.getLeague(match.leagueId);
+      if (league) {
+        await this.updateLeague(Leagues.clearResult(league, match.id));
+      }
+    }
+  },
+  
+  /**
+   * Reopen the ladder challenges of matches leaving the results, moving the players back
+   * @param {string} roomId - Room ID
+   * @param {Array} matches - Matches moved to the trash
+   * @returns {Promise} - Resolves when the ladder is updated
+   */
+  async clearLadderResults(roomId, matches) {
+    const ladderMatches = matches.filter(match => match.ladderChallengeId);
+    const ladder = ladderMatches.length > 0 ? await this.getLadder(roomId) : null;
+    if (!ladder) {
+      return;
+    }
+    
+    // Undo the latest results first so each swap is reversed from the order it produced
+    const updatedLadder = [...ladderMatches]
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .reduce((current, match) => Ladder.undoResult(current, match.id), ladder);
+    await this.saveLadder(updatedLadder);
+  },
+  
+  /**
+   * Take matches leaving the results out of their tournament brackets
+   * Nothing is saved here, so a bracket where a later round depends on one of them stops the deletion
+   * @param {Array} matches - Matches about to move to the trash
+   * @returns {Promise} - Resolves with the updated tournaments, to save once the matches are trashed
+   */
+  async removeTournamentResults(matches) {
+    const matchIds = matches.map(match => match.id);
+    const tournamentIds = [...new Set(matches.filter(match => match.tournamentId).map(match => match.tournamentId))];
+    
+    const tournaments = [];
+    for (const tournamentId of tournamentIds) {
+      const tournament = await this.getTournament(tournamentId);
+      if (tournament) {
+        tournaments.push(Tournaments.removeResults(tournament, matchIds));
+      }
+    }
+    
+    return tournaments;
+  },
+  
+  /**
+   * Record a restored match on its league fixture, bracket match or ladder challenge again
+   * @param {Object} match - Restored match
+   * @returns {Promise} - Resolves with the match, unlinked from any event whose result was played meanwhile
+   */
+  async restoreEventResults(match) {
+    let restoredMatch = match;
+    
+    if (match.tournamentId) {
+      const tournament = await this.getTournament(match.tournamentId);
+      if (tournament && Tournaments.canRecord(tournament, match.bracketMatchId, [match.player1Id, match.player2Id])) {
+        await this.advanceTournament(match);
+      } else {
+        const { tournamentId, bracketMatchId, ...unlinkedMatch } = restoredMatch;
+        restoredMatch = unlinkedMatch;
+      }
+    }
+    
+    if (match.ladderChallengeId) {
+      const ladder = await this.getLadder(match.roomId);
+      const challenge = ladder ? ladder.challenges.find(c => c.id === match.ladderChallengeId) : null;
+      if (challenge && challenge.status === 'accepted') {
+        await this.saveLadder(Ladder.recordResult(ladder, challenge.id, match.winnerId, match.id));
+      } else {
+        const { ladderChallengeId, ...unlinkedMatch } = restoredMatch;
+        restoredMatch = unlinkedMatch;
+      }
+    }
+    
+    if (match.leagueId) {
+      const league = await this.getLeague(match.leagueId);
+      if (league && Leagues.canRecord(league, match.fixtureId, [match.player1Id, match.player2Id])) {
+        await this.updateLeague(Leagues.recordResult(league, match.fixtureId, match.winnerId, match.id));
+      } else {
+        const { leagueId, fixtureId, ...unlinkedMatch } = restoredMatch;
+        restoredMatch = unlinkedMatch;
+      }
+    }
+    
+    return restoredMatch;
+  },
+  
+  /**
+   * Delete all matches in a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves when all matches are deleted
+   */
+  async deleteAllMatchesInRoom(roomId) {
+    await this.init();
+    
+    const matches = await this.getMatchesInRoom(roomId, true);
+    
+    // Delete in a single transaction; there are no ratings left to replay
+    return new Promise((resolve, reject) => {
+      const { transaction, store } = this.getStore(this.stores.matches, 'readwrite');
+      
+      matches.forEach(match => {
+        store.delete(match.id);
+      });
+      
+      transaction.oncomplete = () => {
+        resolve();
+      };
+      
+      transaction.onerror = (event) => {
+        console.error('Error deleting matches:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /*** TOURNAMENT OPERATIONS ***/
+  
+  /**
+   * Create a new tournament
+   * @param {Object} tournamentData - Tournament data with seeded player IDs
+   * @returns {Promise} - Resolves with the created tournament
+   */
+  async createTournament(tournamentData) {
+    await this.init();
+    
+    const tournament = {
+      id: this.generateId(),
+      roomId: tournamentData.roomId,
+      name: tournamentData.name,
+      format: tournamentData.format === 'double' ? 'double' : 'single',
+      seeded: Boolean(tournamentData.seeded),
+      playerIds: tournamentData.playerIds,
+      bracket: Tournaments.createBracket(tournamentData.playerIds, tournamentData.format),
+      championId: null,
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.tournaments, 'readwrite');
+      const request = store.add(tournament);
+      
+      request.onsuccess = () => {
+        resolve(tournament);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error creating tournament:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get all tournaments in a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves with an array of tournaments
+   */
+  async getTournamentsInRoom(roomId) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.tournaments);
+      const index = store.index('roomId');
+      const request = index.getAll(roomId);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting tournaments:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get a tournament by ID
+   * @param {string} id - Tournament ID
+   * @returns {Promise} - Resolves with the tournament
+   */
+  async getTournament(id) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.tournaments);
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting tournament:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Update a tournament
+   * @param {Object} tournament - Tournament data
+   * @returns {Promise} - Resolves with the updated tournament
+   */
+  async updateTournament(tournament) {
+    await this.init();
+    
+    const updatedTournament = {
+      ...tournament,
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.tournaments, 'readwrite');
+      const request = store.put(updatedTournament);
+      
+      request.onsuccess = () => {
+        resolve(updatedTournament);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error updating tournament:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Delete a tournament (recorded matches are kept)
+   * @param {string} id - Tournament ID
+   * @returns {Promise} - Resolves when tournament is deleted
+   */
+  async deleteTournament(id) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.tournaments, 'readwrite');
+      const request = store.delete(id);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error deleting tournament:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Apply a recorded match to its tournament bracket
+   * @param {Object} match - Match linked to a bracket match
+   * @returns {Promise} - Resolves with the updated tournament
+   */
+  async advanceTournament(match) {
+    const tournament = await this.getTournament(match.tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+    
+    const updatedTournament = Tournaments.recordResult(tournament, match.bracketMatchId, match.winnerId, match.id);
+    return this.updateTournament(updatedTournament);
+  },
+  
+  /*** LEAGUE OPERATIONS ***/
+  
+  /**
+   * Create a new league with its round-robin schedule
+   * @param {Object} leagueData - League data
+   * @returns {Promise} - Resolves with the created league
+   */
+  async createLeague(leagueData) {
+    await this.init();
+    
+    const format = Leagues.formats[leagueData.format] ? leagueData.format : 'single';
+    let league = {
+      id: this.generateId(),
+      roomId: leagueData.roomId,
+      name: leagueData.name,
+      format,
+      playerIds: leagueData.playerIds,
+      pointsForWin: leagueData.pointsForWin !== undefined ? leagueData.pointsForWin : Leagues.defaultPointsForWin,
+      pointsForLoss: leagueData.pointsForLoss !== undefined ? leagueData.pointsForLoss : Leagues.defaultPointsForLoss,
+      fixtures: format === 'swiss' ? [] : Leagues.createFixtures(leagueData.playerIds, format),
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Swiss leagues start with only the first round paired
+    if (format === 'swiss') {
+      league.rounds = leagueData.rounds || Swiss.getDefaultRounds(leagueData.playerIds.length);
+      league.byes = [];
+      league = Swiss.pairNextRound(league, []);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.leagues, 'readwrite');
+      const request = store.add(league);
+      
+      request.onsuccess = () => {
+        resolve(league);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error creating league:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get all leagues in a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves with an array of leagues
+   */
+  async getLeaguesInRoom(roomId) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.leagues);
+      const index = store.index('roomId');
+      const request = index.getAll(roomId);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting leagues:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get a league by ID
+   * @param {string} id - League ID
+   * @returns {Promise} - Resolves with the league
+   */
+  async getLeague(id) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.leagues);
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting league:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Update a league
+   * @param {Object} league - League data
+   * @returns {Promise} - Resolves with the updated league
+   */
+  async updateLeague(league) {
+    await this.init();
+    
+    const updatedLeague = {
+      ...league,
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.leagues, 'readwrite');
+      const request = store.put(updatedLeague);
+      
+      request.onsuccess = () => {
+        resolve(updatedLeague);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error updating league:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Pair the next round of a Swiss league from the current standings
+   * A league set up for more rounds than can be paired ends after the last round played
+   * @param {string} id - League ID
+   * @returns {Promise} - Resolves with the updated league, completed if no pairing was left
+   */
+  async pairNextLeagueRound(id) {
+    const league = await this.getLeague(id);
+    if (!league || !Swiss.canPairNextRound(league)) {
+      throw new Error('The current round is not finished');
+    }
+    
+    const matches = await this.getMatchesInRoom(league.roomId);
+    let pairedLeague;
+    try {
+      pairedLeague = Swiss.pairNextRound(league, matches);
+    } catch (error) {
+      return this.updateLeague({ ...league, rounds: Swiss.getPairedRounds(league), status: 'completed' });
+    }
+    
+    return this.updateLeague(pairedLeague);
+  },
+  
+  /**
+   * Delete a league (recorded matches are kept)
+   * @param {string} id - League ID
+   * @returns {Promise} - Resolves when league is deleted
+   */
+  async deleteLeague(id) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.leagues, 'readwrite');
+      const request = store.delete(id);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error deleting league:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /*** LADDER OPERATIONS ***/
+  
+  /**
+   * Get the ladder of a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves with the ladder, or undefined if the room has none
+   */
+  async getLadder(roomId) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.ladders);
+      const request = store.get(roomId);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting ladder:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Save the ladder of a room
+   * @param {Object} ladder - Ladder data
+   * @returns {Promise} - Resolves with the saved ladder
+   */
+  async saveLadder(ladder) {
+    await this.init();
+    
+    const updatedLadder = {
+      ...ladder,
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.ladders, 'readwrite');
+      const request = store.put(updatedLadder);
+      
+      request.onsuccess = () => {
+        resolve(updatedLadder);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error saving ladder:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Delete the ladder of a room (recorded matches are kept)
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves when ladder is deleted
+   */
+  async deleteLadder(roomId) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.ladders, 'readwrite');
+      const request = store.delete(roomId);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error deleting ladder:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /*** SEASON OPERATIONS ***/
+  
+  /**
+   * Start a new season in a room
+   * @param {Object} seasonData - Season data with name, startDate and optional planned endDate
+   * @returns {Promise} - Resolves with the created season
+   */
+  async createSeason(seasonData) {
+    await this.init();
+    
+    const seasons = await this.getSeasonsInRoom(seasonData.roomId);
+    Seasons.validateNewSeason(seasons, seasonData.startDate);
+    
+    const season = {
+      id: this.generateId(),
+      roomId: seasonData.roomId,
+      name: seasonData.name,
+      startDate: seasonData.startDate,
+      plannedEndDate: seasonData.plannedEndDate || null,
+      endDate: null,
+      status: 'active',
+      snapshot: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.seasons, 'readwrite');
+      const request = store.add(season);
+      
+      request.onsuccess = () => {
+        resolve(season);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error creating season:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get all seasons in a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise} - Resolves with an array of seasons, newest first
+   */
+  async getSeasonsInRoom(roomId) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.seasons);
       const index = store.index('roomId');
       const request = index.getAll(roomId);
       
       request.onsuccess = () => {
-        resolve(request.result);
+        resolve(request.result.sort((a, b) => new Date(b.startDate) - new Date(a.startDate)));
       };
       
       request.onerror = (event) => {
-        console.error('Error getting matches:', event.target.error);
+        console.error('Error getting seasons:', event.target.error);
         reject(event.target.error);
       };
     });
   },
   
   /**
-   * Get matches for a specific player
-   * @param {string} playerId - Player ID
-   * @returns {Promise} - Resolves with an array of matches
+   * Get a season by ID
+   * @param {string} id - Season ID
+   * @returns {Promise} - Resolves with the season
    */
-  async getPlayerMatches(playerId) {
+  async getSeason(id) {
     await this.init();
     
-    // Get matches where player is player1
-    const player1Matches = await new Promise((resolve, reject) => {
-      const { store } = this.getStore(this.stores.matches);
-      const index = store.index('player1Id');
-      const request = index.getAll(playerId);
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.seasons);
+      const request = store.get(id);
       
       request.onsuccess = () => {
         resolve(request.result);
       };
       
       request.onerror = (event) => {
-        console.error('Error getting player1 matches:', event.target.error);
+        console.error('Error getting season:', event.target.error);
         reject(event.target.error);
       };
     });
+  },
+  
+  /**
+   * Update a season
+   * @param {Object} season - Season data
+   * @returns {Promise} - Resolves with the updated season
+   */
+  async updateSeason(season) {
+    await this.init();
     
-    // Get matches where player is player2
-    const player2Matches = await new Promise((resolve, reject) => {
-      const { store } = this.getStore(this.stores.matches);
-      const index = store.index('player2Id');
-      const request = index.getAll(playerId);
+    const updatedSeason = {
+      ...season,
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.seasons, 'readwrite');
+      const request = store.put(updatedSeason);
       
       request.onsuccess = () => {
-        resolve(request.result);
+        resolve(updatedSeason);
       };
       
       request.onerror = (event) => {
-        console.error('Error getting player2 matches:', event.target.error);
+        console.error('Error updating season:', event.target.error);
         reject(event.target.error);
       };
     });
+  },
+  
+  /**
+   * Close a season, freezing its final standings, champion and awards
+   * @param {string} id - Season ID
+   * @returns {Promise} - Resolves with the closed season
+   */
+  async closeSeason(id) {
+    await this.init();
     
-    // Combine and remove duplicates
-    const allMatches = [...player1Matches, ...player2Matches];
-    const uniqueMatches = Array.from(new Map(allMatches.map(match => [match.id, match])).values());
+    const season = await this.getSeason(id);
+    if (!season || season.status !== 'active') {
+      throw new Error('Only the current season can be closed');
+    }
+    
+    const room = await this.getRoom(season.roomId);
+    const players = await this.getPlayersInRoom(season.roomId);
+    const matches = await this.getMatchesInRoom(season.roomId);
+    
+    // The season ends now, even if it was planned to run longer
+    const closedSeason = { ...season, endDate: new Date().toISOString(), status: 'closed' };
+    const seasonMatches = Seasons.getSeasonMatches(closedSeason, matches);
+    closedSeason.snapshot = Seasons.createSnapshot(
+      players,
+      seasonMatches,
+      RatingSystems.getSystemId(room),
+      Stats.getHiddenPlayerIds(players, room),
+      Rankings.getSettings(room),
+      Seasons.getMatchesUntilEnd(closedSeason, matches)
+    );
     
-    return uniqueMatches;
+    return this.updateSeason(closedSeason);
   },
   
   /**
-   * Get a match by ID
-   * @param {string} id - Match ID
-   * @returns {Promise} - Resolves with the match
+   * Delete a season (its matches are kept)
+   * @param {string} id - Season ID
+   * @returns {Promise} - Resolves when season is deleted
    */
-  async getMatch(id) {
+  async deleteSeason(id) {
     await this.init();
     
     return new Promise((resolve, reject) => {
-      const { store } = this.getStore(this.stores.matches);
+      const { store } = this.getStore(this.stores.seasons, 'readwrite');
+      const request = store.delete(id);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error deleting season:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /*** PEOPLE OPERATIONS ***/
+  
+  /**
+   * Create a person profile that players in different rooms can link to
+   * @param {Object} personData - Person data
+   * @returns {Promise} - Resolves with the created person
+   */
+  async createPerson(personData) {
+    await this.init();
+    
+    const person = {
+      id: this.generateId(),
+      name: personData.name,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.people, 'readwrite');
+      const request = store.add(person);
+      
+      request.onsuccess = () => {
+        resolve(person);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error creating person:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get all person profiles
+   * @returns {Promise} - Resolves with an array of people
+   */
+  async getAllPeople() {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.people);
+      const request = store.getAll();
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error getting people:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Get a person profile by ID
+   * @param {string} id - Person ID
+   * @returns {Promise} - Resolves with the person
+   */
+  async getPerson(id) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.people);
       const request = store.get(id);
       
       request.onsuccess = () => {
@@ -648,47 +2336,70 @@ const DB = {
       };
       
       request.onerror = (event) => {
-        console.error('Error getting match:', event.target.error);
+        console.error('Error getting person:', event.target.error);
         reject(event.target.error);
       };
     });
   },
   
   /**
-   * Delete a match
-   * @param {string} id - Match ID
-   * @returns {Promise} - Resolves when match is deleted
+   * Get the room players linked to a person
+   * @param {string} personId - Person ID
+   * @returns {Promise} - Resolves with an array of players, leaving out the trash
    */
-  async deleteMatch(id) {
+  async getPersonPlayers(personId) {
     await this.init();
     
     return new Promise((resolve, reject) => {
-      const { store } = this.getStore(this.stores.matches, 'readwrite');
-      const request = store.delete(id);
+      const { store } = this.getStore(this.stores.players);
+      const index = store.index('personId');
+      const request = index.getAll(personId);
       
       request.onsuccess = () => {
-        resolve();
+        resolve(request.result.filter(player => !player.deletedAt));
       };
       
       request.onerror = (event) => {
-        console.error('Error deleting match:', event.target.error);
+        console.error('Error getting person players:', event.target.error);
         reject(event.target.error);
       };
     });
   },
   
   /**
-   * Delete all matches in a room
-   * @param {string} roomId - Room ID
-   * @returns {Promise} - Resolves when all matches are deleted
+   * Get a person's record in every room they play in, and combined
+   * @param {string} personId - Person ID
+   * @returns {Promise} - Resolves with { person, rooms, totals }
    */
-  async deleteAllMatchesInRoom(roomId) {
+  async getPersonProfile(personId) {
     await this.init();
     
-    const matches = await this.getMatchesInRoom(roomId);
-    const deletePromises = matches.map(match => this.deleteMatch(match.id));
+    const person = await this.getPerson(personId);
+    if (!person) {
+      throw new Error('Person not found');
+    }
+    
+    const rooms = [];
+    for (const player of await this.getPersonPlayers(personId)) {
+      const room = await this.getRoom(player.roomId);
+      if (!room || room.deletedAt) continue;
+      
+      rooms.push({ room, player, stats: await this.getPlayerStats(player.id) });
+    }
+    
+    const matches = rooms.reduce((sum, entry) => sum + entry.stats.matches, 0);
+    const wins = rooms.reduce((sum, entry) => sum + entry.stats.wins, 0);
     
-    return Promise.all(deletePromises);
+    return {
+      person,
+      rooms,
+      totals: {
+        matches,
+        wins,
+        losses: matches - wins,
+        winPercentage: matches > 0 ? Math.round((wins / matches) * 100) : 0
+      }
+    };
   },
   
   /*** SETTINGS OPERATIONS ***/
@@ -747,6 +2458,157 @@ const DB = {
     });
   },
   
+  /**
+   * Delete a setting
+   * @param {string} key - Setting key
+   * @returns {Promise} - Resolves when setting is deleted
+   */
+  async deleteSetting(key) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const { store } = this.getStore(this.stores.settings, 'readwrite');
+      const request = store.delete(key);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Error deleting setting:', event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /*** TRASH OPERATIONS ***/
+  
+  /**
+   * Get everything in the trash
+   * Players and matches of a trashed room are not listed, since they come back with the room
+   * @returns {Promise} - Resolves with { rooms, players, matches }
+   */
+  async getTrash() {
+    await this.init();
+    
+    const rooms = await this.getAllRooms(true);
+    const trash = {
+      rooms: rooms.filter(room => room.deletedAt),
+      players: [],
+      matches: []
+    };
+    
+    for (const room of rooms.filter(r => !r.deletedAt)) {
+      const players = await this.getPlayersInRoom(room.id, true);
+      const matches = await this.getMatchesInRoom(room.id, true);
+      
+      trash.players.push(...players.filter(player => player.deletedAt));
+      
+      // Matches trashed along with a player belong to that player's entry
+      trash.matches.push(...matches.filter(match => match.deletedAt && !match.deletedWith));
+    }
+    
+    return trash;
+  },
+  
+  /**
+   * Get how long deleted items stay in the trash
+   * @returns {Promise} - Resolves with the retention period in days
+   */
+  async getTrashRetentionDays() {
+    const retentionDays = await this.getSetting(this.trashRetentionKey);
+    return retentionDays || this.defaultTrashRetentionDays;
+  },
+  
+  /**
+   * Permanently delete trashed items older than the retention period
+   * @returns {Promise} - Resolves with the number of items purged
+   */
+  async purgeExpiredTrash() {
+    await this.init();
+    
+    const retentionDays = await this.getTrashRetentionDays();
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const isExpired = record => new Date(record.deletedAt).getTime() < cutoff;
+    
+    const trash = await this.getTrash();
+    const rooms = trash.rooms.filter(isExpired);
+    const players = trash.players.filter(isExpired);
+    const matches = trash.matches.filter(isExpired);
+    
+    for (const room of rooms) {
+      await this.purgeRoom(room.id);
+    }
+    for (const player of players) {
+      await this.purgePlayer(player.id);
+    }
+    for (const match of matches) {
+      await this.purgeMatch(match.id);
+    }
+    
+    return rooms.length + players.length + matches.length;
+  },
+  
+  /**
+   * Strip the trash markers from a record
+   * @param {Object} record - Trashed room, player or match
+   * @returns {Object} - Record without deletedAt and deletedWith
+   */
+  removeTrashFields(record) {
+    const { deletedAt, deletedWith, ...restored } = record;
+    return restored;
+  },
+  
+  /**
+   * Save records to a store in a single transaction
+   * @param {string} storeName - Name of the object store
+   * @param {Array} records - Records to save
+   * @returns {Promise} - Resolves when every record is saved
+   */
+  putRecords(storeName, records) {
+    return new Promise((resolve, reject) => {
+      const { transaction, store } = this.getStore(storeName, 'readwrite');
+      
+      records.forEach(record => {
+        store.put(record);
+      });
+      
+      transaction.oncomplete = () => {
+        resolve();
+      };
+      
+      transaction.onerror = (event) => {
+        console.error(`Error saving ${storeName}:`, event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
+  /**
+   * Delete records from a store in a single transaction
+   * @param {string} storeName - Name of the object store
+   * @param {Array} ids - Keys of the records to delete
+   * @returns {Promise} - Resolves when every record is deleted
+   */
+  deleteRecords(storeName, ids) {
+    return new Promise((resolve, reject) => {
+      const { transaction, store } = this.getStore(storeName, 'readwrite');
+      
+      ids.forEach(id => {
+        store.delete(id);
+      });
+      
+      transaction.oncomplete = () => {
+        resolve();
+      };
+      
+      transaction.onerror = (event) => {
+        console.error(`Error deleting ${storeName}:`, event.target.error);
+        reject(event.target.error);
+      };
+    });
+  },
+  
   /*** DATA EXPORT/IMPORT ***/
   
   /**
@@ -756,17 +2618,34 @@ const DB = {
   async exportAllData() {
     await this.init();
     
-    const rooms = await this.getAllRooms();
+    // Backups keep the trash so deleted items can still be restored after an import
+    const rooms = await this.getAllRooms(true);
     const players = [];
     const matches = [];
+    const tournaments = [];
+    const leagues = [];
+    const ladders = [];
+    const seasons = [];
+    const people = await this.getAllPeople();
     
-    // Get all players and matches for each room
+    // Get all players, matches, events, seasons and ladders for each room
     for (const room of rooms) {
-      const roomPlayers = await this.getPlayersInRoom(room.id);
-      const roomMatches = await this.getMatchesInRoom(room.id);
+      const roomPlayers = await this.getPlayersInRoom(room.id, true);
+      const roomMatches = await this.getMatchesInRoom(room.id, true);
+      const roomTournaments = await this.getTournamentsInRoom(room.id);
+      const roomLeagues = await this.getLeaguesInRoom(room.id);
+      const roomSeasons = await this.getSeasonsInRoom(room.id);
       
       players.push(...roomPlayers);
       matches.push(...roomMatches);
+      tournaments.push(...roomTournaments);
+      leagues.push(...roomLeagues);
+      seasons.push(...roomSeasons);
+      
+      const ladder = await this.getLadder(room.id);
+      if (ladder) {
+        ladders.push(ladder);
+      }
     }
     
     // Get all settings
@@ -790,6 +2669,11 @@ const DB = {
       rooms,
       players,
       matches,
+      tournaments,
+      leagues,
+      ladders,
+      seasons,
+      people,
       settings
     };
   },
@@ -809,13 +2693,26 @@ const DB = {
     
     const players = await this.getPlayersInRoom(roomId);
     const matches = await this.getMatchesInRoom(roomId);
+    const tournaments = await this.getTournamentsInRoom(roomId);
+    const leagues = await this.getLeaguesInRoom(roomId);
+    const ladder = await this.getLadder(roomId);
+    const seasons = await this.getSeasonsInRoom(roomId);
+    
+    // Bring along the profiles the room's players link to
+    const personIds = new Set(players.map(player => player.personId).filter(Boolean));
+    const people = (await this.getAllPeople()).filter(person => personIds.has(person.id));
     
     return {
       version: this.version,
       exportDate: new Date().toISOString(),
       room,
       players,
-      matches
+      matches,
+      tournaments,
+      leagues,
+      ladders: ladder ? [ladder] : [],
+      seasons,
+      people
     };
   },
   
@@ -876,7 +2773,74 @@ const DB = {
         for (const match of data.matches) {
           await new Promise((resolve, reject) => {
             const { store } = this.getStore(this.stores.matches, 'readwrite');
-            const request = store.put(match);
+            
+            // Exports from version 1 have no participant index field
+            const request = store.put({ ...match, participantIds: Stats.getMatchPlayerIds(match) });
+            
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+          });
+        }
+      }
+      
+      // Import tournaments
+      if (data.tournaments && Array.isArray(data.tournaments)) {
+        for (const tournament of data.tournaments) {
+          await new Promise((resolve, reject) => {
+            const { store } = this.getStore(this.stores.tournaments, 'readwrite');
+            const request = store.put(tournament);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+          });
+        }
+      }
+      
+      // Import leagues
+      if (data.leagues && Array.isArray(data.leagues)) {
+        for (const league of data.leagues) {
+          await new Promise((resolve, reject) => {
+            const { store } = this.getStore(this.stores.leagues, 'readwrite');
+            const request = store.put(league);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+          });
+        }
+      }
+      
+      // Import ladders
+      if (data.ladders && Array.isArray(data.ladders)) {
+        for (const ladder of data.ladders) {
+          await new Promise((resolve, reject) => {
+            const { store } = this.getStore(this.stores.ladders, 'readwrite');
+            const request = store.put(ladder);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+          });
+        }
+      }
+      
+      // Import seasons
+      if (data.seasons && Array.isArray(data.seasons)) {
+        for (const season of data.seasons) {
+          await new Promise((resolve, reject) => {
+            const { store } = this.getStore(this.stores.seasons, 'readwrite');
+            const request = store.put(season);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+          });
+        }
+      }
+      
+      // Import people
+      if (data.people && Array.isArray(data.people)) {
+        for (const person of data.people) {
+          await new Promise((resolve, reject) => {
+            const { store } = this.getStore(this.stores.people, 'readwrite');
+            const request = store.put(person);
             
             request.onsuccess = () => resolve();
             request.onerror = (event) => reject(event.target.error);
@@ -897,6 +2861,12 @@ const DB = {
         }
       }
       
+      // Recalculate ratings for the imported rooms
+      const importedRooms = data.rooms && Array.isArray(data.rooms) ? data.rooms : data.room ? [data.room] : [];
+      for (const room of importedRooms) {
+        await this.updateMatchRatings(room.id);
+      }
+      
       UI.hideLoading();
       return true;
     } catch (error) {
@@ -61,21 +61,22 @@ const ExportImport = {
   
   /**
    * Import data
+   * Matches that break their room's scoring rules are imported but marked for review
    * @param {Object} data - Data to import
-   * @returns {Promise} - Resolves when import is complete
+   * @returns {Promise} - Resolves with the scoring rule violations found
    */
   async importData(data) {
     try {
       // Validate data
-      this.validateImportData(data);
+      const violations = this.validateImportData(data);
       
       UI.showLoading();
       
       // Import data
-      await DB.importData(data);
+      await DB.importData(this.flagViolations(data, violations));
       
       UI.hideLoading();
-      return true;
+      return violations;
     } catch (error) {
       UI.hideLoading();
       console.error('Error importing data:', error);
@@ -86,6 +87,7 @@ const ExportImport = {
   /**
    * Validate import data
    * @param {Object} data - Data to validate
+   * @returns {Array} - Matches that break their room's scoring rules, as { index, matchId, message }
    * @throws {Error} - If data is invalid
    */
   validateImportData(data) {
@@ -113,6 +115,8 @@ const ExportImport = {
         if (!room.name) {
           throw new Error(`Invalid data format: Room at index ${index} is missing name`);
         }
+        this.validateScoringRules(room, `Room at index ${index}`);
+        this.validateLeaderboardSettings(room, `Room at index ${index}`);
       });
     }
     
@@ -124,6 +128,8 @@ const ExportImport = {
       if (!data.room.name) {
         throw new Error('Invalid data format: Room is missing name');
       }
+      this.validateScoringRules(data.room, 'Room');
+      this.validateLeaderboardSettings(data.room, 'Room');
     }
     
     // If data has players, check if each player has required fields
@@ -156,6 +162,9 @@ const ExportImport = {
         if (!match.player2Id) {
           throw new Error(`Invalid data format: Match at index ${index} is missing player2Id`);
         }
+        if (match.type === 'doubles' && (!match.player1PartnerId || !match.player2PartnerId)) {
+          throw new Error(`Invalid data format: Doubles match at index ${index} is missing a partner`);
+        }
         if (match.player1Score === undefined) {
           throw new Error(`Invalid data format: Match at index ${index} is missing player1Score`);
         }
@@ -170,6 +179,154 @@ const ExportImport = {
         }
       });
     }
+    
+    // If data has tournaments, check if each tournament has required fields
+    if (data.tournaments && Array.isArray(data.tournaments)) {
+      data.tournaments.forEach((tournament, index) => {
+        if (!tournament.id) {
+          throw new Error(`Invalid data format: Tournament at index ${index} is missing id`);
+        }
+        if (!tournament.roomId) {
+          throw new Error(`Invalid data format: Tournament at index ${index} is missing roomId`);
+        }
+        if (!Array.isArray(tournament.bracket)) {
+          throw new Error(`Invalid data format: Tournament at index ${index} is missing bracket`);
+        }
+      });
+    }
+    
+    // If data has leagues, check if each league has required fields
+    if (data.leagues && Array.isArray(data.leagues)) {
+      data.leagues.forEach((league, index) => {
+        if (!league.id) {
+          throw new Error(`Invalid data format: League at index ${index} is missing id`);
+        }
+        if (!league.roomId) {
+          throw new Error(`Invalid data format: League at index ${index} is missing roomId`);
+        }
+        if (!Array.isArray(league.fixtures)) {
+          throw new Error(`Invalid data format: League at index ${index} is missing fixtures`);
+        }
+      });
+    }
+    
+    // If data has ladders, check if each ladder has required fields
+    if (data.ladders && Array.isArray(data.ladders)) {
+      data.ladders.forEach((ladder, index) => {
+        if (!ladder.roomId) {
+          throw new Error(`Invalid data format: Ladder at index ${index} is missing roomId`);
+        }
+        if (!Array.isArray(ladder.playerIds) || !Array.isArray(ladder.challenges)) {
+          throw new Error(`Invalid data format: Ladder at index ${index} is missing players or challenges`);
+        }
+      });
+    }
+    
+    // If data has seasons, check if each season has required fields
+    if (data.seasons && Array.isArray(data.seasons)) {
+      data.seasons.forEach((season, index) => {
+        if (!season.id) {
+          throw new Error(`Invalid data format: Season at index ${index} is missing id`);
+        }
+        if (!season.roomId) {
+          throw new Error(`Invalid data format: Season at index ${index} is missing roomId`);
+        }
+        if (!season.startDate) {
+          throw new Error(`Invalid data format: Season at index ${index} is missing startDate`);
+        }
+      });
+    }
+    
+    // If data has people, check if each person has required fields
+    if (data.people && Array.isArray(data.people)) {
+      data.people.forEach((person, index) => {
+        if (!person.id) {
+          throw new Error(`Invalid data format: Person at index ${index} is missing id`);
+        }
+        if (!person.name) {
+          throw new Error(`Invalid data format: Person at index ${index} is missing name`);
+        }
+      });
+    }
+    
+    return this.findScoringViolations(data);
+  },
+  
+  /**
+   * Check that a room's scoring rules are well formed
+   * @param {Object} room - Room to check
+   * @param {string} label - How the room is named in error messages
+   * @throws {Error} - If the rules are invalid
+   */
+  validateScoringRules(room, label) {
+    if (!room.scoringRules) return;
+    
+    const { pointsToWin, winByTwo, maxDeuce } = room.scoringRules;
+    if (!Scoring.pointsOptions.includes(pointsToWin)) {
+      throw new Error(`Invalid data format: ${label} has invalid points to win`);
+    }
+    if (typeof winByTwo !== 'boolean') {
+      throw new Error(`Invalid data format: ${label} has an invalid win-by-2 rule`);
+    }
+    if (maxDeuce !== null && maxDeuce !== undefined && (!Number.isInteger(maxDeuce) || maxDeuce < 0)) {
+      throw new Error(`Invalid data format: ${label} has an invalid max deuce length`);
+    }
+  },
+  
+  /**
+   * Check that a room's leaderboard settings are well formed
+   * @param {Object} room - Room to check
+   * @param {string} label - How the room is named in error messages
+   * @throws {Error} - If the settings are invalid
+   */
+  validateLeaderboardSettings(room, label) {
+    if (!room.leaderboardSettings) return;
+    
+    const error = Rankings.getError(room.leaderboardSettings);
+    if (error) {
+      throw new Error(`Invalid data format: ${label} has invalid leaderboard settings (${error})`);
+    }
+  },
+  
+  /**
+   * Check every match against the scoring rules it was played under
+   * @param {Object} data - Data to check
+   * @returns {Array} - Violations as { index, matchId, message }
+   */
+  findScoringViolations(data) {
+    if (!data.matches || !Array.isArray(data.matches)) return [];
+    
+    // Matches saved without their rules use their room's, or the defaults for rooms outside the file
+    const rooms = new Map((data.rooms || (data.room ? [data.room] : [])).map(room => [room.id, room]));
+    const violations = [];
+    
+    data.matches.forEach((match, index) => {
+      const message = Scoring.getResultError(match, Scoring.getMatchRules(match, rooms.get(match.roomId)));
+      if (message) {
+        violations.push({ index, matchId: match.id, message });
+      }
+    });
+    
+    return violations;
+  },
+  
+  /**
+   * Mark the matches that break scoring rules for review
+   * @param {Object} data - Data to import
+   * @param {Array} violations - Violations from validateImportData
+   * @returns {Object} - Data with the offending matches flagged
+   */
+  flagViolations(data, violations) {
+    if (violations.length === 0) return data;
+    
+    const messages = new Map(violations.map(violation => [violation.matchId, violation.message]));
+    return {
+      ...data,
+      matches: data.matches.map(match => messages.has(match.id)
+        ? { ...match, needsReview: true, reviewReason: `Breaks the room's scoring rules: ${messages.get(match.id)}` }
+        : match
+      )
+    };
   },
   
   /**
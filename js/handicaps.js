@@ -0,0 +1,104 @@
+/**
+ * Handicaps for Ping Pong Match Tracker
+ * Suggests point head starts for the weaker player of an uneven singles match
+ */
+
+const Handicaps = {
+  // What a suggested head start is based on
+  bases: {
+    rating: 'Rating difference',
+    winRate: 'Win rate difference'
+  },
+  defaultBasis: 'rating',
+  
+  // Difference worth one point of head start in an 11-point game
+  ratingPointsPerStep: 50,
+  winRatePerStep: 10,
+  
+  /**
+   * Get the handicap basis of a room
+   * @param {Object} room - Room object
+   * @returns {string} - Basis ID
+   */
+  getBasis(room) {
+    return room && this.bases[room.handicapBasis] ? room.handicapBasis : this.defaultBasis;
+  },
+  
+  /**
+   * Get the largest head start a game allows
+   * @param {Object} rules - Scoring rules
+   * @returns {number} - Most points of head start
+   */
+  getMaxPoints(rules) {
+    return Math.floor(rules.pointsToWin / 2);
+  },
+  
+  /**
+   * Suggest a head start for the weaker of two players
+   * Steps are scaled to the game length, so 21-point games get about twice the head start
+   * @param {Object} player1Row - Leaderboard row of player 1
+   * @param {Object} player2Row - Leaderboard row of player 2
+   * @param {string} basis - Basis ID
+   * @param {Object} rules - Scoring rules
+   * @returns {Object|null} - Head start as { side, points, difference }, or null if none is needed
+   */
+  suggest(player1Row, player2Row, basis, rules) {
+    if (!player1Row || !player2Row) return null;
+    
+    let player1Value;
+    let player2Value;
+    let step;
+    if (basis === 'winRate') {
+      // Win rates mean nothing before a player's first match
+      if (player1Row.matches === 0 || player2Row.matches === 0) return null;
+      player1Value = player1Row.winPercentage;
+      player2Value = player2Row.winPercentage;
+      step = this.winRatePerStep;
+    } else {
+      player1Value = player1Row.rating;
+      player2Value = player2Row.rating;
+      step = this.ratingPointsPerStep;
+    }
+    
+    const difference = Math.abs(player1Value - player2Value);
+    const points = Math.min(
+      Math.round(difference / step * rules.pointsToWin / Scoring.defaultRules.pointsToWin),
+      this.getMaxPoints(rules)
+    );
+    
+    if (points === 0) return null;
+    
+    return {
+      side: player1Value < player2Value ? 'player1' : 'player2',
+      points,
+      difference
+    };
+  },
+  
+  /**
+   * Check that a handicap can be saved on a match
+   * @param {Object} handicap - Handicap as { side, points }
+   * @param {Object} rules - Scoring rules
+   * @returns {string|null} - Error message, or null if the handicap is valid
+   */
+  getError(handicap, rules) {
+    if (!['player1', 'player2'].includes(handicap.side)) {
+      return 'Please choose who gets the head start';
+    }
+    if (!Number.isInteger(handicap.points) || handicap.points < 1 || handicap.points > this.getMaxPoints(rules)) {
+      return `A head start must be between 1 and ${this.getMaxPoints(rules)} points`;
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Filter matches by whether they were played with a handicap
+   * @param {Array} matches - Array of matches
+   * @param {boolean} includeHandicap - Whether to keep handicap matches
+   * @returns {Array} - Filtered matches
+   */
+  filterMatches(matches, includeHandicap) {
+    return includeHandicap ? matches : matches.filter(match => !match.handicap);
+  }
+};
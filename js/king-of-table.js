@@ -0,0 +1,121 @@
+/**
+ * King of the table for Ping Pong Match Tracker
+ * The winner stays on while challengers wait in a queue
+ */
+
+const KingOfTable = {
+  // Mode tag stored on matches played this way
+  mode: 'king',
+  
+  /**
+   * Get the settings key of a room's queue
+   * @param {string} roomId - Room ID
+   * @returns {string} - Setting key
+   */
+  getSettingKey(roomId) {
+    return `kingQueue_${roomId}`;
+  },
+  
+  /**
+   * Create an empty queue
+   * @param {string} roomId - Room ID
+   * @returns {Object} - Queue state
+   */
+  createQueue(roomId) {
+    return {
+      roomId,
+      kingId: null,
+      kingSince: null,
+      waitlist: [],
+      losersRejoin: true,
+      // Reigns that ended with the king leaving the table, which no match records
+      leftReigns: []
+    };
+  },
+  
+  /**
+   * Add a player to the back of the waitlist
+   * @param {Object} queue - Queue state
+   * @param {string} playerId - Player ID
+   * @returns {Object} - New queue state
+   */
+  join(queue, playerId) {
+    if (queue.kingId === playerId || queue.waitlist.includes(playerId)) {
+      return queue;
+    }
+    
+    return { ...queue, waitlist: [...queue.waitlist, playerId] };
+  },
+  
+  /**
+   * Remove a player from the table, whether waiting or king
+   * @param {Object} queue - Queue state
+   * @param {string} playerId - Player ID
+   * @param {string} date - When they left, as an ISO string
+   * @returns {Object} - New queue state
+   */
+  leave(queue, playerId, date = new Date().toISOString()) {
+    if (queue.kingId === playerId) {
+      const reign = { playerId, start: queue.kingSince, end: date };
+      return { ...queue, kingId: null, kingSince: null, leftReigns: [...(queue.leftReigns || []), reign] };
+    }
+    
+    return { ...queue, waitlist: queue.waitlist.filter(id => id !== playerId) };
+  },
+  
+  /**
+   * Get the players of the next match
+   * Without a king, the first two players in the queue play for the crown
+   * @param {Object} queue - Queue state
+   * @returns {Object|null} - King and challenger IDs, or null if not enough players
+   */
+  getNextMatch(queue) {
+    const players = queue.kingId ? [queue.kingId, ...queue.waitlist] : queue.waitlist;
+    if (players.length < 2) {
+      return null;
+    }
+    
+    return { kingId: players[0], challengerId: players[1] };
+  },
+  
+  /**
+   * Replace one player with another, keeping the replacement only once
+   * @param {Object} queue - Queue state
+   * @param {string} fromId - ID of the player to replace
+   * @param {string} toId - ID of the replacement player
+   * @returns {Object} - New queue state
+   */
+  replacePlayer(queue, fromId, toId) {
+    const kingId = queue.kingId === fromId ? toId : queue.kingId;
+    const waitlist = queue.waitlist.map(id => (id === fromId ? toId : id))
+      .filter((id, index, ids) => id !== kingId && ids.indexOf(id) === index);
+    
+    const leftReigns = (queue.leftReigns || []).map(reign =>
+      (reign.playerId === fromId ? { ...reign, playerId: toId } : reign)
+    );
+    
+    return { ...queue, kingId, waitlist, leftReigns };
+  },
+  
+  /**
+   * Apply a match result: the winner holds the table and the loser rejoins at the back or leaves
+   * @param {Object} queue - Queue state
+   * @param {Object} match - Recorded match
+   * @returns {Object} - New queue state
+   */
+  recordResult(queue, match) {
+    const loserId = match.winnerId === match.player1Id ? match.player2Id : match.player1Id;
+    const waitlist = queue.waitlist.filter(id => id !== match.player1Id && id !== match.player2Id);
+    
+    if (queue.losersRejoin) {
+      waitlist.push(loserId);
+    }
+    
+    return {
+      ...queue,
+      kingId: match.winnerId,
+      kingSince: match.winnerId === queue.kingId ? queue.kingSince : match.date,
+      waitlist
+    };
+  }
+};
@@ -0,0 +1,365 @@
+/**
+ * Challenge ladder for Ping Pong Match Tracker
+ * Keeps players in rung order and tracks challenges between them
+ */
+
+const Ladder = {
+  // Defaults for a new ladder
+  defaultMaxChallengeDistance: 3,
+  defaultDeadlineDays: 7,
+  
+  // Challenges still waiting to be played
+  openStatuses: ['pending', 'accepted'],
+  
+  /**
+   * Create a ladder
+   * @param {string} roomId - Room ID
+   * @param {Array} playerIds - Player IDs from the top rung down
+   * @returns {Object} - Ladder
+   */
+  createLadder(roomId, playerIds) {
+    return {
+      roomId,
+      playerIds: [...playerIds],
+      maxChallengeDistance: this.defaultMaxChallengeDistance,
+      deadlineDays: this.defaultDeadlineDays,
+      challenges: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  },
+  
+  /**
+   * Add new room players at the bottom and drop players who left the room
+   * @param {Object} ladder - Ladder
+   * @param {Array} playerIds - IDs of the players currently in the room
+   * @returns {Object} - Updated ladder, or the same ladder if nothing changed
+   */
+  syncPlayers(ladder, playerIds) {
+    const remaining = ladder.playerIds.filter(id => playerIds.includes(id));
+    const joined = playerIds.filter(id => !ladder.playerIds.includes(id));
+    
+    if (joined.length === 0 && remaining.length === ladder.playerIds.length) {
+      return ladder;
+    }
+    
+    return {
+      ...ladder,
+      playerIds: [...remaining, ...joined],
+      challenges: ladder.challenges.filter(challenge =>
+        !this.isOpen(challenge) ||
+        (remaining.includes(challenge.challengerId) && remaining.includes(challenge.defenderId))
+      )
+    };
+  },
+  
+  /**
+   * Check whether a challenge is still waiting to be played
+   * @param {Object} challenge - Challenge
+   * @returns {boolean} - True for pending and accepted challenges
+   */
+  isOpen(challenge) {
+    return this.openStatuses.includes(challenge.status);
+  },
+  
+  /**
+   * Get the open challenges of a ladder
+   * @param {Object} ladder - Ladder
+   * @returns {Array} - Pending and accepted challenges
+   */
+  getOpenChallenges(ladder) {
+    return ladder.challenges.filter(challenge => this.isOpen(challenge));
+  },
+  
+  /**
+   * Get the players a player is allowed to challenge
+   * @param {Object} ladder - Ladder
+   * @param {string} challengerId - Challenger ID
+   * @returns {Array} - IDs of players up to the maximum number of rungs above who are free to play
+   */
+  getEligibleDefenders(ladder, challengerId) {
+    const position = ladder.playerIds.indexOf(challengerId);
+    if (position <= 0 || this.hasOpenChallenge(ladder, challengerId)) {
+      return [];
+    }
+    
+    return ladder.playerIds
+      .slice(Math.max(0, position - ladder.maxChallengeDistance), position)
+      .filter(id => !this.hasOpenChallenge(ladder, id));
+  },
+  
+  /**
+   * Check whether a player is already in an open challenge
+   * @param {Object} ladder - Ladder
+   * @param {string} playerId - Player ID
+   * @returns {boolean} - True if the player is challenging or being challenged
+   */
+  hasOpenChallenge(ladder, playerId) {
+    return this.getOpenChallenges(ladder).some(challenge =>
+      challenge.challengerId === playerId || challenge.defenderId === playerId
+    );
+  },
+  
+  /**
+   * Get the deadline for the next step of a challenge
+   * @param {Object} ladder - Ladder
+   * @returns {string} - ISO date string
+   */
+  getDeadline(ladder) {
+    const deadline = new Date();
+    deadline.setDate(deadline.getDate() + ladder.deadlineDays);
+    return deadline.toISOString();
+  },
+  
+  /**
+   * Issue a challenge
+   * @param {Object} ladder - Ladder
+   * @param {string} challengerId - Challenger ID
+   * @param {string} defenderId - Defender ID
+   * @returns {Object} - Updated ladder
+   */
+  createChallenge(ladder, challengerId, defenderId) {
+    if (!this.getEligibleDefenders(ladder, challengerId).includes(defenderId)) {
+      throw new Error(`Players can only challenge someone up to ${ladder.maxChallengeDistance} rungs above them who is not already in a challenge`);
+    }
+    
+    const challenge = {
+      id: DB.generateId(),
+      challengerId,
+      defenderId,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      deadline: this.getDeadline(ladder),
+      winnerId: null,
+      matchId: null
+    };
+    
+    return {
+      ...ladder,
+      challenges: [...ladder.challenges, challenge]
+    };
+  },
+  
+  /**
+   * Accept a pending challenge, giving the players until the deadline to play
+   * @param {Object} ladder - Ladder
+   * @param {string} challengeId - Challenge ID
+   * @returns {Object} - Updated ladder
+   */
+  acceptChallenge(ladder, challengeId) {
+    const challenge = ladder.challenges.find(c => c.id === challengeId);
+    if (!challenge || challenge.status !== 'pending') {
+      throw new Error('Only pending challenges can be accepted');
+    }
+    
+    return this.updateChallenge(ladder, challengeId, {
+      status: 'accepted',
+      acceptedAt: new Date().toISOString(),
+      deadline: this.getDeadline(ladder)
+    });
+  },
+  
+  /**
+   * Withdraw an open challenge
+   * @param {Object} ladder - Ladder
+   * @param {string} challengeId - Challenge ID
+   * @returns {Object} - Updated ladder
+   */
+  cancelChallenge(ladder, challengeId) {
+    return {
+      ...ladder,
+      challenges: ladder.challenges.filter(challenge => challenge.id !== challengeId || !this.isOpen(challenge))
+    };
+  },
+  
+  /**
+   * Mark open challenges past their deadline as expired
+   * @param {Object} ladder - Ladder
+   * @returns {Object} - Updated ladder, or the same ladder if nothing expired
+   */
+  expireChallenges(ladder) {
+    const now = new Date();
+    const expired = this.getOpenChallenges(ladder).filter(challenge => new Date(challenge.deadline) < now);
+    
+    if (expired.length === 0) {
+      return ladder;
+    }
+    
+    return {
+      ...ladder,
+      challenges: ladder.challenges.map(challenge =>
+        expired.includes(challenge) ? { ...challenge, status: 'expired' } : challenge
+      )
+    };
+  },
+  
+  /**
+   * Find the accepted challenge between two players
+   * @param {Object} ladder - Ladder
+   * @param {string} player1Id - Player 1 ID
+   * @param {string} player2Id - Player 2 ID
+   * @returns {Object|undefined} - Accepted challenge
+   */
+  findAcceptedChallenge(ladder, player1Id, player2Id) {
+    return ladder.challenges.find(challenge =>
+      challenge.status === 'accepted' &&
+      [player1Id, player2Id].includes(challenge.challengerId) &&
+      [player1Id, player2Id].includes(challenge.defenderId)
+    );
+  },
+  
+  /**
+   * Record the match that settles a challenge; a winning challenger swaps rungs with the defender
+   * @param {Object} ladder - Ladder
+   * @param {string} challengeId - Challenge ID
+   * @param {string} winnerId - Winning player ID
+   * @param {string} matchId - ID of the recorded match
+   * @returns {Object} - Updated ladder
+   */
+  recordResult(ladder, challengeId, winnerId, matchId) {
+    const challenge = ladder.challenges.find(c => c.id === challengeId);
+    if (!challenge || challenge.status !== 'accepted') {
+      throw new Error('Challenge has not been accepted');
+    }
+    
+    const playerIds = [...ladder.playerIds];
+    const challengerPosition = playerIds.indexOf(challenge.challengerId);
+    const defenderPosition = playerIds.indexOf(challenge.defenderId);
+    
+    if (winnerId === challenge.challengerId && challengerPosition > defenderPosition) {
+      playerIds[defenderPosition] = challenge.challengerId;
+      playerIds[challengerPosition] = challenge.defenderId;
+    }
+    
+    return this.updateChallenge({ ...ladder, playerIds }, challengeId, {
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      winnerId,
+      matchId
+    });
+  },
+  
+  /**
+   * Take a player off the ladder, withdrawing their open challenges
+   * @param {Object} ladder - Ladder
+   * @param {string} playerId - Player ID
+   * @returns {Object} - Updated ladder, or the same ladder if the player is not on it
+   */
+  removePlayer(ladder, playerId) {
+    if (!ladder.playerIds.includes(playerId)) {
+      return ladder;
+    }
+    
+    return {
+      ...ladder,
+      playerIds: ladder.playerIds.filter(id => id !== playerId),
+      challenges: ladder.challenges.filter(challenge =>
+        !this.isOpen(challenge) || (challenge.challengerId !== playerId && challenge.defenderId !== playerId)
+      )
+    };
+  },
+  
+  /**
+   * Put a player back on the ladder at the rung they left
+   * @param {Object} ladder - Ladder
+   * @param {string} playerId - Player ID
+   * @param {number} rung - Zero-based rung, from the top
+   * @returns {Object} - Updated ladder, or the same ladder if the player is already on it
+   */
+  insertPlayer(ladder, playerId, rung) {
+    if (ladder.playerIds.includes(playerId)) {
+      return ladder;
+    }
+    
+    const playerIds = [...ladder.playerIds];
+    playerIds.splice(Math.min(rung, playerIds.length), 0, playerId);
+    return { ...ladder, playerIds };
+  },
+  
+  /**
+   * Take back the result of a challenge whose match was deleted, reopening it and undoing the rung swap
+   * @param {Object} ladder - Ladder
+   * @param {string} matchId - ID of the deleted match
+   * @returns {Object} - Updated ladder, or the same ladder if no challenge was settled by the match
+   */
+  undoResult(ladder, matchId) {
+    const challenge = ladder.challenges.find(c => c.status === 'completed' && c.matchId === matchId);
+    if (!challenge) {
+      return ladder;
+    }
+    
+    const playerIds = [...ladder.playerIds];
+    const challengerPosition = playerIds.indexOf(challenge.challengerId);
+    const defenderPosition = playerIds.indexOf(challenge.defenderId);
+    
+    if (challenge.winnerId === challenge.challengerId && challengerPosition >= 0 && challengerPosition < defenderPosition) {
+      playerIds[challengerPosition] = challenge.defenderId;
+      playerIds[defenderPosition] = challenge.challengerId;
+    }
+    
+    return this.updateChallenge({ ...ladder, playerIds }, challenge.id, {
+      status: 'accepted',
+      completedAt: null,
+      winnerId: null,
+      matchId: null
+    });
+  },
+  
+  /**
+   * Replace one player with another throughout a ladder
+   * If both are on the ladder, the replacement keeps the higher rung and the other's open challenges are dropped
+   * @param {Object} ladder - Ladder
+   * @param {string} fromId - ID of the player to replace
+   * @param {string} toId - ID of the replacement player
+   * @returns {Object} - Updated ladder, or the same ladder if the player is not on it
+   */
+  replacePlayer(ladder, fromId, toId) {
+    const fromPosition = ladder.playerIds.indexOf(fromId);
+    if (fromPosition < 0) {
+      return ladder;
+    }
+    
+    const toPosition = ladder.playerIds.indexOf(toId);
+    const playerIds = [...ladder.playerIds];
+    let challenges = ladder.challenges;
+    
+    if (toPosition < 0) {
+      playerIds[fromPosition] = toId;
+    } else {
+      playerIds[Math.min(fromPosition, toPosition)] = toId;
+      playerIds.splice(Math.max(fromPosition, toPosition), 1);
+      challenges = challenges.filter(challenge =>
+        !this.isOpen(challenge) || (challenge.challengerId !== fromId && challenge.defenderId !== fromId)
+      );
+    }
+    
+    const replace = id => (id === fromId ? toId : id);
+    
+    return {
+      ...ladder,
+      playerIds,
+      challenges: challenges.map(challenge => ({
+        ...challenge,
+        challengerId: replace(challenge.challengerId),
+        defenderId: replace(challenge.defenderId),
+        winnerId: replace(challenge.winnerId)
+      }))
+    };
+  },
+  
+  /**
+   * Apply changes to one challenge
+   * @param {Object} ladder - Ladder
+   * @param {string} challengeId - Challenge ID
+   * @param {Object} changes - Challenge fields to change
+   * @returns {Object} - Updated ladder
+   */
+  updateChallenge(ladder, challengeId, changes) {
+    return {
+      ...ladder,
+      challenges: ladder.challenges.map(challenge =>
+        challenge.id === challengeId ? { ...challenge, ...changes } : challenge
+      )
+    };
+  }
+};
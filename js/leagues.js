@@ -0,0 +1,237 @@
+/**
+ * Round-robin leagues for Ping Pong Match Tracker
+ * Builds fixture schedules and league tables
+ */
+
+const Leagues = {
+  // Default points awarded per fixture
+  defaultPointsForWin: 2,
+  defaultPointsForLoss: 1,
+  
+  formats: {
+    single: 'Single Round',
+    double: 'Double Round',
+    swiss: 'Swiss'
+  },
+  
+  /**
+   * Create a round-robin schedule using the circle method
+   * One player stays fixed while the others rotate, so every round pairs everyone once
+   * @param {Array} playerIds - Player IDs
+   * @param {string} format - 'single' or 'double' (everyone meets twice, sides swapped)
+   * @returns {Array} - Fixtures ordered by round
+   */
+  createFixtures(playerIds, format) {
+    // With an odd number of players, whoever meets the empty slot sits the round out
+    let circle = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null];
+    const roundCount = circle.length - 1;
+    const fixtures = [];
+    
+    for (let round = 1; round <= roundCount; round++) {
+      for (let i = 0; i < circle.length / 2; i++) {
+        const home = circle[i];
+        const away = circle[circle.length - 1 - i];
+        if (!home || !away) continue;
+        
+        // Alternate sides for the fixed player so nobody is always player 1
+        const swap = i === 0 && round % 2 === 0;
+        fixtures.push(this.createFixture(round, swap ? away : home, swap ? home : away));
+      }
+      
+      // Rotate everyone except the first player
+      circle = [circle[0], circle[circle.length - 1], ...circle.slice(1, -1)];
+    }
+    
+    if (format === 'double') {
+      fixtures.slice().forEach(fixture => {
+        fixtures.push(this.createFixture(fixture.round + roundCount, fixture.player2Id, fixture.player1Id));
+      });
+    }
+    
+    // Number fixtures within each round
+    fixtures.forEach(fixture => {
+      const position = fixtures.filter(other => other.round === fixture.round).indexOf(fixture) + 1;
+      fixture.id = `R${fixture.round}-${position}`;
+    });
+    
+    return fixtures;
+  },
+  
+  /**
+   * Create an unplayed fixture
+   * @param {number} round - Round number
+   * @param {string} player1Id - Player 1 ID
+   * @param {string} player2Id - Player 2 ID
+   * @returns {Object} - Fixture
+   */
+  createFixture(round, player1Id, player2Id) {
+    return {
+      id: null,
+      round,
+      player1Id,
+      player2Id,
+      winnerId: null,
+      matchId: null
+    };
+  },
+  
+  /**
+   * Check whether a match between two players can be recorded for a fixture
+   * @param {Object} league - League object
+   * @param {string} fixtureId - Fixture ID
+   * @param {Array} playerIds - IDs of the two players in the recorded match
+   * @returns {boolean} - True if the fixture is unplayed and involves these players
+   */
+  canRecord(league, fixtureId, playerIds) {
+    const fixture = league.fixtures.find(f => f.id === fixtureId);
+    return Boolean(fixture && !fixture.matchId &&
+      playerIds.includes(fixture.player1Id) && playerIds.includes(fixture.player2Id));
+  },
+  
+  /**
+   * Record the result of a fixture
+   * @param {Object} league - League object
+   * @param {string} fixtureId - Fixture ID
+   * @param {string} winnerId - Winning player ID
+   * @param {string} matchId - ID of the recorded match
+   * @returns {Object} - Updated league
+   */
+  recordResult(league, fixtureId, winnerId, matchId) {
+    const fixture = league.fixtures.find(f => f.id === fixtureId);
+    if (!fixture || fixture.matchId) {
+      throw new Error('Fixture has already been played');
+    }
+    
+    return this.updateFixture(league, fixtureId, { winnerId, matchId });
+  },
+  
+  /**
+   * Reopen a fixture whose match was deleted
+   * @param {Object} league - League object
+   * @param {string} matchId - ID of the deleted match
+   * @returns {Object} - Updated league
+   */
+  clearResult(league, matchId) {
+    const fixture = league.fixtures.find(f => f.matchId === matchId);
+    return fixture ? this.updateFixture(league, fixture.id, { winnerId: null, matchId: null }) : league;
+  },
+  
+  /**
+   * Apply changes to one fixture and update the league status
+   * @param {Object} league - League object
+   * @param {string} fixtureId - Fixture ID
+   * @param {Object} changes - Fixture fields to change
+   * @returns {Object} - Updated league
+   */
+  updateFixture(league, fixtureId, changes) {
+    const fixtures = league.fixtures.map(fixture =>
+      fixture.id === fixtureId ? { ...fixture, ...changes } : fixture
+    );
+    
+    return {
+      ...league,
+      fixtures,
+      status: this.isComplete({ ...league, fixtures }) ? 'completed' : 'active'
+    };
+  },
+  
+  /**
+   * Replace one player with another throughout a league
+   * @param {Object} league - League object
+   * @param {string} fromId - ID of the player to replace
+   * @param {string} toId - ID of the replacement player
+   * @returns {Object} - Updated league
+   */
+  replacePlayer(league, fromId, toId) {
+    const replace = id => (id === fromId ? toId : id);
+    const updatedLeague = {
+      ...league,
+      playerIds: league.playerIds.map(replace),
+      fixtures: league.fixtures.map(fixture => ({
+        ...fixture,
+        player1Id: replace(fixture.player1Id),
+        player2Id: replace(fixture.player2Id),
+        winnerId: replace(fixture.winnerId)
+      }))
+    };
+    
+    if (league.byes) {
+      updatedLeague.byes = league.byes.map(bye => ({ ...bye, playerId: replace(bye.playerId) }));
+    }
+    
+    return updatedLeague;
+  },
+  
+  /**
+   * Check whether every fixture of a league has been played
+   * @param {Object} league - League object
+   * @returns {boolean} - True if the league is finished
+   */
+  isComplete(league) {
+    const allPlayed = league.fixtures.every(fixture => fixture.matchId);
+    
+    // Swiss rounds are paired one at a time
+    if (league.format === 'swiss') {
+      return allPlayed && Swiss.getPairedRounds(league) >= league.rounds;
+    }
+    
+    return allPlayed;
+  },
+  
+  /**
+   * Calculate the league table
+   * @param {Object} league - League object
+   * @param {Array} matches - Matches in the room
+   * @returns {Array} - Table rows sorted by points, wins and game difference
+   */
+  calculateTable(league, matches) {
+    const matchMap = new Map(matches.map(match => [match.id, match]));
+    const rows = new Map(league.playerIds.map(id => [id, {
+      id,
+      played: 0,
+      wins: 0,
+      losses: 0,
+      gamesWon: 0,
+      gamesLost: 0,
+      points: 0
+    }]));
+    
+    league.fixtures.forEach(fixture => {
+      const match = matchMap.get(fixture.matchId);
+      if (!match) return;
+      
+      [['player1', 'player2'], ['player2', 'player1']].forEach(([side, opponent]) => {
+        const row = rows.get(match[`${side}Id`]);
+        if (!row) return;
+        
+        row.played++;
+        row.gamesWon += match[`${side}Score`];
+        row.gamesLost += match[`${opponent}Score`];
+        
+        if (match.winnerId === row.id) {
+          row.wins++;
+          row.points += league.pointsForWin;
+        } else {
+          row.losses++;
+          row.points += league.pointsForLoss;
+        }
+      });
+    });
+    
+    return Array.from(rows.values()).sort((a, b) => {
+      if (b.points !== a.points) return b.points - a.points;
+      if (b.wins !== a.wins) return b.wins - a.wins;
+      return (b.gamesWon - b.gamesLost) - (a.gamesWon - a.gamesLost);
+    });
+  },
+  
+  /**
+   * Get the first round that still has unplayed fixtures
+   * @param {Object} league - League object
+   * @returns {number|null} - Round number, or null if every fixture is played
+   */
+  getCurrentRound(league) {
+    const unplayed = league.fixtures.filter(fixture => !fixture.matchId);
+    return unplayed.length > 0 ? Math.min(...unplayed.map(fixture => fixture.round)) : null;
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Live match scoring for Ping Pong Match Tracker
+ * Tracks a match point by point, following table tennis serve rotation
+ */
+
+const LiveMatch = {
+  // Serve rules
+  servesPerTurn: 2,
+  
+  /**
+   * Get the settings key of a room's live match
+   * @param {string} roomId - Room ID
+   * @returns {string} - Setting key
+   */
+  getSettingKey(roomId) {
+    return `liveMatch_${roomId}`;
+  },
+  
+  /**
+   * Create the state for a new live match
+   * @param {Object} options - Room ID, player IDs, first server ('player1' or 'player2') and the room's scoring rules
+   * @returns {Object} - Live match state
+   */
+  createState({ roomId, player1Id, player2Id, firstServer, rules }) {
+    return {
+      roomId,
+      player1Id,
+      player2Id,
+      firstServer: firstServer || 'player1',
+      matchFormat: rules.matchFormat,
+      scoringRules: {
+        pointsToWin: rules.pointsToWin,
+        winByTwo: rules.winByTwo,
+        maxDeuce: rules.maxDeuce
+      },
+      games: [{ player1Score: 0, player2Score: 0 }],
+      points: [],
+      startedAt: new Date().toISOString()
+    };
+  },
+  
+  /**
+   * Get the scoring rules a live match is played under
+   * Matches started before rooms had scoring rules use the defaults
+   * @param {Object} state - Live match state
+   * @returns {Object} - Scoring rules
+   */
+  getRules(state) {
+    return { ...Scoring.defaultRules, ...state.scoringRules, matchFormat: state.matchFormat };
+  },
+  
+  /**
+   * Get the game currently being played (or the last game once the match is over)
+   * @param {Object} state - Live match state
+   * @returns {Object} - Game score
+   */
+  getCurrentGame(state) {
+    return state.games[state.games.length - 1];
+  },
+  
+  /**
+   * Get the side that serves the next point
+   * Serve changes every 2 points, and every point once both players reach deuce
+   * @param {Object} state - Live match state
+   * @returns {string} - 'player1' or 'player2'
+   */
+  getServer(state) {
+    const gameIndex = state.games.length - 1;
+    const game = this.getCurrentGame(state);
+    const pointsPlayed = game.player1Score + game.player2Score;
+    const deucePoints = (this.getRules(state).pointsToWin - 1) * 2;
+    
+    // The first server alternates each game
+    const gameFirstServer = gameIndex % 2 === 0 ? state.firstServer : this.getOpponent(state.firstServer);
+    
+    const serviceTurns = pointsPlayed < deucePoints
+      ? Math.floor(pointsPlayed / this.servesPerTurn)
+      : deucePoints / this.servesPerTurn + (pointsPlayed - deucePoints);
+    
+    return serviceTurns % 2 === 0 ? gameFirstServer : this.getOpponent(gameFirstServer);
+  },
+  
+  /**
+   * Get the other side
+   * @param {string} side - 'player1' or 'player2'
+   * @returns {string} - The opposing side
+   */
+  getOpponent(side) {
+    return side === 'player1' ? 'player2' : 'player1';
+  },
+  
+  /**
+   * Get the completed games of a live match
+   * @param {Object} state - Live match state
+   * @returns {Array} - Completed game scores
+   */
+  getCompletedGames(state) {
+    const rules = this.getRules(state);
+    return state.games.filter(game => Scoring.isGameOver(game, rules));
+  },
+  
+  /**
+   * Check whether the match is over
+   * @param {Object} state - Live match state
+   * @returns {boolean} - True if a player has won enough games
+   */
+  isMatchOver(state) {
+    const gamesWon = Stats.countGamesWon(this.getCompletedGames(state));
+    const gamesToWin = Math.ceil(state.matchFormat / 2);
+    return gamesWon.player1 >= gamesToWin || gamesWon.player2 >= gamesToWin;
+  },
+  
+  /**
+   * Award a point to one side
+   * @param {Object} state - Live match state
+   * @param {string} side - 'player1' or 'player2'
+   * @returns {Object} - New live match state
+   */
+  awardPoint(state, side) {
+    if (this.isMatchOver(state)) {
+      return state;
+    }
+    
+    const server = this.getServer(state);
+    const games = state.games.map(game => ({ ...game }));
+    const game = games[games.length - 1];
+    game[`${side}Score`]++;
+    
+    const points = [...state.points, {
+      game: games.length,
+      winner: side,
+      server,
+      player1Score: game.player1Score,
+      player2Score: game.player2Score
+    }];
+    
+    const newState = { ...state, games, points };
+    
+    // Start the next game unless the match is decided
+    if (Scoring.isGameOver(game, this.getRules(state)) && !this.isMatchOver(newState)) {
+      newState.games.push({ player1Score: 0, player2Score: 0 });
+    }
+    
+    return newState;
+  },
+  
+  /**
+   * Undo the last point by replaying the rest of the sequence
+   * @param {Object} state - Live match state
+   * @returns {Object} - New live match state
+   */
+  undoPoint(state) {
+    let newState = {
+      ...state,
+      games: [{ player1Score: 0, player2Score: 0 }],
+      points: []
+    };
+    
+    state.points.slice(0, -1).forEach(point => {
+      newState = this.awardPoint(newState, point.winner);
+    });
+    
+    return newState;
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Match predictions for Ping Pong Match Tracker
+ * Estimates win probabilities before a match and finds the upsets afterwards
+ */
+
+const Predictions = {
+  // Head-to-head history counts for at most this share of a prediction
+  maxHeadToHeadWeight: 0.5,
+  
+  // Meetings needed before head-to-head history carries half its full weight
+  headToHeadHalfWeightMatches: 5,
+  
+  // Number of upsets listed on the Statistics tab
+  upsetLimit: 10,
+  
+  /**
+   * Predict the winner of a singles match from ratings and head-to-head history
+   * The rating system's expected score is blended with the pair's smoothed head-to-head
+   * win rate, which weighs more the more often they have met
+   * @param {Array} players - Players in the room
+   * @param {Array} matches - Matches played before this one
+   * @param {string} systemId - Rating system ID
+   * @param {string} player1Id - Player 1 ID
+   * @param {string} player2Id - Player 2 ID
+   * @returns {Object} - Win probabilities and what they were based on
+   */
+  predict(players, matches, systemId, player1Id, player2Id) {
+    const system = RatingSystems.get(systemId);
+    const { ratings } = Stats.calculateRatings(players, matches, systemId);
+    const player1Rating = ratings[player1Id] || system.createRating();
+    const player2Rating = ratings[player2Id] || system.createRating();
+    const ratingProbability = system.getExpectedScore(player1Rating, player2Rating);
+    
+    const headToHead = Stats.calculateHeadToHead({ id: player1Id }, { id: player2Id }, matches);
+    const headToHeadProbability = (headToHead.player1Wins + 1) / (headToHead.totalMatches + 2);
+    const headToHeadWeight = this.maxHeadToHeadWeight * headToHead.totalMatches /
+      (headToHead.totalMatches + this.headToHeadHalfWeightMatches);
+    
+    const player1Probability = (1 - headToHeadWeight) * ratingProbability + headToHeadWeight * headToHeadProbability;
+    
+    return {
+      player1: this.round(player1Probability),
+      player2: this.round(1 - player1Probability),
+      ratingProbability: this.round(ratingProbability),
+      headToHead: {
+        matches: headToHead.totalMatches,
+        player1Wins: headToHead.player1Wins,
+        player2Wins: headToHead.player2Wins
+      }
+    };
+  },
+  
+  /**
+   * Round a probability for storage
+   * @param {number} probability - Probability between 0 and 1
+   * @returns {number} - Probability to 3 decimal places
+   */
+  round(probability) {
+    return Math.round(probability * 1000) / 1000;
+  },
+  
+  /**
+   * Get the chance the winner of a match was given beforehand
+   * @param {Object} match - Match with a prediction
+   * @returns {number} - Winner's predicted win probability
+   */
+  getWinnerProbability(match) {
+    return match.winnerId === match.player1Id ? match.prediction.player1 : match.prediction.player2;
+  },
+  
+  /**
+   * Check whether the underdog won a match
+   * @param {Object} match - Match object
+   * @returns {boolean} - True if the winner was given less than an even chance
+   */
+  isUpset(match) {
+    return Boolean(match.prediction) && this.getWinnerProbability(match) < 0.5;
+  },
+  
+  /**
+   * Get the biggest upsets, least expected first
+   * @param {Array} matches - Array of matches
+   * @param {number} limit - Most upsets to return
+   * @returns {Array} - Upset matches
+   */
+  getUpsets(matches, limit = this.upsetLimit) {
+    return matches
+      .filter(match => this.isUpset(match))
+      .sort((a, b) => this.getWinnerProbability(a) - this.getWinnerProbability(b))
+      .slice(0, limit);
+  },
+  
+  /**
+   * Measure how often the favorite won
+   * Matches predicted as an even contest have no favorite and are not counted
+   * @param {Array} matches - Array of matches
+   * @returns {Object} - Number of predicted matches, correct predictions and accuracy percentage
+   */
+  calculateAccuracy(matches) {
+    const predicted = matches.filter(match => match.prediction && match.prediction.player1 !== 0.5);
+    const correct = predicted.filter(match => this.getWinnerProbability(match) > 0.5).length;
+    
+    return {
+      predicted: predicted.length,
+      correct,
+      percentage: predicted.length > 0 ? Math.round((correct / predicted.length) * 100) : 0
+    };
+  }
+};
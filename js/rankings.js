@@ -0,0 +1,138 @@
+/**
+ * Leaderboard rankings for Ping Pong Match Tracker
+ * Orders leaderboard rows by a room's ranking metric, tiebreakers and qualification rule
+ */
+
+const Rankings = {
+  // What players can be ranked by, keyed by setting ID
+  metrics: {
+    rating: { name: 'Rating', key: 'rating' },
+    winPercentage: { name: 'Win %', key: 'winPercentage' },
+    wins: { name: 'Wins', key: 'wins' },
+    wilson: { name: 'Win % confidence (Wilson lower bound)', key: 'wilsonScore' }
+  },
+  
+  // Ways to separate players level on the metric
+  tiebreakers: {
+    headToHead: 'Head-to-head record among the tied players',
+    pointDifferential: 'Point differential',
+    matches: 'Fewest matches played'
+  },
+  
+  // Settings used by rooms that have not changed them
+  defaultSettings: {
+    metric: 'rating',
+    tiebreakers: ['headToHead', 'pointDifferential', 'matches'],
+    minMatches: 0
+  },
+  
+  /**
+   * Get the leaderboard settings of a room
+   * @param {Object} room - Room object
+   * @returns {Object} - Metric ID, ordered tiebreaker IDs and minimum matches to qualify
+   */
+  getSettings(room) {
+    const settings = { ...this.defaultSettings, ...(room && room.leaderboardSettings) };
+    
+    return {
+      metric: this.metrics[settings.metric] ? settings.metric : this.defaultSettings.metric,
+      tiebreakers: settings.tiebreakers.filter(id => this.tiebreakers[id]),
+      minMatches: settings.minMatches
+    };
+  },
+  
+  /**
+   * Check that leaderboard settings can be saved
+   * @param {Object} settings - Leaderboard settings
+   * @returns {string|null} - Error message, or null if the settings are valid
+   */
+  getError(settings) {
+    if (!this.metrics[settings.metric]) {
+      return 'Please choose a ranking metric';
+    }
+    if (!Array.isArray(settings.tiebreakers) || settings.tiebreakers.some(id => !this.tiebreakers[id])) {
+      return 'Please choose valid tiebreakers';
+    }
+    if (new Set(settings.tiebreakers).size !== settings.tiebreakers.length) {
+      return 'Each tiebreaker can only be used once';
+    }
+    if (!Number.isInteger(settings.minMatches) || settings.minMatches < 0) {
+      return 'Minimum matches must be a whole number of 0 or more';
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Rank leaderboard rows
+   * Players below the minimum are listed separately as provisional, in the same order
+   * @param {Array} rows - Leaderboard rows from Stats.generateLeaderboardData
+   * @param {Array} matches - Matches the rows were built from, for head-to-head tiebreaks
+   * @param {Object} settings - Leaderboard settings
+   * @returns {Object} - Qualified rows with their rank, and provisional rows
+   */
+  rank(rows, matches, settings) {
+    const ordered = this.sort(rows, matches, settings);
+    const ranked = ordered.filter(row => row.matches >= settings.minMatches);
+    
+    return {
+      ranked: ranked.map((row, index) => ({ ...row, rank: index + 1 })),
+      provisional: ordered.filter(row => row.matches < settings.minMatches)
+    };
+  },
+  
+  /**
+   * Sort rows by the metric, breaking ties within each level group
+   * @param {Array} rows - Leaderboard rows
+   * @param {Array} matches - Array of matches
+   * @param {Object} settings - Leaderboard settings
+   * @returns {Array} - Sorted rows
+   */
+  sort(rows, matches, settings) {
+    const { key } = this.metrics[settings.metric];
+    const byMetric = [...rows].sort((a, b) => b[key] - a[key]);
+    const sorted = [];
+    
+    // Head-to-head only counts matches among the players who are level, so ties are settled a group at a time
+    for (let start = 0; start < byMetric.length;) {
+      let end = start + 1;
+      while (end < byMetric.length && byMetric[end][key] === byMetric[start][key]) end++;
+      sorted.push(...this.breakTies(byMetric.slice(start, end), matches, settings.tiebreakers));
+      start = end;
+    }
+    
+    return sorted;
+  },
+  
+  /**
+   * Order players who are level on the metric
+   * @param {Array} group - Rows level on the metric
+   * @param {Array} matches - Array of matches
+   * @param {Array} tiebreakers - Tiebreaker IDs in order
+   * @returns {Array} - Ordered rows
+   */
+  breakTies(group, matches, tiebreakers) {
+    if (group.length < 2) return group;
+    
+    // Net wins against the rest of the group
+    const records = Stats.generateRivalryMatrix(group.map(row => row.id), matches);
+    const headToHead = new Map(group.map(row => [
+      row.id,
+      Object.values(records[row.id]).reduce((total, record) => total + record.wins - record.losses, 0)
+    ]));
+    
+    const values = {
+      headToHead: row => headToHead.get(row.id),
+      pointDifferential: row => row.pointDifferential,
+      matches: row => -row.matches
+    };
+    
+    return [...group].sort((a, b) => {
+      for (const id of tiebreakers) {
+        const difference = values[id](b) - values[id](a);
+        if (difference !== 0) return difference;
+      }
+      return a.name.localeCompare(b.name);
+    });
+  }
+};
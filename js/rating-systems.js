@@ -0,0 +1,232 @@
+/**
+ * Rating systems for Ping Pong Match Tracker
+ * Pluggable rating models that can be selected per room
+ */
+
+const RatingSystems = {
+  // System used when a room has not chosen one
+  defaultSystem: 'elo',
+  
+  systems: {
+    /**
+     * Classic Elo with a fixed K-factor
+     */
+    elo: {
+      name: 'Elo',
+      description: 'Simple points exchange between winner and loser',
+      initialRating: 1000,
+      kFactor: 32,
+      
+      /**
+       * Create the starting rating for a new player
+       * @returns {Object} - Rating state
+       */
+      createRating() {
+        return { rating: this.initialRating };
+      },
+      
+      /**
+       * Calculate the expected score of a player against an opponent
+       * @param {Object} player - Player rating state
+       * @param {Object} opponent - Opponent rating state
+       * @returns {number} - Expected score between 0 and 1
+       */
+      getExpectedScore(player, opponent) {
+        return 1 / (1 + Math.pow(10, (opponent.rating - player.rating) / 400));
+      },
+      
+      /**
+       * Update both ratings after a match
+       * @param {Object} player1 - Player 1 rating state
+       * @param {Object} player2 - Player 2 rating state
+       * @param {number} player1Score - 1 if player 1 won, 0 if player 1 lost
+       * @returns {Array} - New rating states for player 1 and player 2
+       */
+      updateRatings(player1, player2, player1Score) {
+        const delta = this.kFactor * (player1Score - this.getExpectedScore(player1, player2));
+        return [
+          { rating: player1.rating + delta },
+          { rating: player2.rating - delta }
+        ];
+      },
+      
+      /**
+       * Get the 95% confidence interval of a rating
+       * @returns {null} - Elo does not track uncertainty
+       */
+      getConfidenceInterval() {
+        return null;
+      }
+    },
+    
+    /**
+     * Glicko-2, treating every match as its own rating period
+     * See http://www.glicko.net/glicko/glicko2.pdf
+     */
+    glicko2: {
+      name: 'Glicko-2',
+      description: 'Tracks rating uncertainty, which shrinks as a player plays more',
+      initialRating: 1500,
+      initialDeviation: 350,
+      initialVolatility: 0.06,
+      tau: 0.5,
+      scale: 173.7178,
+      
+      /**
+       * Create the starting rating for a new player
+       * @returns {Object} - Rating state
+       */
+      createRating() {
+        return {
+          rating: this.initialRating,
+          deviation: this.initialDeviation,
+          volatility: this.initialVolatility
+        };
+      },
+      
+      /**
+       * Reduce the impact of a game based on the opponent's deviation
+       * @param {number} phi - Opponent deviation on the Glicko-2 scale
+       * @returns {number} - Weighting factor
+       */
+      g(phi) {
+        return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+      },
+      
+      /**
+       * Calculate the expected score of a player against an opponent
+       * @param {Object} player - Player rating state
+       * @param {Object} opponent - Opponent rating state
+       * @returns {number} - Expected score between 0 and 1
+       */
+      getExpectedScore(player, opponent) {
+        const mu = (player.rating - this.initialRating) / this.scale;
+        const opponentMu = (opponent.rating - this.initialRating) / this.scale;
+        const opponentPhi = opponent.deviation / this.scale;
+        return 1 / (1 + Math.exp(-this.g(opponentPhi) * (mu - opponentMu)));
+      },
+      
+      /**
+       * Calculate a player's new rating state against a single opponent
+       * @param {Object} player - Player rating state
+       * @param {Object} opponent - Opponent rating state
+       * @param {number} score - 1 for a win, 0 for a loss
+       * @returns {Object} - New rating state
+       */
+      updateRating(player, opponent, score) {
+        const mu = (player.rating - this.initialRating) / this.scale;
+        const phi = player.deviation / this.scale;
+        const sigma = player.volatility;
+        const opponentPhi = opponent.deviation / this.scale;
+        
+        const g = this.g(opponentPhi);
+        const expected = this.getExpectedScore(player, opponent);
+        const variance = 1 / (g * g * expected * (1 - expected));
+        const delta = variance * g * (score - expected);
+        
+        // Find the new volatility with the Illinois algorithm
+        const a = Math.log(sigma * sigma);
+        const f = x => {
+          const ex = Math.exp(x);
+          const denominator = phi * phi + variance + ex;
+          return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denominator * denominator) -
+            (x - a) / (this.tau * this.tau);
+        };
+        
+        let lower = a;
+        let upper;
+        if (delta * delta > phi * phi + variance) {
+          upper = Math.log(delta * delta - phi * phi - variance);
+        } else {
+          let k = 1;
+          while (f(a - k * this.tau) < 0) {
+            k++;
+          }
+          upper = a - k * this.tau;
+        }
+        
+        let fLower = f(lower);
+        let fUpper = f(upper);
+        while (Math.abs(upper - lower) > 0.000001) {
+          const next = lower + ((lower - upper) * fLower) / (fUpper - fLower);
+          const fNext = f(next);
+          if (fNext * fUpper <= 0) {
+            lower = upper;
+            fLower = fUpper;
+          } else {
+            fLower = fLower / 2;
+          }
+          upper = next;
+          fUpper = fNext;
+        }
+        
+        const newSigma = Math.exp(lower / 2);
+        const prePhi = Math.sqrt(phi * phi + newSigma * newSigma);
+        const newPhi = 1 / Math.sqrt(1 / (prePhi * prePhi) + 1 / variance);
+        const newMu = mu + newPhi * newPhi * g * (score - expected);
+        
+        return {
+          rating: this.scale * newMu + this.initialRating,
+          deviation: this.scale * newPhi,
+          volatility: newSigma
+        };
+      },
+      
+      /**
+       * Update both ratings after a match
+       * @param {Object} player1 - Player 1 rating state
+       * @param {Object} player2 - Player 2 rating state
+       * @param {number} player1Score - 1 if player 1 won, 0 if player 1 lost
+       * @returns {Array} - New rating states for player 1 and player 2
+       */
+      updateRatings(player1, player2, player1Score) {
+        return [
+          this.updateRating(player1, player2, player1Score),
+          this.updateRating(player2, player1, 1 - player1Score)
+        ];
+      },
+      
+      /**
+       * Get the 95% confidence interval of a rating
+       * @param {Object} state - Rating state
+       * @returns {Object} - Lower and upper bounds
+       */
+      getConfidenceInterval(state) {
+        return {
+          low: state.rating - 1.96 * state.deviation,
+          high: state.rating + 1.96 * state.deviation
+        };
+      }
+    }
+  },
+  
+  /**
+   * Get a rating system by ID
+   * @param {string} id - Rating system ID
+   * @returns {Object} - Rating system, falling back to the default
+   */
+  get(id) {
+    return this.systems[id] || this.systems[this.defaultSystem];
+  },
+  
+  /**
+   * Get the ID of a room's rating system
+   * @param {Object} room - Room object
+   * @returns {string} - Rating system ID
+   */
+  getSystemId(room) {
+    return room && this.systems[room.ratingSystem] ? room.ratingSystem : this.defaultSystem;
+  },
+  
+  /**
+   * Get all available rating systems
+   * @returns {Array} - Array of { id, name, description }
+   */
+  getAll() {
+    return Object.entries(this.systems).map(([id, system]) => ({
+      id,
+      name: system.name,
+      description: system.description
+    }));
+  }
+};
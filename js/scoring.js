@@ -0,0 +1,274 @@
+/**
+ * Scoring rules for Ping Pong Match Tracker
+ * Checks game and match results against a room's scoring rules
+ */
+
+const Scoring = {
+  // Rules used by rooms that have not changed them
+  defaultRules: {
+    pointsToWin: 11,
+    winByTwo: true,
+    maxDeuce: null
+  },
+  
+  // Points a game can be played to
+  pointsOptions: [11, 21],
+  
+  /**
+   * Get the scoring rules of a room
+   * @param {Object} room - Room object
+   * @returns {Object} - Points to win, win-by-2, max deuce length and best-of game count
+   */
+  getRules(room) {
+    return {
+      ...this.defaultRules,
+      ...(room && room.scoringRules),
+      matchFormat: (room && parseInt(room.matchFormat)) || DB.defaultMatchFormat
+    };
+  },
+  
+  /**
+   * Get the scoring rules a match was played under
+   * Matches saved before their rules were stored on them fall back to the room's current rules
+   * @param {Object} match - Match object
+   * @param {Object} room - Room object
+   * @returns {Object} - Scoring rules
+   */
+  getMatchRules(match, room) {
+    if (!match.scoringRules) {
+      return this.getRules(room);
+    }
+    
+    return {
+      ...this.defaultRules,
+      ...match.scoringRules,
+      matchFormat: parseInt(match.matchFormat) || this.getRules(room).matchFormat
+    };
+  },
+  
+  /**
+   * Get the number of games needed to win a match
+   * @param {Object} rules - Scoring rules
+   * @returns {number} - Games to win
+   */
+  getGamesToWin(rules) {
+    return Math.ceil(rules.matchFormat / 2);
+  },
+  
+  /**
+   * Get the most points a game can reach when deuce is capped
+   * @param {Object} rules - Scoring rules
+   * @returns {number|null} - Capped score, or null if deuce can go on forever
+   */
+  getGameCap(rules) {
+    return rules.winByTwo && Number.isInteger(rules.maxDeuce) ? rules.pointsToWin + rules.maxDeuce : null;
+  },
+  
+  /**
+   * Check whether a game is over
+   * @param {Object} game - Game score
+   * @param {Object} rules - Scoring rules
+   * @returns {boolean} - True if a player has won the game
+   */
+  isGameOver(game, rules) {
+    const high = Math.max(game.player1Score, game.player2Score);
+    const low = Math.min(game.player1Score, game.player2Score);
+    const cap = this.getGameCap(rules);
+    
+    if (high < rules.pointsToWin) return false;
+    if (!rules.winByTwo || high === cap) return true;
+    return high - low >= 2;
+  },
+  
+  /**
+   * Explain why a game score is not possible under the rules
+   * @param {Object} game - Game score with numeric player1Score and player2Score
+   * @param {Object} rules - Scoring rules
+   * @returns {string|null} - Error message, or null if the score is valid
+   */
+  getGameError(game, rules) {
+    const { player1Score, player2Score } = game;
+    const target = rules.pointsToWin;
+    
+    if (!Number.isInteger(player1Score) || !Number.isInteger(player2Score)) {
+      return 'Scores must be whole numbers';
+    }
+    if (player1Score < 0 || player2Score < 0) {
+      return 'Scores cannot be negative';
+    }
+    if (player1Score === player2Score) {
+      return 'A game cannot end in a tie';
+    }
+    
+    const high = Math.max(player1Score, player2Score);
+    const low = Math.min(player1Score, player2Score);
+    
+    if (high < target) {
+      return `The winner of a game needs at least ${target} points`;
+    }
+    
+    if (!rules.winByTwo) {
+      return high === target ? null : `A game ends as soon as a player reaches ${target} points`;
+    }
+    
+    // Past the target a game only ends on a 2-point lead, or at the cap
+    const cap = this.getGameCap(rules);
+    if (cap !== null && high > cap) {
+      return `A game cannot go past ${cap} points`;
+    }
+    if (high - low < 2 && high !== cap) {
+      return `${high}-${low} is not a finished game: a game must be won by 2 points`;
+    }
+    if (high > target && high - low > 2) {
+      return `${high}-${low} is not possible: after deuce a game ends as soon as a player leads by 2`;
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Check every game of a match and the games won against the rules
+   * @param {Array} games - Game scores with numeric player1Score and player2Score
+   * @param {Object} rules - Scoring rules
+   * @returns {Object} - Error message or null for each game, and for the match as a whole
+   */
+  getMatchErrors(games, rules) {
+    const gameErrors = games.map(game => this.getGameError(game, rules));
+    let matchError = null;
+    
+    if (games.length === 0) {
+      matchError = 'Please enter scores for every game';
+    } else if (gameErrors.every(error => error === null)) {
+      matchError = this.getGamesWonError(games, rules);
+    }
+    
+    return { games: gameErrors, match: matchError };
+  },
+  
+  /**
+   * Check that a match ended as soon as a player won the games it was played to
+   * @param {Array} games - Game scores with numeric player1Score and player2Score
+   * @param {Object} rules - Scoring rules
+   * @returns {string|null} - Error message, or null if the games won fit the match format
+   */
+  getGamesWonError(games, rules) {
+    // The winner must reach the required number of games in the last game played
+    const gamesToWin = this.getGamesToWin(rules);
+    const gamesWon = Stats.countGamesWon(games);
+    const lastGame = games[games.length - 1];
+    const lastGameWinner = lastGame.player1Score > lastGame.player2Score ? 'player1' : 'player2';
+    
+    if (Math.max(gamesWon.player1, gamesWon.player2) !== gamesToWin || gamesWon[lastGameWinner] !== gamesToWin) {
+      return `A best of ${rules.matchFormat} match ends when a player wins ${gamesToWin} games`;
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Get the rules an edit of a match is checked against
+   * Matches saved without their rules keep the format their original games were played to,
+   * unless those games are under review and cannot be trusted
+   * @param {Object} match - Match before the edit
+   * @param {Object} room - Room object
+   * @returns {Object} - Scoring rules
+   */
+  getEditRules(match, room) {
+    const rules = this.getMatchRules(match, room);
+    if (match.scoringRules || match.needsReview || !Array.isArray(match.games) || match.games.length === 0) {
+      return rules;
+    }
+    
+    const gamesWon = Stats.countGamesWon(match.games);
+    return { ...rules, matchFormat: Math.max(gamesWon.player1, gamesWon.player2) * 2 - 1 };
+  },
+  
+  /**
+   * Check the games of an edited match, skipping games left as they were
+   * Games recorded under older rules can be kept without being rewritten
+   * @param {Array} games - Edited game scores
+   * @param {Array} originalGames - Game scores before the edit
+   * @param {Object} rules - Scoring rules
+   * @returns {Array} - Error message or null for each game
+   */
+  getEditedGameErrors(games, originalGames, rules) {
+    return games.map((game, index) => {
+      const original = (originalGames || [])[index];
+      const unchanged = original && original.player1Score === game.player1Score && original.player2Score === game.player2Score;
+      return unchanged ? null : this.getGameError(game, rules);
+    });
+  },
+  
+  /**
+   * Check the games of an edited match, and that the match still ends when a player wins it
+   * @param {Array} games - Edited game scores
+   * @param {Array} originalGames - Game scores before the edit
+   * @param {Object} rules - Rules from getEditRules
+   * @returns {Object} - Error message or null for each game, and for the match as a whole
+   */
+  getEditedMatchErrors(games, originalGames, rules) {
+    const gameErrors = this.getEditedGameErrors(games, originalGames, rules);
+    let matchError = null;
+    
+    if (games.length === 0) {
+      matchError = 'Please enter scores for every game';
+    } else if (gameErrors.every(error => error === null)) {
+      const gamesWon = Stats.countGamesWon(games);
+      matchError = gamesWon.player1 === gamesWon.player2
+        ? 'A match cannot end in a tie'
+        : this.getGamesWonError(games, rules);
+    }
+    
+    return { games: gameErrors, match: matchError };
+  },
+  
+  /**
+   * Explain why a match score without individual games is not possible
+   * Older matches may have recorded points rather than games, so only the basics are checked
+   * @param {number} player1Score - Player 1 score
+   * @param {number} player2Score - Player 2 score
+   * @returns {string|null} - Error message, or null if the score is valid
+   */
+  getMatchScoreError(player1Score, player2Score) {
+    if (!Number.isInteger(player1Score) || !Number.isInteger(player2Score)) {
+      return 'Please enter both scores';
+    }
+    if (player1Score < 0 || player2Score < 0) {
+      return 'Scores cannot be negative';
+    }
+    if (player1Score === player2Score) {
+      return 'A match cannot end in a tie';
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Get the first rule a match result breaks
+   * @param {Object} match - Match with games, or player1Score and player2Score
+   * @param {Object} rules - Scoring rules
+   * @returns {string|null} - Error message, or null if the result is valid
+   */
+  getResultError(match, rules) {
+    if (!Array.isArray(match.games) || match.games.length === 0) {
+      return this.getMatchScoreError(match.player1Score, match.player2Score);
+    }
+    
+    const errors = this.getMatchErrors(match.games, rules);
+    const gameIndex = errors.games.findIndex(error => error !== null);
+    return gameIndex >= 0 ? `Game ${gameIndex + 1}: ${errors.games[gameIndex]}` : errors.match;
+  },
+  
+  /**
+   * Make sure a match result follows the rules
+   * @param {Object} match - Match with games, or player1Score and player2Score
+   * @param {Object} rules - Scoring rules
+   * @throws {Error} - If the result breaks a rule
+   */
+  validateResult(match, rules) {
+    const error = this.getResultError(match, rules);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * Seasons for Ping Pong Match Tracker
+ * Splits a room's matches into dated seasons and freezes final standings
+ */
+
+const Seasons = {
+  // Fewest matches for the best win percentage award
+  minMatchesForAward: 3,
+  
+  /**
+   * Get the season that is still running
+   * @param {Array} seasons - Seasons in the room
+   * @returns {Object|null} - Active season
+   */
+  getCurrentSeason(seasons) {
+    return seasons.find(season => season.status === 'active') || null;
+  },
+  
+  /**
+   * Check whether a date falls within a season
+   * @param {Object} season - Season
+   * @param {string} date - ISO date string
+   * @returns {boolean} - True if the date is on or after the start and before the end
+   */
+  isInSeason(season, date) {
+    const time = new Date(date).getTime();
+    return time >= new Date(season.startDate).getTime() &&
+      (!season.endDate || time < new Date(season.endDate).getTime());
+  },
+  
+  /**
+   * Get the matches played during a season
+   * @param {Object} season - Season
+   * @param {Array} matches - Matches in the room
+   * @returns {Array} - Matches within the season's dates
+   */
+  getSeasonMatches(season, matches) {
+    return matches.filter(match => this.isInSeason(season, match.date));
+  },
+  
+  /**
+   * Get the matches played before a season ended, which its ratings are replayed from
+   * @param {Object} season - Season
+   * @param {Array} matches - Matches in the room
+   * @returns {Array} - Matches up to the season's end, or every match while it is running
+   */
+  getMatchesUntilEnd(season, matches) {
+    return season.endDate
+      ? matches.filter(match => new Date(match.date).getTime() < new Date(season.endDate).getTime())
+      : matches;
+  },
+  
+  /**
+   * Check that a new season does not overlap the room's other seasons
+   * @param {Array} seasons - Seasons in the room
+   * @param {string} startDate - ISO start date of the new season
+   * @throws {Error} - If a season is still running or the new one starts before an earlier one ended
+   */
+  validateNewSeason(seasons, startDate) {
+    if (this.getCurrentSeason(seasons)) {
+      throw new Error('Close the current season before starting a new one');
+    }
+    
+    const start = new Date(startDate).getTime();
+    if (seasons.some(season => new Date(season.endDate).getTime() > start)) {
+      throw new Error('A new season cannot start before the previous season ended');
+    }
+  },
+  
+  /**
+   * Freeze a season's final standings, champion and awards
+   * @param {Array} players - Players in the room
+   * @param {Array} seasonMatches - Matches played during the season
+   * @param {string} systemId - Rating system ID
+   * @param {Set} hiddenIds - IDs of players left off the leaderboard
+   * @param {Object} settings - Leaderboard settings the standings are ranked by
+   * @param {Array} ratingMatches - Matches up to the season's end, since ratings carry over between seasons
+   * @returns {Object} - Snapshot
+   */
+  createSnapshot(players, seasonMatches, systemId, hiddenIds = new Set(), settings = Rankings.defaultSettings, ratingMatches = seasonMatches) {
+    // Only players who played in the season are ranked
+    const rows = Stats.generateLeaderboardData(players, seasonMatches, systemId, ratingMatches)
+      .filter(row => row.matches > 0 && !hiddenIds.has(row.id));
+    const { ranked: standings, provisional } = Rankings.rank(rows, seasonMatches, settings);
+    const champion = standings[0] || null;
+    
+    return {
+      closedAt: new Date().toISOString(),
+      ratingSystem: systemId,
+      leaderboardSettings: settings,
+      standings,
+      provisional,
+      championId: champion ? champion.id : null,
+      championName: champion ? champion.name : null,
+      awards: this.calculateAwards([...standings, ...provisional], seasonMatches)
+    };
+  },
+  
+  /**
+   * Pick the season's award winners
+   * @param {Array} standings - Final standings
+   * @param {Array} seasonMatches - Matches played during the season
+   * @returns {Array} - Awards as { title, playerId, playerName, value }
+   */
+  calculateAwards(standings, seasonMatches) {
+    if (standings.length === 0) return [];
+    
+    const best = (rows, getValue) => rows.reduce((top, row) => getValue(row) > getValue(top) ? row : top);
+    const award = (title, row, value) => ({ title, playerId: row.id, playerName: row.name, value });
+    const awards = [];
+    
+    const mostWins = best(standings, row => row.wins);
+    awards.push(award('Most Wins', mostWins, `${mostWins.wins} wins`));
+    
+    const mostActive = best(standings, row => row.matches);
+    awards.push(award('Most Matches', mostActive, `${mostActive.matches} matches`));
+    
+    const qualified = standings.filter(row => row.matches >= this.minMatchesForAward);
+    if (qualified.length > 0) {
+      const bestPercentage = best(qualified, row => row.winPercentage);
+      awards.push(award('Best Win %', bestPercentage, `${bestPercentage.winPercentage}%`));
+    }
+    
+    const streaks = standings.map(row => ({ ...row, streak: Stats.calculateLongestWinStreak(row.id, seasonMatches) }));
+    const longestStreak = best(streaks, row => row.streak);
+    if (longestStreak.streak > 0) {
+      awards.push(award('Longest Win Streak', longestStreak, `${longestStreak.streak} in a row`));
+    }
+    
+    return awards;
+  }
+};
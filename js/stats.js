@@ -4,15 +4,77 @@
  */
 
 const Stats = {
+  /**
+   * Check whether a match is a doubles match
+   * @param {Object} match - Match object
+   * @returns {boolean} - True for doubles
+   */
+  isDoubles(match) {
+    return match.type === 'doubles';
+  },
+  
+  /**
+   * Get the singles matches from a list of matches
+   * @param {Array} matches - Array of matches
+   * @returns {Array} - Singles matches
+   */
+  getSinglesMatches(matches) {
+    return matches.filter(match => !this.isDoubles(match));
+  },
+  
+  /**
+   * Get the player IDs on one side of a match
+   * @param {Object} match - Match object
+   * @param {string} side - 'player1' or 'player2'
+   * @returns {Array} - One player ID for singles, two for doubles
+   */
+  getTeam(match, side) {
+    const partnerId = match[`${side}PartnerId`];
+    return this.isDoubles(match) && partnerId ? [match[`${side}Id`], partnerId] : [match[`${side}Id`]];
+  },
+  
+  /**
+   * Get the IDs of everyone who played in a match
+   * @param {Object} match - Match object
+   * @returns {Array} - Player IDs
+   */
+  getMatchPlayerIds(match) {
+    return [...this.getTeam(match, 'player1'), ...this.getTeam(match, 'player2')];
+  },
+  
+  /**
+   * Get the side a player was on in a match
+   * @param {Object} match - Match object
+   * @param {string} playerId - Player ID
+   * @returns {string|null} - 'player1', 'player2' or null if the player did not play
+   */
+  getPlayerSide(match, playerId) {
+    if (this.getTeam(match, 'player1').includes(playerId)) return 'player1';
+    if (this.getTeam(match, 'player2').includes(playerId)) return 'player2';
+    return null;
+  },
+  
+  /**
+   * Check whether a player was on the winning side of a match
+   * @param {Object} match - Match object
+   * @param {string} playerId - Player ID
+   * @returns {boolean} - True if the player won
+   */
+  isWinner(match, playerId) {
+    const side = this.getPlayerSide(match, playerId);
+    return side !== null && match[`${side}Id`] === match.winnerId;
+  },
+  
   /**
    * Calculate player statistics
+   * Only singles matches are counted; see calculateDoublesStats for doubles
    * @param {Object} player - Player object
    * @param {Array} matches - Array of matches
    * @returns {Object} - Player statistics
    */
   calculatePlayerStats(player, matches) {
-    // Filter matches for this player
-    const playerMatches = matches.filter(match => 
+    // Filter singles matches for this player
+    const playerMatches = this.getSinglesMatches(matches).filter(match => 
       match.player1Id === player.id || match.player2Id === player.id
     );
     
@@ -61,6 +123,9 @@ const Stats = {
     const avgScoreFor = playerMatches.length > 0 ? Math.round((totalScoreFor / playerMatches.length) * 10) / 10 : 0;
     const avgScoreAgainst = playerMatches.length > 0 ? Math.round((totalScoreAgainst / playerMatches.length) * 10) / 10 : 0;
     
+    // Calculate games and points from individual game scores
+    const gameTotals = this.calculateGameTotals(player.id, playerMatches);
+    
     // Calculate win/loss ratio
     const winLossRatio = losses > 0 ? Math.round((wins / losses) * 100) / 100 : wins > 0 ? Infinity : 0;
     
@@ -73,7 +138,190 @@ const Stats = {
       isWinningStreak,
       avgScoreFor,
       avgScoreAgainst,
-      winLossRatio
+      winLossRatio,
+      gamesWon: gameTotals.gamesWon,
+      gamesLost: gameTotals.gamesLost,
+      pointsWon: gameTotals.pointsWon,
+      pointsLost: gameTotals.pointsLost
+    };
+  },
+  
+  /**
+   * Calculate a player's longest run of singles wins
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @returns {number} - Most consecutive wins
+   */
+  calculateLongestWinStreak(playerId, matches) {
+    return this.calculateLongestStreaks(playerId, matches).wins;
+  },
+  
+  /**
+   * Calculate a player's longest runs of singles wins and losses
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @returns {Object} - Most consecutive wins and losses
+   */
+  calculateLongestStreaks(playerId, matches) {
+    const longest = { wins: 0, losses: 0 };
+    let current = { wins: 0, losses: 0 };
+    
+    this.getPlayerTimeline(playerId, matches).forEach(match => {
+      current = match.winnerId === playerId
+        ? { wins: current.wins + 1, losses: 0 }
+        : { wins: 0, losses: current.losses + 1 };
+      longest.wins = Math.max(longest.wins, current.wins);
+      longest.losses = Math.max(longest.losses, current.losses);
+    });
+    
+    return longest;
+  },
+  
+  /**
+   * Get a player's singles matches in the order they were played
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @returns {Array} - Matches, oldest first
+   */
+  getPlayerTimeline(playerId, matches) {
+    return this.getSinglesMatches(matches)
+      .filter(match => match.player1Id === playerId || match.player2Id === playerId)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+  
+  /**
+   * Generate a player's rating after each singles match
+   * @param {string} playerId - Player ID
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   * @param {string} systemId - Rating system ID
+   * @returns {Array} - Points as { date, rating, matchId }, starting with the rating before the first match
+   */
+  generateRatingHistory(playerId, players, matches, systemId) {
+    const { matchRatings } = this.calculateRatings(players, matches, systemId);
+    const timeline = this.getPlayerTimeline(playerId, matches);
+    if (timeline.length === 0) return [];
+    
+    const firstSide = timeline[0].player1Id === playerId ? 'player1' : 'player2';
+    const history = [{
+      date: timeline[0].date,
+      rating: matchRatings[timeline[0].id][`${firstSide}Before`],
+      matchId: null
+    }];
+    
+    timeline.forEach(match => {
+      const side = match.player1Id === playerId ? 'player1' : 'player2';
+      history.push({
+        date: match.date,
+        rating: matchRatings[match.id][`${side}After`],
+        matchId: match.id
+      });
+    });
+    
+    return history;
+  },
+  
+  /**
+   * Get the results of a player's latest singles matches
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @param {number} limit - Number of matches to include
+   * @returns {Array} - 'W' or 'L' for each match, oldest first
+   */
+  calculateForm(playerId, matches, limit = 10) {
+    return this.getPlayerTimeline(playerId, matches)
+      .slice(-limit)
+      .map(match => match.winnerId === playerId ? 'W' : 'L');
+  },
+  
+  /**
+   * Calculate a player's singles record against each opponent
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @returns {Array} - Records as { id, matches, wins, losses, winPercentage }, best first
+   */
+  calculateOpponentRecords(playerId, matches) {
+    const records = new Map();
+    
+    this.getPlayerTimeline(playerId, matches).forEach(match => {
+      const opponentId = match.player1Id === playerId ? match.player2Id : match.player1Id;
+      const record = records.get(opponentId) || { id: opponentId, matches: 0, wins: 0, losses: 0 };
+      record.matches++;
+      if (match.winnerId === playerId) {
+        record.wins++;
+      } else {
+        record.losses++;
+      }
+      records.set(opponentId, record);
+    });
+    
+    return [...records.values()]
+      .map(record => ({ ...record, winPercentage: Math.round((record.wins / record.matches) * 100) }))
+      .sort((a, b) => b.winPercentage - a.winPercentage || b.matches - a.matches);
+  },
+  
+  /**
+   * Calculate a player's average point margin per singles match
+   * Matches recorded without individual game scores are skipped
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @returns {number|null} - Average points won minus points lost, or null if no games were recorded
+   */
+  calculateAverageMargin(playerId, matches) {
+    const scoredMatches = this.getPlayerTimeline(playerId, matches)
+      .filter(match => Array.isArray(match.games) && match.games.length > 0);
+    if (scoredMatches.length === 0) return null;
+    
+    const totals = this.calculateGameTotals(playerId, scoredMatches);
+    return Math.round(((totals.pointsWon - totals.pointsLost) / scoredMatches.length) * 10) / 10;
+  },
+  
+  /**
+   * Calculate games and points won and lost by a player
+   * Matches recorded without individual game scores are skipped
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches involving the player
+   * @returns {Object} - Game and point totals
+   */
+  calculateGameTotals(playerId, matches) {
+    const totals = {
+      gamesWon: 0,
+      gamesLost: 0,
+      pointsWon: 0,
+      pointsLost: 0
+    };
+    
+    matches.forEach(match => {
+      if (!Array.isArray(match.games)) return;
+      
+      const isPlayer1 = match.player1Id === playerId;
+      match.games.forEach(game => {
+        const scoreFor = isPlayer1 ? game.player1Score : game.player2Score;
+        const scoreAgainst = isPlayer1 ? game.player2Score : game.player1Score;
+        
+        if (scoreFor > scoreAgainst) {
+          totals.gamesWon++;
+        } else {
+          totals.gamesLost++;
+        }
+        
+        totals.pointsWon += scoreFor;
+        totals.pointsLost += scoreAgainst;
+      });
+    });
+    
+    return totals;
+  },
+  
+  /**
+   * Count the games won by each player in a list of game scores
+   * @param {Array} games - Array of { player1Score, player2Score }
+   * @returns {Object} - Games won by player 1 and player 2
+   */
+  countGamesWon(games) {
+    return {
+      player1: games.filter(game => game.player1Score > game.player2Score).length,
+      player2: games.filter(game => game.player2Score > game.player1Score).length
     };
   },
   
@@ -114,7 +362,7 @@ const Stats = {
     const playerMatchCounts = {};
     players.forEach(player => {
       playerMatchCounts[player.id] = matches.filter(match => 
-        match.player1Id === player.id || match.player2Id === player.id
+        this.getMatchPlayerIds(match).includes(player.id)
       ).length;
     });
     
@@ -133,7 +381,7 @@ const Stats = {
     // Calculate most winning player
     const playerWinCounts = {};
     players.forEach(player => {
-      playerWinCounts[player.id] = matches.filter(match => match.winnerId === player.id).length;
+      playerWinCounts[player.id] = matches.filter(match => this.isWinner(match, player.id)).length;
     });
     
     let mostWinningPlayerId = null;
@@ -163,6 +411,54 @@ const Stats = {
     };
   },
   
+  /**
+   * Get the singles matches between two players
+   * @param {string} player1Id - First player ID
+   * @param {string} player2Id - Second player ID
+   * @param {Array} matches - Array of matches
+   * @returns {Array} - Matches between the two players, oldest first
+   */
+  getHeadToHeadMatches(player1Id, player2Id, matches) {
+    return this.getSinglesMatches(matches)
+      .filter(match =>
+        (match.player1Id === player1Id && match.player2Id === player2Id) ||
+        (match.player1Id === player2Id && match.player2Id === player1Id)
+      )
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+  
+  /**
+   * Build every player's singles record against every other player
+   * Matches are read once, so large rooms do not need a head-to-head pass per pair
+   * @param {Array} playerIds - IDs of the players to include
+   * @param {Array} matches - Array of matches
+   * @returns {Object} - Records by player ID and opponent ID as { wins, losses }
+   */
+  generateRivalryMatrix(playerIds, matches) {
+    const records = {};
+    playerIds.forEach(playerId => {
+      records[playerId] = {};
+    });
+    
+    this.getSinglesMatches(matches).forEach(match => {
+      const { player1Id, player2Id, winnerId } = match;
+      if (!records[player1Id] || !records[player2Id] || player1Id === player2Id) return;
+      
+      const player1Record = records[player1Id][player2Id] || (records[player1Id][player2Id] = { wins: 0, losses: 0 });
+      const player2Record = records[player2Id][player1Id] || (records[player2Id][player1Id] = { wins: 0, losses: 0 });
+      
+      if (winnerId === player1Id) {
+        player1Record.wins++;
+        player2Record.losses++;
+      } else {
+        player1Record.losses++;
+        player2Record.wins++;
+      }
+    });
+    
+    return records;
+  },
+  
   /**
    * Calculate head-to-head statistics between two players
    * @param {Object} player1 - First player
@@ -171,11 +467,7 @@ const Stats = {
    * @returns {Object} - Head-to-head statistics
    */
   calculateHeadToHead(player1, player2, matches) {
-    // Filter matches between these two players
-    const headToHeadMatches = matches.filter(match => 
-      (match.player1Id === player1.id && match.player2Id === player2.id) ||
-      (match.player1Id === player2.id && match.player2Id === player1.id)
-    );
+    const headToHeadMatches = this.getHeadToHeadMatches(player1.id, player2.id, matches);
     
     // Calculate wins for each player
     const player1Wins = headToHeadMatches.filter(match => match.winnerId === player1.id).length;
@@ -198,6 +490,9 @@ const Stats = {
     const player1AvgScore = headToHeadMatches.length > 0 ? Math.round((player1TotalScore / headToHeadMatches.length) * 10) / 10 : 0;
     const player2AvgScore = headToHeadMatches.length > 0 ? Math.round((player2TotalScore / headToHeadMatches.length) * 10) / 10 : 0;
     
+    // Calculate games and points from individual game scores
+    const player1Totals = this.calculateGameTotals(player1.id, headToHeadMatches);
+    
     // Calculate current streak
     let currentStreak = 0;
     let streakHolder = null;
@@ -227,6 +522,10 @@ const Stats = {
       player2Wins,
       player1AvgScore,
       player2AvgScore,
+      player1GamesWon: player1Totals.gamesWon,
+      player2GamesWon: player1Totals.gamesLost,
+      player1Points: player1Totals.pointsWon,
+      player2Points: player1Totals.pointsLost,
       currentStreak,
       streakHolder: streakHolder ? {
         id: streakHolder.id,
@@ -235,6 +534,174 @@ const Stats = {
     };
   },
   
+  /**
+   * Calculate a player's individual doubles record
+   * @param {Object} player - Player object
+   * @param {Array} matches - Array of matches
+   * @returns {Object} - Doubles statistics
+   */
+  calculateDoublesStats(player, matches) {
+    const playerMatches = matches.filter(match => 
+      this.isDoubles(match) && this.getPlayerSide(match, player.id) !== null
+    );
+    
+    const wins = playerMatches.filter(match => this.isWinner(match, player.id)).length;
+    const losses = playerMatches.length - wins;
+    const winPercentage = playerMatches.length > 0 ? Math.round((wins / playerMatches.length) * 100) : 0;
+    
+    return {
+      matches: playerMatches.length,
+      wins,
+      losses,
+      winPercentage
+    };
+  },
+  
+  /**
+   * Calculate the record of every doubles partnership
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   * @returns {Array} - Pair records, best first
+   */
+  calculatePairStats(players, matches) {
+    const playerMap = new Map(players.map(player => [player.id, player]));
+    const pairs = {};
+    
+    matches.filter(match => this.isDoubles(match)).forEach(match => {
+      ['player1', 'player2'].forEach(side => {
+        const team = this.getTeam(match, side);
+        const pairKey = [...team].sort().join('|');
+        
+        if (!pairs[pairKey]) {
+          pairs[pairKey] = {
+            playerIds: [...team].sort(),
+            matches: 0,
+            wins: 0,
+            losses: 0
+          };
+        }
+        
+        pairs[pairKey].matches++;
+        if (match.winnerId === match[`${side}Id`]) {
+          pairs[pairKey].wins++;
+        } else {
+          pairs[pairKey].losses++;
+        }
+      });
+    });
+    
+    return Object.values(pairs).map(pair => ({
+      ...pair,
+      names: pair.playerIds.map(id => playerMap.has(id) ? playerMap.get(id).name : 'Unknown'),
+      winPercentage: Math.round((pair.wins / pair.matches) * 100)
+    })).sort((a, b) => {
+      if (b.winPercentage !== a.winPercentage) {
+        return b.winPercentage - a.winPercentage;
+      }
+      return b.wins - a.wins;
+    });
+  },
+  
+  /**
+   * Generate doubles leaderboard data from individual doubles records
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   * @returns {Array} - Doubles leaderboard data
+   */
+  generateDoublesLeaderboardData(players, matches) {
+    return players.map(player => ({
+      id: player.id,
+      name: player.name,
+      ...this.calculateDoublesStats(player, matches)
+    })).filter(player => player.matches > 0).sort((a, b) => {
+      if (b.winPercentage !== a.winPercentage) {
+        return b.winPercentage - a.winPercentage;
+      }
+      if (b.wins !== a.wins) {
+        return b.wins - a.wins;
+      }
+      return a.matches - b.matches;
+    });
+  },
+  
+  /**
+   * Calculate king of the table reigns from matches played in that mode
+   * A reign starts with the win that takes the table and lasts until the king loses or leaves;
+   * the current king's reign runs until now
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   * @param {Object} queue - The room's queue, which knows the current king and when kings left
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array} - Players with at least one reign, by total time as king
+   */
+  calculateKingStats(players, matches, queue = null, now = Date.now()) {
+    const kingMatches = matches
+      .filter(match => match.mode === KingOfTable.mode)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    const stats = new Map(players.map(player => [player.id, {
+      id: player.id,
+      name: player.name,
+      reigns: 0,
+      longestReign: 0,
+      totalTime: 0
+    }]));
+    
+    // A reign no loss ended is either still going or ended with the king leaving the table
+    const leftReigns = queue && queue.leftReigns ? queue.leftReigns : [];
+    const getUnlostReignEnd = () => {
+      const startedReign = (playerId, since) =>
+        playerId === reign.playerId && Boolean(since) && new Date(since).getTime() === reign.start;
+      if (queue && startedReign(queue.kingId, queue.kingSince)) {
+        return now;
+      }
+      
+      const leftReign = leftReigns.find(left => startedReign(left.playerId, left.start));
+      return leftReign ? new Date(leftReign.end).getTime() : reign.end;
+    };
+    
+    let reign = null;
+    const endReign = () => {
+      const playerStats = reign && stats.get(reign.playerId);
+      if (playerStats) {
+        if (!reign.lost) {
+          reign.end = Math.max(reign.end, getUnlostReignEnd());
+        }
+        
+        playerStats.reigns++;
+        playerStats.longestReign = Math.max(playerStats.longestReign, reign.wins);
+        playerStats.totalTime += reign.end - reign.start;
+      }
+      reign = null;
+    };
+    
+    kingMatches.forEach(match => {
+      const date = new Date(match.date).getTime();
+      const kingPlayed = reign && (match.player1Id === reign.playerId || match.player2Id === reign.playerId);
+      
+      // The king defended the table
+      if (kingPlayed && match.winnerId === reign.playerId) {
+        reign.wins++;
+        reign.end = date;
+        return;
+      }
+      
+      // The king lost
+      if (kingPlayed) {
+        reign.end = date;
+        reign.lost = true;
+      }
+      endReign();
+      
+      reign = { playerId: match.winnerId, start: date, end: date, wins: 1 };
+    });
+    endReign();
+    
+    return Array.from(stats.values())
+      .filter(playerStats => playerStats.reigns > 0)
+      .sort((a, b) => b.totalTime - a.totalTime || b.longestReign - a.longestReign);
+  },
+  
   /**
    * Generate data for win distribution chart
    * @param {Array} players - Array of players
@@ -286,27 +753,121 @@ const Stats = {
     return activityData.slice(-limit);
   },
   
+  /**
+   * Calculate ratings by replaying matches in date order
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   * @param {string} systemId - Rating system ID (see RatingSystems)
+   * @returns {Object} - Rating states by player ID and rating changes by match ID
+   */
+  calculateRatings(players, matches, systemId) {
+    const system = RatingSystems.get(systemId);
+    const ratings = {};
+    const matchRatings = {};
+    
+    players.forEach(player => {
+      ratings[player.id] = system.createRating();
+    });
+    
+    // Replay singles matches from oldest to newest
+    const sortedMatches = this.getSinglesMatches(matches).sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    sortedMatches.forEach(match => {
+      const player1Before = ratings[match.player1Id] || system.createRating();
+      const player2Before = ratings[match.player2Id] || system.createRating();
+      const player1Score = match.winnerId === match.player1Id ? 1 : 0;
+      
+      const [player1After, player2After] = system.updateRatings(player1Before, player2Before, player1Score);
+      ratings[match.player1Id] = player1After;
+      ratings[match.player2Id] = player2After;
+      
+      // A zero-sum exchange such as Elo's is rounded once so both players show the same swing,
+      // and each shown rating after the match is the shown rating before plus the shown change
+      const player1Change = player1After.rating - player1Before.rating;
+      const player2Change = player2After.rating - player2Before.rating;
+      const player1Delta = Math.round(player1Change);
+      const player2Delta = Math.abs(player1Change + player2Change) < 1e-9 ? -player1Delta || 0 : Math.round(player2Change);
+      
+      matchRatings[match.id] = {
+        player1Before: Math.round(player1Before.rating),
+        player1After: Math.round(player1Before.rating) + player1Delta,
+        player1Delta,
+        player2Before: Math.round(player2Before.rating),
+        player2After: Math.round(player2Before.rating) + player2Delta,
+        player2Delta
+      };
+    });
+    
+    return { ratings, matchRatings };
+  },
+  
+  /**
+   * Get the players left off the leaderboards
+   * @param {Array} players - Players in the room
+   * @param {Object} room - Room object
+   * @returns {Set} - IDs of the placeholder and, if the room hides them, archived players
+   */
+  getHiddenPlayerIds(players, room) {
+    return new Set(players
+      .filter(player => player.placeholder || (player.archived && room.hideArchivedFromLeaderboard))
+      .map(player => player.id));
+  },
+  
+  /**
+   * Calculate the lower bound of the Wilson score interval for a win rate
+   * Unlike the raw win percentage it rewards a good record over more matches
+   * @param {number} wins - Matches won
+   * @param {number} matches - Matches played
+   * @param {number} z - z-score of the confidence level (1.96 for 95%)
+   * @returns {number} - Lower bound as a percentage, to 1 decimal place
+   */
+  calculateWilsonLowerBound(wins, matches, z = 1.96) {
+    if (matches === 0) return 0;
+    
+    const rate = wins / matches;
+    const zSquared = z * z;
+    const center = rate + zSquared / (2 * matches);
+    const margin = z * Math.sqrt((rate * (1 - rate) + zSquared / (4 * matches)) / matches);
+    
+    return Math.round(((center - margin) / (1 + zSquared / matches)) * 1000) / 10;
+  },
+  
   /**
    * Generate leaderboard data
    * @param {Array} players - Array of players
    * @param {Array} matches - Array of matches
+   * @param {string} systemId - Rating system ID
+   * @param {Array} ratingMatches - Matches to replay ratings from, when they reach further back than the counted matches
    * @returns {Array} - Leaderboard data
    */
-  generateLeaderboardData(players, matches) {
+  generateLeaderboardData(players, matches, systemId, ratingMatches = matches) {
+    const system = RatingSystems.get(systemId);
+    const { ratings } = this.calculateRatings(players, ratingMatches, systemId);
+    
     return players.map(player => {
       const stats = this.calculatePlayerStats(player, matches);
+      const interval = system.getConfidenceInterval(ratings[player.id]);
       return {
         id: player.id,
         name: player.name,
+        rating: Math.round(ratings[player.id].rating),
+        ratingLow: interval ? Math.round(interval.low) : null,
+        ratingHigh: interval ? Math.round(interval.high) : null,
         matches: stats.matches,
         wins: stats.wins,
         losses: stats.losses,
         winPercentage: stats.winPercentage,
+        wilsonScore: this.calculateWilsonLowerBound(stats.wins, stats.matches),
+        pointDifferential: stats.pointsWon - stats.pointsLost,
         currentStreak: stats.currentStreak,
         isWinningStreak: stats.isWinningStreak
       };
     }).sort((a, b) => {
-      // Sort by win percentage first
+      // Sort by rating first
+      if (b.rating !== a.rating) {
+        return b.rating - a.rating;
+      }
+      // If ratings are equal, sort by win percentage
       if (b.winPercentage !== a.winPercentage) {
         return b.winPercentage - a.winPercentage;
       }
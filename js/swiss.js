@@ -0,0 +1,206 @@
+/**
+ * Swiss system pairing for Ping Pong Match Tracker
+ * Pairs league rounds by score and computes Swiss tiebreaks
+ */
+
+const Swiss = {
+  /**
+   * Get the suggested number of rounds for a Swiss event
+   * @param {number} playerCount - Number of players
+   * @returns {number} - Enough rounds to separate a single winner
+   */
+  getDefaultRounds(playerCount) {
+    return Math.min(Math.max(1, Math.ceil(Math.log2(playerCount))), this.getMaxRounds(playerCount));
+  },
+  
+  /**
+   * Get the most rounds that can always be paired without repeating an opponent
+   * Past half the field, earlier pairings can leave no way to pair everyone; up to it,
+   * every player still has enough unmet opponents for a full pairing to exist (Dirac's theorem)
+   * @param {number} playerCount - Number of players
+   * @returns {number} - Maximum number of rounds
+   */
+  getMaxRounds(playerCount) {
+    return Math.max(1, Math.floor(playerCount / 2));
+  },
+  
+  /**
+   * Get the number of rounds paired so far
+   * @param {Object} league - Swiss league
+   * @returns {number} - Number of paired rounds
+   */
+  getPairedRounds(league) {
+    return Math.max(0, ...league.fixtures.map(fixture => fixture.round), ...league.byes.map(bye => bye.round));
+  },
+  
+  /**
+   * Check whether the next round can be paired
+   * @param {Object} league - Swiss league
+   * @returns {boolean} - True if every fixture is played and rounds remain
+   */
+  canPairNextRound(league) {
+    return this.getPairedRounds(league) < league.rounds && league.fixtures.every(fixture => fixture.matchId);
+  },
+  
+  /**
+   * Pair the next round of a Swiss league
+   * @param {Object} league - Swiss league
+   * @param {Array} matches - Matches in the room
+   * @returns {Object} - Updated league with the new round's fixtures and bye
+   */
+  pairNextRound(league, matches) {
+    const round = this.getPairedRounds(league) + 1;
+    const standings = this.calculateStandings(league, matches);
+    const ranked = standings.map(row => row.id);
+    const scores = new Map(standings.map(row => [row.id, row.score]));
+    
+    // Opponents already met, as sorted ID pairs
+    const played = new Set(league.fixtures.map(fixture => this.getPairKey(fixture.player1Id, fixture.player2Id)));
+    const previousByes = new Set(league.byes.map(bye => bye.playerId));
+    
+    // With an odd count, the lowest-ranked player without a bye sits out
+    let pairs = null;
+    let byePlayerId = null;
+    if (ranked.length % 2 === 0) {
+      pairs = this.findPairs(ranked, scores, played);
+    } else {
+      const byeCandidates = [...ranked].reverse().filter(id => !previousByes.has(id));
+      for (const candidate of (byeCandidates.length > 0 ? byeCandidates : [...ranked].reverse())) {
+        pairs = this.findPairs(ranked.filter(id => id !== candidate), scores, played);
+        if (pairs) {
+          byePlayerId = candidate;
+          break;
+        }
+      }
+    }
+    
+    if (!pairs) {
+      throw new Error('No pairings left without repeating an opponent');
+    }
+    
+    const fixtures = pairs.map(([player1Id, player2Id], index) => ({
+      ...Leagues.createFixture(round, player1Id, player2Id),
+      id: `R${round}-${index + 1}`
+    }));
+    
+    return {
+      ...league,
+      fixtures: [...league.fixtures, ...fixtures],
+      byes: byePlayerId ? [...league.byes, { round, playerId: byePlayerId }] : league.byes,
+      status: 'active'
+    };
+  },
+  
+  /**
+   * Pair players from the top of the standings down, backtracking when stuck
+   * Within a score group the top half meets the bottom half, and odd players float down
+   * @param {Array} ranked - Player IDs in standings order
+   * @param {Map} scores - Scores by player ID
+   * @param {Set} played - Pair keys of opponents already met
+   * @returns {Array|null} - Pairs of player IDs, or null if no valid pairing exists
+   */
+  findPairs(ranked, scores, played) {
+    if (ranked.length === 0) return [];
+    
+    const [player, ...rest] = ranked;
+    const group = rest.filter(id => scores.get(id) === scores.get(player));
+    const half = Math.floor((group.length + 1) / 2);
+    
+    // Prefer the opponent halfway down the score group, then the rest in rank order
+    const preferred = [...group.slice(half - 1), ...group.slice(0, Math.max(0, half - 1))];
+    const candidates = [...preferred, ...rest.filter(id => !group.includes(id))];
+    
+    for (const opponent of candidates) {
+      if (played.has(this.getPairKey(player, opponent))) continue;
+      
+      const remainingPairs = this.findPairs(rest.filter(id => id !== opponent), scores, played);
+      if (remainingPairs) {
+        return [[player, opponent], ...remainingPairs];
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Get an order-independent key for two players
+   * @param {string} player1Id - Player 1 ID
+   * @param {string} player2Id - Player 2 ID
+   * @returns {string} - Pair key
+   */
+  getPairKey(player1Id, player2Id) {
+    return [player1Id, player2Id].sort().join('|');
+  },
+  
+  /**
+   * Calculate Swiss standings with Buchholz and Sonneborn-Berger tiebreaks
+   * A win or a bye scores 1; ties are broken by Buchholz (opponents' scores),
+   * Sonneborn-Berger (scores of beaten opponents), head-to-head, then seeding
+   * @param {Object} league - Swiss league
+   * @param {Array} matches - Matches in the room
+   * @returns {Array} - Standings rows in rank order
+   */
+  calculateStandings(league, matches) {
+    const matchIds = new Set(league.fixtures.map(fixture => fixture.matchId).filter(Boolean));
+    const leagueMatches = matches.filter(match => matchIds.has(match.id));
+    
+    const rows = new Map(league.playerIds.map((id, seed) => [id, {
+      id,
+      seed,
+      played: 0,
+      wins: 0,
+      losses: 0,
+      byes: league.byes.filter(bye => bye.playerId === id).length,
+      opponents: [],
+      score: 0,
+      buchholz: 0,
+      sonnebornBerger: 0
+    }]));
+    
+    leagueMatches.forEach(match => {
+      const player1 = rows.get(match.player1Id);
+      const player2 = rows.get(match.player2Id);
+      if (!player1 || !player2) return;
+      
+      player1.played++;
+      player2.played++;
+      player1.opponents.push(player2.id);
+      player2.opponents.push(player1.id);
+      
+      const winner = match.winnerId === player1.id ? player1 : player2;
+      const loser = winner === player1 ? player2 : player1;
+      winner.wins++;
+      loser.losses++;
+    });
+    
+    rows.forEach(row => {
+      row.score = row.wins + row.byes;
+    });
+    
+    // Tiebreaks depend on every player's final score
+    rows.forEach(row => {
+      row.opponents.forEach(opponentId => {
+        row.buchholz += rows.get(opponentId).score;
+      });
+      
+      new Set(row.opponents).forEach(opponentId => {
+        const opponent = rows.get(opponentId);
+        const headToHead = Stats.calculateHeadToHead({ id: row.id }, { id: opponentId }, leagueMatches);
+        row.sonnebornBerger += headToHead.player1Wins * opponent.score;
+      });
+    });
+    
+    return Array.from(rows.values()).sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      if (b.buchholz !== a.buchholz) return b.buchholz - a.buchholz;
+      if (b.sonnebornBerger !== a.sonnebornBerger) return b.sonnebornBerger - a.sonnebornBerger;
+      
+      const headToHead = Stats.calculateHeadToHead({ id: a.id }, { id: b.id }, leagueMatches);
+      if (headToHead.player1Wins !== headToHead.player2Wins) {
+        return headToHead.player2Wins - headToHead.player1Wins;
+      }
+      
+      return a.seed - b.seed;
+    });
+  }
+};
@@ -0,0 +1,392 @@
+/**
+ * Tournament brackets for Ping Pong Match Tracker
+ * Builds single and double elimination brackets and advances winners
+ */
+
+const Tournaments = {
+  // Slot value for a bye
+  BYE: 'bye',
+  
+  formats: {
+    single: 'Single Elimination',
+    double: 'Double Elimination'
+  },
+  
+  /**
+   * Create the bracket for a new tournament
+   * @param {Array} playerIds - Player IDs in seed order (best first)
+   * @param {string} format - 'single' or 'double'
+   * @returns {Array} - Bracket matches with byes already resolved
+   */
+  createBracket(playerIds, format) {
+    const rounds = Math.max(1, Math.ceil(Math.log2(playerIds.length)));
+    const size = Math.pow(2, rounds);
+    const bracket = [];
+    
+    // Winners bracket
+    for (let round = 1; round <= rounds; round++) {
+      const matchCount = size / Math.pow(2, round);
+      for (let position = 1; position <= matchCount; position++) {
+        bracket.push(this.createBracketMatch('winners', round, position));
+      }
+    }
+    
+    // Place seeds so the top seeds meet last and receive the byes
+    this.getSeedOrder(size).forEach((seed, index) => {
+      const match = this.findMatch(bracket, 'winners', 1, Math.floor(index / 2) + 1);
+      match[index % 2 === 0 ? 'player1Id' : 'player2Id'] = seed <= playerIds.length ? playerIds[seed - 1] : this.BYE;
+    });
+    
+    // Winners advance to the next round
+    for (let round = 1; round < rounds; round++) {
+      bracket.filter(match => match.bracket === 'winners' && match.round === round).forEach(match => {
+        match.winnerTo = this.getFeedTarget('winners', round + 1, match.position);
+      });
+    }
+    
+    if (format === 'double') {
+      this.addLosersBracket(bracket, rounds, size);
+    }
+    
+    return this.resolveByes(bracket);
+  },
+  
+  /**
+   * Add the losers bracket and grand final of a double elimination bracket
+   * @param {Array} bracket - Bracket matches (modified in place)
+   * @param {number} rounds - Number of winners bracket rounds
+   * @param {number} size - Bracket size (power of two)
+   */
+  addLosersBracket(bracket, rounds, size) {
+    const losersRounds = 2 * (rounds - 1);
+    
+    for (let round = 1; round <= losersRounds; round++) {
+      // Losers rounds come in pairs with the same number of matches
+      const matchCount = size / Math.pow(2, Math.ceil(round / 2) + 1);
+      for (let position = 1; position <= matchCount; position++) {
+        bracket.push(this.createBracketMatch('losers', round, position));
+      }
+    }
+    
+    bracket.push(this.createBracketMatch('final', 1, 1));
+    bracket.push(this.createBracketMatch('final', 2, 1));
+    
+    // Winners bracket losers drop into the losers bracket
+    bracket.filter(match => match.bracket === 'winners').forEach(match => {
+      if (match.round === 1 && losersRounds > 0) {
+        match.loserTo = this.getFeedTarget('losers', 1, match.position);
+      } else if (losersRounds > 0) {
+        // Reverse the drop order on alternate rounds to delay rematches
+        const matchCount = size / Math.pow(2, match.round);
+        const position = match.round % 2 === 0 ? matchCount + 1 - match.position : match.position;
+        match.loserTo = { bracket: 'losers', round: 2 * (match.round - 1), position, slot: 'player2' };
+      } else {
+        match.loserTo = { bracket: 'final', round: 1, position: 1, slot: 'player2' };
+      }
+    });
+    
+    // Losers bracket winners advance, alternating between merge and drop-in rounds
+    bracket.filter(match => match.bracket === 'losers').forEach(match => {
+      if (match.round === losersRounds) {
+        match.winnerTo = { bracket: 'final', round: 1, position: 1, slot: 'player2' };
+      } else if (match.round % 2 === 1) {
+        match.winnerTo = { bracket: 'losers', round: match.round + 1, position: match.position, slot: 'player1' };
+      } else {
+        match.winnerTo = this.getFeedTarget('losers', match.round + 1, match.position);
+      }
+    });
+    
+    // The winners bracket champion goes to the grand final
+    this.findMatch(bracket, 'winners', rounds, 1).winnerTo = { bracket: 'final', round: 1, position: 1, slot: 'player1' };
+  },
+  
+  /**
+   * Create an empty bracket match
+   * @param {string} bracket - 'winners', 'losers' or 'final'
+   * @param {number} round - Round number within the bracket
+   * @param {number} position - Position within the round
+   * @returns {Object} - Bracket match
+   */
+  createBracketMatch(bracket, round, position) {
+    return {
+      id: `${bracket.charAt(0).toUpperCase()}${round}-${position}`,
+      bracket,
+      round,
+      position,
+      player1Id: null,
+      player2Id: null,
+      winnerId: null,
+      loserId: null,
+      matchId: null,
+      winnerTo: null,
+      loserTo: null
+    };
+  },
+  
+  /**
+   * Get the slot that two matches of one round feed in the next round
+   * @param {string} bracket - Target bracket
+   * @param {number} round - Target round
+   * @param {number} position - Position of the feeding match
+   * @returns {Object} - Target slot
+   */
+  getFeedTarget(bracket, round, position) {
+    return {
+      bracket,
+      round,
+      position: Math.ceil(position / 2),
+      slot: position % 2 === 1 ? 'player1' : 'player2'
+    };
+  },
+  
+  /**
+   * Get the standard seed order of a bracket, e.g. [1, 8, 4, 5, 2, 7, 3, 6]
+   * @param {number} size - Bracket size (power of two)
+   * @returns {Array} - Seed numbers in slot order
+   */
+  getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const roundSize = order.length * 2;
+      order = order.flatMap(seed => [seed, roundSize + 1 - seed]);
+    }
+    return order;
+  },
+  
+  /**
+   * Find a bracket match by position
+   * @param {Array} bracket - Bracket matches
+   * @param {string} bracketName - 'winners', 'losers' or 'final'
+   * @param {number} round - Round number
+   * @param {number} position - Position within the round
+   * @returns {Object|undefined} - Bracket match
+   */
+  findMatch(bracket, bracketName, round, position) {
+    return bracket.find(match => match.bracket === bracketName && match.round === round && match.position === position);
+  },
+  
+  /**
+   * Check whether a bracket match is ready to be played
+   * @param {Object} match - Bracket match
+   * @returns {boolean} - True if both players are known and there is no result yet
+   */
+  isPlayable(match) {
+    return Boolean(!match.winnerId &&
+      match.player1Id && match.player1Id !== this.BYE &&
+      match.player2Id && match.player2Id !== this.BYE);
+  },
+  
+  /**
+   * Check whether a match between two players can be recorded for a bracket match
+   * @param {Object} tournament - Tournament object
+   * @param {string} bracketMatchId - Bracket match ID
+   * @param {Array} playerIds - IDs of the two players in the recorded match
+   * @returns {boolean} - True if the bracket match is waiting for these players
+   */
+  canRecord(tournament, bracketMatchId, playerIds) {
+    const match = tournament.bracket.find(bracketMatch => bracketMatch.id === bracketMatchId);
+    return Boolean(match && this.isPlayable(match) &&
+      playerIds.includes(match.player1Id) && playerIds.includes(match.player2Id));
+  },
+  
+  /**
+   * Send a player (or a bye) to a slot of another bracket match
+   * @param {Array} bracket - Bracket matches
+   * @param {Object} target - Target slot
+   * @param {string} playerId - Player ID or BYE
+   */
+  fillSlot(bracket, target, playerId) {
+    if (!target) return;
+    
+    const match = this.findMatch(bracket, target.bracket, target.round, target.position);
+    if (match) {
+      match[`${target.slot}Id`] = playerId;
+    }
+  },
+  
+  /**
+   * Set the result of a bracket match and move both players on
+   * @param {Array} bracket - Bracket matches
+   * @param {Object} match - Bracket match
+   * @param {string} winnerId - Winner ID (or BYE)
+   */
+  setResult(bracket, match, winnerId) {
+    match.winnerId = winnerId;
+    match.loserId = winnerId === match.player1Id ? match.player2Id : match.player1Id;
+    
+    // A grand final won by the losers bracket champion needs a reset match
+    if (match.bracket === 'final' && match.round === 1) {
+      if (winnerId === match.player2Id) {
+        const reset = this.findMatch(bracket, 'final', 2, 1);
+        reset.player1Id = match.player1Id;
+        reset.player2Id = match.player2Id;
+      }
+      return;
+    }
+    
+    this.fillSlot(bracket, match.winnerTo, match.winnerId);
+    this.fillSlot(bracket, match.loserTo, match.loserId);
+  },
+  
+  /**
+   * Advance players past byes until every remaining match needs a real result
+   * @param {Array} bracket - Bracket matches
+   * @returns {Array} - The same bracket
+   */
+  resolveByes(bracket) {
+    let changed = true;
+    
+    while (changed) {
+      changed = false;
+      
+      bracket.forEach(match => {
+        if (match.winnerId || !match.player1Id || !match.player2Id) return;
+        
+        if (match.player1Id === this.BYE) {
+          this.setResult(bracket, match, match.player2Id);
+          changed = true;
+        } else if (match.player2Id === this.BYE) {
+          this.setResult(bracket, match, match.player1Id);
+          changed = true;
+        }
+      });
+    }
+    
+    return bracket;
+  },
+  
+  /**
+   * Record the result of a bracket match
+   * @param {Object} tournament - Tournament object
+   * @param {string} bracketMatchId - Bracket match ID
+   * @param {string} winnerId - Winning player ID
+   * @param {string} matchId - ID of the recorded match
+   * @returns {Object} - Updated tournament
+   */
+  recordResult(tournament, bracketMatchId, winnerId, matchId) {
+    const bracket = tournament.bracket.map(match => ({ ...match }));
+    const match = bracket.find(bracketMatch => bracketMatch.id === bracketMatchId);
+    
+    if (!match || !this.isPlayable(match)) {
+      throw new Error('Bracket match is not ready to be played');
+    }
+    
+    match.matchId = matchId;
+    this.setResult(bracket, match, winnerId);
+    this.resolveByes(bracket);
+    
+    const championId = this.getChampionId(bracket, tournament.format);
+    
+    return {
+      ...tournament,
+      bracket,
+      championId,
+      status: championId ? 'completed' : 'active'
+    };
+  },
+  
+  /**
+   * Replace one player with another throughout a tournament
+   * @param {Object} tournament - Tournament object
+   * @param {string} fromId - ID of the player to replace
+   * @param {string} toId - ID of the replacement player
+   * @returns {Object} - Updated tournament
+   */
+  replacePlayer(tournament, fromId, toId) {
+    const replace = id => (id === fromId ? toId : id);
+    
+    return {
+      ...tournament,
+      playerIds: tournament.playerIds.map(replace),
+      bracket: tournament.bracket.map(match => ({
+        ...match,
+        player1Id: replace(match.player1Id),
+        player2Id: replace(match.player2Id),
+        winnerId: replace(match.winnerId),
+        loserId: replace(match.loserId)
+      })),
+      championId: replace(tournament.championId)
+    };
+  },
+  
+  /**
+   * Take recorded matches out of a bracket by replaying every other result on a fresh bracket
+   * @param {Object} tournament - Tournament object
+   * @param {Array} matchIds - IDs of the matches leaving the bracket
+   * @returns {Object} - Updated tournament, or the same tournament if none of the matches are in it
+   */
+  removeResults(tournament, matchIds) {
+    if (!tournament.bracket.some(match => matchIds.includes(match.matchId))) {
+      return tournament;
+    }
+    
+    let updatedTournament = {
+      ...tournament,
+      bracket: this.createBracket(tournament.playerIds, tournament.format),
+      championId: null,
+      status: 'active'
+    };
+    let pending = tournament.bracket.filter(match => match.matchId && !matchIds.includes(match.matchId));
+    
+    // Earlier rounds have to be in place before the matches they feed
+    let ready = pending;
+    while (ready.length > 0) {
+      ready = pending.filter(match => this.canRecord(updatedTournament, match.id, [match.player1Id, match.player2Id]));
+      ready.forEach(match => {
+        updatedTournament = this.recordResult(updatedTournament, match.id, match.winnerId, match.matchId);
+      });
+      pending = pending.filter(match => !ready.includes(match));
+    }
+    
+    if (pending.length > 0) {
+      throw new Error(`A later round of "${tournament.name}" has been played; delete that match first`);
+    }
+    
+    return updatedTournament;
+  },
+  
+  /**
+   * Get the tournament champion, if decided
+   * @param {Array} bracket - Bracket matches
+   * @param {string} format - 'single' or 'double'
+   * @returns {string|null} - Champion player ID
+   */
+  getChampionId(bracket, format) {
+    if (format === 'double') {
+      const grandFinal = this.findMatch(bracket, 'final', 1, 1);
+      const reset = this.findMatch(bracket, 'final', 2, 1);
+      
+      if (reset.winnerId) return reset.winnerId;
+      if (grandFinal.winnerId && grandFinal.winnerId === grandFinal.player1Id) return grandFinal.winnerId;
+      return null;
+    }
+    
+    const finalRound = Math.max(...bracket.map(match => match.round));
+    const final = this.findMatch(bracket, 'winners', finalRound, 1);
+    return final.winnerId && final.winnerId !== this.BYE ? final.winnerId : null;
+  },
+  
+  /**
+   * Get a display name for a bracket round
+   * @param {Array} bracket - Bracket matches
+   * @param {string} bracketName - 'winners', 'losers' or 'final'
+   * @param {number} round - Round number
+   * @returns {string} - Round name
+   */
+  getRoundName(bracket, bracketName, round) {
+    if (bracketName === 'final') {
+      return round === 1 ? 'Grand Final' : 'Grand Final Reset';
+    }
+    
+    const rounds = Math.max(...bracket.filter(match => match.bracket === bracketName).map(match => match.round));
+    
+    if (bracketName === 'losers') {
+      return round === rounds ? 'Losers Final' : `Losers Round ${round}`;
+    }
+    
+    if (round === rounds) return 'Final';
+    if (round === rounds - 1) return 'Semifinals';
+    if (round === rounds - 2) return 'Quarterfinals';
+    return `Round ${round}`;
+  }
+};
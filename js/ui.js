@@ -7,6 +7,23 @@ const UI = {
   // Current state
   currentRoom: null,
   currentTab: 'players',
+  leaderboardData: [],
+  provisionalData: [],
+  leaderboardSort: { key: 'rank', direction: 'asc' },
+  liveMatch: null,
+  matchContext: null,
+  currentTournamentId: null,
+  currentLeagueId: null,
+  editingMatch: null,
+  currentSeasonId: null,
+  includeHandicapMatches: true,
+  handicapSuggestion: null,
+  
+  // Profile selector value that creates a new profile
+  newPersonOption: 'new',
+  
+  // Season selector value that shows every match
+  allSeasonsOption: 'all',
   
   /**
    * Initialize the UI
@@ -24,6 +41,9 @@ const UI = {
     document.getElementById('room-selector').addEventListener('change', this.handleRoomChange.bind(this));
     document.getElementById('create-room-btn').addEventListener('click', this.showCreateRoomModal.bind(this));
     document.getElementById('manage-rooms-btn').addEventListener('click', this.showManageRoomsModal.bind(this));
+    document.getElementById('trash-retention-form').addEventListener('submit', this.handleTrashRetentionSubmit.bind(this));
+    document.getElementById('purge-player-form').addEventListener('submit', this.handlePurgePlayerSubmit.bind(this));
+    document.getElementById('room-settings-btn').addEventListener('click', this.showRoomSettingsModal.bind(this));
     
     // Welcome screen buttons
     document.getElementById('welcome-create-room').addEventListener('click', this.showCreateRoomModal.bind(this));
@@ -36,9 +56,91 @@ const UI = {
     
     // Player actions
     document.getElementById('add-player-btn').addEventListener('click', this.showAddPlayerModal.bind(this));
+    document.getElementById('merge-players-btn').addEventListener('click', this.showMergePlayersModal.bind(this));
+    document.getElementById('merge-players-form').addEventListener('submit', this.handleMergePlayersSubmit.bind(this));
+    document.getElementById('merge-source').addEventListener('change', this.updateMergePreview.bind(this));
+    document.getElementById('merge-target').addEventListener('change', this.updateMergePreview.bind(this));
     
     // Match form
     document.getElementById('new-match-form').addEventListener('submit', this.handleMatchSubmit.bind(this));
+    document.getElementById('new-match-form').addEventListener('reset', this.handleMatchFormReset.bind(this));
+    document.getElementById('match-type').addEventListener('change', (event) => this.setMatchTypeFields(event.target.value));
+    
+    // Handicaps
+    ['player1', 'player2'].forEach(selectId => {
+      document.getElementById(selectId).addEventListener('change', this.updateHandicapFields.bind(this));
+      document.getElementById(selectId).addEventListener('change', this.updateMatchPrediction.bind(this));
+    });
+    document.getElementById('apply-handicap-btn').addEventListener('click', this.applyHandicapSuggestion.bind(this));
+    document.getElementById('stats-include-handicap').addEventListener('change', (event) => {
+      this.includeHandicapMatches = event.target.checked;
+      this.loadStats();
+    });
+    document.getElementById('add-game-btn').addEventListener('click', () => this.addGameRow());
+    
+    // Match editing
+    document.getElementById('edit-match-form').addEventListener('submit', this.handleEditMatchSubmit.bind(this));
+    document.getElementById('edit-add-game-btn').addEventListener('click', () => {
+      this.addGameRow(document.getElementById('edit-match-games'), this.getEditMatchMaxGames(this.editingMatch));
+    });
+    
+    // Matches recorded for a tournament, league or other event
+    document.getElementById('cancel-match-context').addEventListener('click', this.clearMatchContext.bind(this));
+    
+    // Tournaments
+    document.getElementById('create-tournament-btn').addEventListener('click', this.showCreateTournamentModal.bind(this));
+    document.getElementById('create-tournament-form').addEventListener('submit', this.handleCreateTournamentSubmit.bind(this));
+    document.getElementById('tournament-selector').addEventListener('change', (event) => {
+      this.currentTournamentId = event.target.value;
+      this.loadTournaments();
+    });
+    document.getElementById('delete-tournament-btn').addEventListener('click', this.confirmDeleteTournament.bind(this));
+    
+    // Leagues
+    document.getElementById('create-league-btn').addEventListener('click', this.showCreateLeagueModal.bind(this));
+    document.getElementById('create-league-form').addEventListener('submit', this.handleCreateLeagueSubmit.bind(this));
+    document.getElementById('league-selector').addEventListener('change', (event) => {
+      this.currentLeagueId = event.target.value;
+      this.loadLeagues();
+    });
+    document.getElementById('delete-league-btn').addEventListener('click', this.confirmDeleteLeague.bind(this));
+    document.getElementById('pair-round-btn').addEventListener('click', this.handlePairNextRound.bind(this));
+    document.getElementById('league-format').addEventListener('change', this.updateLeagueFormatFields.bind(this));
+    
+    // Ladder
+    document.getElementById('start-ladder-btn').addEventListener('click', this.handleStartLadder.bind(this));
+    document.getElementById('delete-ladder-btn').addEventListener('click', this.confirmDeleteLadder.bind(this));
+    document.getElementById('ladder-settings-form').addEventListener('submit', this.handleLadderSettingsSubmit.bind(this));
+    
+    // King of the table
+    document.getElementById('king-join-form').addEventListener('submit', this.handleKingJoin.bind(this));
+    document.getElementById('play-king-match-btn').addEventListener('click', this.startKingMatch.bind(this));
+    document.getElementById('king-losers-rejoin').addEventListener('change', (event) => {
+      this.updateKingQueue(queue => ({ ...queue, losersRejoin: event.target.checked }));
+    });
+    
+    // Live match
+    document.getElementById('live-setup-form').addEventListener('submit', this.handleLiveMatchStart.bind(this));
+    document.querySelectorAll('.live-point-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.handleLivePoint(btn.dataset.side));
+    });
+    document.getElementById('live-undo').addEventListener('click', this.handleLiveUndo.bind(this));
+    document.getElementById('live-abandon').addEventListener('click', this.confirmAbandonLiveMatch.bind(this));
+    document.getElementById('live-save').addEventListener('click', this.handleLiveMatchSave.bind(this));
+    
+    // Seasons
+    document.getElementById('new-season-btn').addEventListener('click', this.showCreateSeasonModal.bind(this));
+    document.getElementById('create-season-form').addEventListener('submit', this.handleCreateSeasonSubmit.bind(this));
+    document.getElementById('close-season-btn').addEventListener('click', this.confirmCloseSeason.bind(this));
+    document.getElementById('season-selector').addEventListener('change', (event) => {
+      this.currentSeasonId = event.target.value;
+      this.loadStats();
+    });
+    
+    // Leaderboard sorting
+    document.querySelectorAll('.leaderboard-table th[data-sort]').forEach(th => {
+      th.addEventListener('click', this.handleLeaderboardSort.bind(this));
+    });
     
     // Modal close buttons
     document.querySelectorAll('.close-modal, .cancel-modal').forEach(btn => {
@@ -52,6 +154,12 @@ const UI = {
     document.getElementById('create-room-form').addEventListener('submit', this.handleCreateRoomSubmit.bind(this));
     document.getElementById('add-player-form').addEventListener('submit', this.handleAddPlayerSubmit.bind(this));
     document.getElementById('edit-player-form').addEventListener('submit', this.handleEditPlayerSubmit.bind(this));
+    document.getElementById('room-settings-form').addEventListener('submit', this.handleRoomSettingsSubmit.bind(this));
+    document.getElementById('room-rating-system').addEventListener('change', this.updateRatingSystemDescription.bind(this));
+    document.getElementById('room-win-by-two').addEventListener('change', this.updateDeuceFields.bind(this));
+    document.getElementById('room-handicaps-enabled').addEventListener('change', this.updateHandicapBasisField.bind(this));
+    document.getElementById('compare-player1').addEventListener('change', this.renderComparison.bind(this));
+    document.getElementById('compare-player2').addEventListener('change', this.renderComparison.bind(this));
     
     // Data management
     document.getElementById('export-all-data').addEventListener('click', this.handleExportAllData.bind(this));
@@ -161,6 +269,18 @@ const UI = {
       document.getElementById('current-room-display').classList.remove('hidden');
       document.getElementById('current-room-name').textContent = room.name;
       
+      // Reset the match form for this room's format
+      this.clearMatchContext();
+      this.resetGameRows();
+      
+      // Events and seasons belong to the previous room
+      this.currentTournamentId = null;
+      this.currentLeagueId = null;
+      this.currentSeasonId = null;
+      
+      // Resume any live match in progress
+      this.liveMatch = await DB.getSetting(this.getLiveMatchKey());
+      
       // Load room data
       await this.loadPlayers();
       await this.loadMatches();
@@ -214,7 +334,18 @@ const UI = {
     
     // Special handling for certain tabs
     if (tabName === 'new-match') {
+      this.populatePlayerSelectors().then(() => this.applyMatchContext());
+    } else if (tabName === 'tournaments') {
+      this.loadTournaments();
+    } else if (tabName === 'leagues') {
+      this.loadLeagues();
+    } else if (tabName === 'ladder') {
+      this.loadLadder();
+    } else if (tabName === 'king') {
+      this.loadKingOfTable();
+    } else if (tabName === 'live-match') {
       this.populatePlayerSelectors();
+      this.renderLiveMatch();
     } else if (tabName === 'stats') {
       this.loadStats();
     } else if (tabName === 'history') {
@@ -230,6 +361,7 @@ const UI = {
     
     try {
       const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const unlockedBadges = Achievements.getUnlocked(await DB.getMatchesInRoom(this.currentRoom.id));
       
       const playersList = document.getElementById('players-list');
       const noPlayersMessage = document.getElementById('no-players-message');
@@ -252,8 +384,12 @@ const UI = {
           const stats = await DB.getPlayerStats(player.id);
           
           const row = document.createElement('tr');
+          row.classList.toggle('archived-player', Boolean(player.archived));
           row.innerHTML = `
-            <td>${player.name}${player.nickname ? ` (${player.nickname})` : ''}</td>
+            <td>
+              <button class="player-link view-player-profile">${player.name}</button>${player.nickname ? ` (${player.nickname})` : ''}${player.archived ? ' <span class="player-status">Archived</span>' : ''}
+              ${this.renderPlayerBadges(unlockedBadges.get(player.id) || [])}
+            </td>
             <td>${stats.matches}</td>
             <td>${stats.wins}</td>
             <td>${stats.losses}</td>
@@ -265,9 +401,28 @@ const UI = {
           `;
           
           // Add event listeners
+          row.querySelector('.view-player-profile').addEventListener('click', () => this.showPlayerProfileModal(player));
           row.querySelector('.edit-player').addEventListener('click', () => this.showEditPlayerModal(player));
           row.querySelector('.delete-player').addEventListener('click', () => this.confirmDeletePlayer(player));
           
+          // Linked players show their record across rooms
+          if (player.personId) {
+            const profileButton = document.createElement('button');
+            profileButton.className = 'btn secondary view-profile';
+            profileButton.textContent = 'Profile';
+            profileButton.addEventListener('click', () => this.showPersonProfileModal(player.personId));
+            row.querySelector('.edit-player').before(profileButton);
+          }
+          
+          // The "Former player" placeholder always stays archived
+          if (!player.placeholder) {
+            const archiveButton = document.createElement('button');
+            archiveButton.className = 'btn secondary archive-player';
+            archiveButton.textContent = player.archived ? 'Reactivate' : 'Archive';
+            archiveButton.addEventListener('click', () => this.handleArchivePlayer(player, !player.archived));
+            row.querySelector('.delete-player').before(archiveButton);
+          }
+          
           playersList.appendChild(row);
         }
       }
@@ -277,6 +432,35 @@ const UI = {
     }
   },
   
+  /**
+   * Build the badge list shown under a player's name
+   * @param {Array} badges - Unlocked badges as { achievementId, matchId, date }
+   * @returns {string} - HTML for the badges, or an empty string
+   */
+  renderPlayerBadges(badges) {
+    if (badges.length === 0) return '';
+    
+    const items = badges.map(badge => {
+      const achievement = Achievements.get(badge.achievementId);
+      const unlockedOn = new Date(badge.date).toLocaleDateString();
+      return `<span class="achievement-badge" title="${achievement.description} (unlocked ${unlockedOn})">${achievement.name}</span>`;
+    });
+    
+    return `<div class="player-badges">${items.join('')}</div>`;
+  },
+  
+  /**
+   * Announce the badges unlocked by a recorded match
+   * @param {Array} achievements - Unlocked badges as { achievementId, playerId }
+   */
+  async showAchievementToasts(achievements = []) {
+    for (const { achievementId, playerId } of achievements) {
+      const player = await DB.getPlayer(playerId);
+      const achievement = Achievements.get(achievementId);
+      this.showToast(`${player.name} unlocked ${achievement.name}: ${achievement.description}`, 'success');
+    }
+  },
+  
   /**
    * Load matches for the current room
    */
@@ -313,25 +497,7 @@ const UI = {
         
         // Add matches to the list
         for (const match of sortedMatches) {
-          const date = new Date(match.date);
-          const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-          
-          const row = document.createElement('tr');
-          row.innerHTML = `
-            <td>${formattedDate}</td>
-            <td>${playerMap.get(match.player1Id)} vs ${playerMap.get(match.player2Id)}</td>
-            <td>${match.player1Score} - ${match.player2Score}</td>
-            <td>${playerMap.get(match.winnerId)}</td>
-            <td>${match.notes || '-'}</td>
-            <td class="table-actions">
-              <button class="btn danger delete-match" data-id="${match.id}">Delete</button>
-            </td>
-          `;
-          
-          // Add event listeners
-          row.querySelector('.delete-match').addEventListener('click', () => this.confirmDeleteMatch(match));
-          
-          matchesList.appendChild(row);
+          matchesList.appendChild(this.createMatchRow(match, playerMap));
         }
       }
     } catch (error) {
@@ -341,261 +507,2597 @@ const UI = {
   },
   
   /**
-   * Load statistics for the current room
+   * Create a match history row
+   * @param {Object} match - Match object
+   * @param {Map} playerMap - Map of player IDs to names
+   * @returns {HTMLElement} - Table row
    */
-  async loadStats() {
-    if (!this.currentRoom) return;
+  createMatchRow(match, playerMap) {
+    const date = new Date(match.date);
+    const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${formattedDate}</td>
+      <td>${this.formatTeam(match, 'player1', playerMap)} vs ${this.formatTeam(match, 'player2', playerMap)}${match.needsReview ? ` <span class="review-flag" title="${match.reviewReason || 'A player merge left the same player on both sides'}">Needs review</span>` : ''}</td>
+      <td>${match.player1Score} - ${match.player2Score}${this.formatGameScores(match)}${this.formatHandicap(match, playerMap)}</td>
+      <td>${this.formatRatingChange(match)}</td>
+      <td>${this.formatTeam(match, match.winnerId === match.player1Id ? 'player1' : 'player2', playerMap)}</td>
+      <td>${match.notes || '-'}</td>
+      <td class="table-actions">
+        <button class="btn primary edit-match" data-id="${match.id}">Edit</button>
+        <button class="btn danger delete-match" data-id="${match.id}">Delete</button>
+      </td>
+    `;
+    
+    // Add event listeners
+    row.querySelector('.edit-match').addEventListener('click', () => this.showEditMatchModal(match));
+    row.querySelector('.delete-match').addEventListener('click', () => this.confirmDeleteMatch(match));
+    
+    // Any match opens the head-to-head of the first player on each side
+    const compareButton = document.createElement('button');
+    compareButton.className = 'btn secondary compare-match-players';
+    compareButton.textContent = 'H2H';
+    compareButton.addEventListener('click', () => this.showCompareModal(match.player1Id, match.player2Id));
+    row.querySelector('.table-actions').prepend(compareButton);
+    
+    // Edited matches show what changed and when
+    if (Array.isArray(match.revisions) && match.revisions.length > 0) {
+      const historyButton = document.createElement('button');
+      historyButton.className = 'btn secondary match-history';
+      historyButton.textContent = 'History';
+      historyButton.addEventListener('click', () => this.showMatchRevisionsModal(match, playerMap));
+      row.querySelector('.table-actions').prepend(historyButton);
+    }
+    
+    // Live-scored matches can be reviewed point by point
+    if (Array.isArray(match.points) && match.points.length > 0) {
+      const reviewButton = document.createElement('button');
+      reviewButton.className = 'btn secondary review-points';
+      reviewButton.textContent = 'Points';
+      reviewButton.addEventListener('click', () => this.showPointReviewModal(match, playerMap));
+      row.querySelector('.table-actions').prepend(reviewButton);
+    }
+    
+    return row;
+  },
+  
+  /**
+   * Show the point-by-point review of a live-scored match
+   * @param {Object} match - Match object
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  showPointReviewModal(match, playerMap) {
+    const names = {
+      player1: playerMap.get(match.player1Id),
+      player2: playerMap.get(match.player2Id)
+    };
+    
+    const content = document.getElementById('point-review-content');
+    content.innerHTML = `
+      <p>
+        <span class="point-chip player1">${(names.player1 || '?').charAt(0)}</span> ${names.player1}
+        <span class="point-chip player2">${(names.player2 || '?').charAt(0)}</span> ${names.player2}
+      </p>
+    `;
+    
+    (match.games || []).forEach((game, index) => {
+      const gamePoints = match.points.filter(point => point.game === index + 1);
+      
+      const heading = document.createElement('h4');
+      heading.textContent = `Game ${index + 1}: ${game.player1Score}-${game.player2Score}`;
+      
+      const sequence = document.createElement('div');
+      sequence.className = 'point-sequence';
+      gamePoints.forEach(point => {
+        const chip = document.createElement('span');
+        chip.className = `point-chip ${point.winner}`;
+        chip.textContent = (names[point.winner] || '?').charAt(0);
+        chip.title = `${point.player1Score}-${point.player2Score}, ${names[point.server]} serving`;
+        sequence.appendChild(chip);
+      });
+      
+      content.appendChild(heading);
+      content.appendChild(sequence);
+    });
     
+    document.getElementById('point-review-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
+  },
+  
+  /**
+   * Show the edit match dialog
+   * @param {Object} match - Match object
+   */
+  async showEditMatchModal(match) {
     try {
       const players = await DB.getPlayersInRoom(this.currentRoom.id);
-      const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const isDoubles = match.type === 'doubles';
       
-      // Calculate player stats
-      const playerStats = [];
-      for (const player of players) {
-        const stats = await DB.getPlayerStats(player.id);
-        playerStats.push({
-          id: player.id,
-          name: player.name,
-          matches: stats.matches,
-          wins: stats.wins,
-          losses: stats.losses,
-          winPercentage: stats.winPercentage,
-          currentStreak: stats.currentStreak,
-          isWinningStreak: stats.isWinningStreak
-        });
-      }
+      // Event matches keep their players so brackets, fixtures and challenges stay valid
+      const isEventMatch = Boolean(match.tournamentId || match.leagueId || match.ladderChallengeId);
       
-      // Sort by win percentage (descending)
-      playerStats.sort((a, b) => b.winPercentage - a.winPercentage);
+      const playerFields = {
+        player1Id: 'edit-match-player1',
+        player1PartnerId: 'edit-match-player1-partner',
+        player2Id: 'edit-match-player2',
+        player2PartnerId: 'edit-match-player2-partner'
+      };
       
-      // Update leaderboard
-      const leaderboardList = document.getElementById('leaderboard-list');
-      leaderboardList.innerHTML = '';
+      Object.entries(playerFields).forEach(([field, selectId]) => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '<option value="">Select Player</option>';
+        players.forEach(player => {
+          const option = document.createElement('option');
+          option.value = player.id;
+          option.textContent = player.name;
+          select.appendChild(option);
+        });
+        select.value = match[field] || '';
+        select.disabled = isEventMatch;
+        select.required = isDoubles || !field.endsWith('PartnerId');
+      });
       
-      playerStats.forEach((player, index) => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-          <td>${index + 1}</td>
-          <td>${player.name}</td>
-          <td>${player.wins}</td>
-          <td>${player.winPercentage}%</td>
-          <td>${player.currentStreak > 0 ? `${player.currentStreak} ${player.isWinningStreak ? 'W' : 'L'}` : '-'}</td>
-        `;
-        leaderboardList.appendChild(row);
+      document.querySelectorAll('.edit-doubles-only').forEach(group => {
+        group.classList.toggle('hidden', !isDoubles);
       });
       
-      // Create win distribution chart
-      this.createWinDistributionChart(playerStats);
+      // Matches saved before game scores were recorded only have the games won
+      const hasGames = Array.isArray(match.games) && match.games.length > 0;
+      document.getElementById('edit-match-games-group').classList.toggle('hidden', !hasGames);
+      document.getElementById('edit-match-scores-group').classList.toggle('hidden', hasGames);
       
-      // Create match activity chart
-      this.createMatchActivityChart(matches);
+      const gamesContainer = document.getElementById('edit-match-games');
+      gamesContainer.innerHTML = '';
+      if (hasGames) {
+        match.games.forEach(game => this.addGameRow(gamesContainer, this.getEditMatchMaxGames(match), game));
+      }
+      document.getElementById('edit-match-player1-score').value = match.player1Score;
+      document.getElementById('edit-match-player2-score').value = match.player2Score;
+      
+      document.getElementById('edit-match-id').value = match.id;
+      document.getElementById('edit-match-date').value = this.formatDateTimeInput(match.date);
+      document.getElementById('edit-match-notes').value = match.notes || '';
+      this.editingMatch = match;
+      
+      document.getElementById('edit-match-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
     } catch (error) {
-      console.error('Error loading statistics:', error);
-      this.showToast('Error loading statistics', 'error');
+      console.error('Error opening match editor:', error);
+      this.showToast('Error loading match', 'error');
     }
   },
   
   /**
-   * Create win distribution chart
-   * @param {Array} playerStats - Array of player statistics
+   * Get the most games an edited match may have
+   * @param {Object} match - Match object
+   * @returns {number} - The room's match format, or more if the match already has more games
    */
-  createWinDistributionChart(playerStats) {
-    const chartContainer = document.getElementById('win-distribution-chart');
-    chartContainer.innerHTML = '';
-    
-    if (playerStats.length === 0) {
-      chartContainer.innerHTML = '<p class="empty-chart">No data available</p>';
-      return;
-    }
-    
-    // Find the player with the most wins (for scaling)
-    const maxWins = Math.max(...playerStats.map(player => player.wins));
+  getEditMatchMaxGames(match) {
+    return Math.max(this.getMatchFormat(), (match.games || []).length);
+  },
+  
+  /**
+   * Format a date for a datetime-local input in local time
+   * @param {string} value - ISO date string
+   * @returns {string} - Date as YYYY-MM-DDTHH:MM
+   */
+  formatDateTimeInput(value) {
+    const date = new Date(value);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  },
+  
+  /**
+   * Show what was changed in each edit of a match
+   * @param {Object} match - Match object
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  showMatchRevisionsModal(match, playerMap) {
+    const content = document.getElementById('match-revisions-content');
+    content.innerHTML = '';
     
-    // Create bars for each player
-    playerStats.forEach(player => {
-      if (player.matches === 0) return;
+    // Newest edit first
+    [...match.revisions].reverse().forEach(revision => {
+      const heading = document.createElement('h4');
+      heading.textContent = new Date(revision.date).toLocaleString();
       
-      const barHeight = player.wins > 0 ? (player.wins / maxWins) * 100 : 0;
-      
-      const bar = document.createElement('div');
-      bar.className = 'bar';
-      bar.style.height = `${barHeight}%`;
-      
-      const barLabel = document.createElement('div');
-      barLabel.className = 'bar-label';
-      barLabel.textContent = player.name;
-      
-      const barValue = document.createElement('div');
-      barValue.className = 'bar-value';
-      barValue.textContent = player.wins;
+      const list = document.createElement('ul');
+      list.className = 'revision-changes';
+      revision.changes.forEach(change => {
+        const item = document.createElement('li');
+        item.textContent = `${this.getMatchFieldLabel(change.field)}: ` +
+          `${this.formatMatchFieldValue(change.field, change.from, playerMap)} → ` +
+          `${this.formatMatchFieldValue(change.field, change.to, playerMap)}`;
+        list.appendChild(item);
+      });
       
-      bar.appendChild(barLabel);
-      bar.appendChild(barValue);
-      chartContainer.appendChild(bar);
+      content.appendChild(heading);
+      content.appendChild(list);
     });
+    
+    document.getElementById('match-revisions-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
   },
   
   /**
-   * Create match activity chart
-   * @param {Array} matches - Array of matches
+   * Get the display label of a match field
+   * @param {string} field - Match field name
+   * @returns {string} - Label
    */
-  createMatchActivityChart(matches) {
-    const chartContainer = document.getElementById('match-activity-chart');
-    chartContainer.innerHTML = '';
+  getMatchFieldLabel(field) {
+    const labels = {
+      player1Id: 'Player 1',
+      player1PartnerId: 'Player 1 partner',
+      player2Id: 'Player 2',
+      player2PartnerId: 'Player 2 partner',
+      player1Score: 'Player 1 games',
+      player2Score: 'Player 2 games',
+      winnerId: 'Winner',
+      games: 'Game scores',
+      date: 'Date',
+      notes: 'Notes'
+    };
     
-    if (matches.length === 0) {
-      chartContainer.innerHTML = '<p class="empty-chart">No data available</p>';
-      return;
-    }
+    return labels[field] || field;
+  },
+  
+  /**
+   * Format a match field value for the edit history
+   * @param {string} field - Match field name
+   * @param {*} value - Field value
+   * @param {Map} playerMap - Map of player IDs to names
+   * @returns {string} - Formatted value
+   */
+  formatMatchFieldValue(field, value, playerMap) {
+    if (value === null || value === '') return '-';
     
-    // Group matches by day
-    const matchesByDay = {};
-    matches.forEach(match => {
-      const date = new Date(match.date);
-      const day = date.toLocaleDateString();
-      
-      if (!matchesByDay[day]) {
-        matchesByDay[day] = 0;
-      }
-      
-      matchesByDay[day]++;
-    });
+    if (field.endsWith('Id')) {
+      return playerMap.get(value) || 'Unknown player';
+    }
+    if (field === 'games') {
+      return value.map(game => `${game.player1Score}-${game.player2Score}`).join(', ');
+    }
+    if (field === 'date') {
+      return new Date(value).toLocaleString();
+    }
     
-    // Convert to array and sort by date
-    const activityData = Object.entries(matchesByDay).map(([day, count]) => ({
-      day,
-      count,
-      date: new Date(day)
-    }));
+    return String(value);
+  },
+  
+  /**
+   * Format the names on one side of a match
+   * @param {Object} match - Match object
+   * @param {string} side - 'player1' or 'player2'
+   * @param {Map} playerMap - Map of player IDs to names
+   * @returns {string} - Player name, or both partners' names for doubles
+   */
+  formatTeam(match, side, playerMap) {
+    return Stats.getTeam(match, side).map(playerId => playerMap.get(playerId)).join(' & ');
+  },
+  
+  /**
+   * Format the individual game scores of a match
+   * @param {Object} match - Match object
+   * @returns {string} - Game scores markup, empty if the match has none
+   */
+  formatGameScores(match) {
+    if (!Array.isArray(match.games) || match.games.length === 0) return '';
     
-    activityData.sort((a, b) => a.date - b.date);
+    const scores = match.games.map(game => `${game.player1Score}-${game.player2Score}`).join(', ');
+    return `<span class="game-scores">${scores}</span>`;
+  },
+  
+  /**
+   * Format the head start given in a handicap match
+   * @param {Object} match - Match object
+   * @param {Map} playerMap - Map of player IDs to names
+   * @returns {string} - HTML for the head start, or an empty string
+   */
+  formatHandicap(match, playerMap) {
+    if (!match.handicap) return '';
     
-    // Limit to the last 10 days with activity
-    const recentActivity = activityData.slice(-10);
+    const name = playerMap.get(match[`${match.handicap.side}Id`]) || 'Unknown';
+    return `<span class="game-scores">Handicap: ${name} +${match.handicap.points}</span>`;
+  },
+  
+  /**
+   * Format the rating swing of a match as "player 1 / player 2"
+   * @param {Object} match - Match object
+   * @returns {string} - Formatted rating change
+   */
+  formatRatingChange(match) {
+    if (!match.rating) return '-';
     
-    // Find the maximum count (for scaling)
-    const maxCount = Math.max(...recentActivity.map(data => data.count));
+    const formatDelta = delta => {
+      const className = delta > 0 ? 'rating-up' : delta < 0 ? 'rating-down' : '';
+      return `<span class="${className}">${delta > 0 ? '+' : ''}${delta}</span>`;
+    };
     
-    // Create bars for each day
-    recentActivity.forEach(data => {
-      const barHeight = (data.count / maxCount) * 100;
-      
-      const bar = document.createElement('div');
-      bar.className = 'bar';
-      bar.style.height = `${barHeight}%`;
-      
-      const barLabel = document.createElement('div');
-      barLabel.className = 'bar-label';
-      barLabel.textContent = new Date(data.day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
-      
-      const barValue = document.createElement('div');
-      barValue.className = 'bar-value';
-      barValue.textContent = data.count;
-      
-      bar.appendChild(barLabel);
-      bar.appendChild(barValue);
-      chartContainer.appendChild(bar);
-    });
+    return `${formatDelta(match.rating.player1Delta)} / ${formatDelta(match.rating.player2Delta)}`;
   },
   
   /**
-   * Populate player selectors for the new match form
+   * Load statistics for the current room
    */
-  async populatePlayerSelectors() {
+  async loadStats() {
     if (!this.currentRoom) return;
     
     try {
       const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const seasons = await DB.getSeasonsInRoom(this.currentRoom.id);
       
-      const player1Select = document.getElementById('player1');
-      const player2Select = document.getElementById('player2');
+      // Stats default to the current season, while ratings carry over from earlier seasons
+      // so the leaderboard agrees with the rating change shown on each match
+      const season = this.renderSeasonPicker(seasons);
+      const roomMatches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const seasonMatches = season ? Seasons.getSeasonMatches(season, roomMatches) : roomMatches;
       
-      // Clear existing options except the first one
-      while (player1Select.options.length > 1) {
-        player1Select.remove(1);
-      }
+      // Handicap matches can be left out to compare results on level terms
+      const hasHandicapMatches = roomMatches.some(match => match.handicap);
+      document.getElementById('handicap-filter').classList.toggle('hidden', !hasHandicapMatches);
+      const matches = Handicaps.filterMatches(seasonMatches, this.includeHandicapMatches);
+      const ratingMatches = Handicaps.filterMatches(season ? Seasons.getMatchesUntilEnd(season, roomMatches) : roomMatches, this.includeHandicapMatches);
       
-      while (player2Select.options.length > 1) {
-        player2Select.remove(1);
-      }
+      // Calculate player stats and ratings
+      const ratingSystemId = season && season.snapshot ? season.snapshot.ratingSystem : RatingSystems.getSystemId(this.currentRoom);
+      document.getElementById('leaderboard-rating-system').textContent = RatingSystems.get(ratingSystemId).name;
+      document.getElementById('leaderboard-season-note').classList.toggle('hidden', !season);
       
-      // Add player options
-      players.forEach(player => {
-        const option1 = document.createElement('option');
-        option1.value = player.id;
-        option1.textContent = player.name;
-        player1Select.appendChild(option1);
-        
-        const option2 = document.createElement('option');
-        option2.value = player.id;
-        option2.textContent = player.name;
-        player2Select.appendChild(option2);
-      });
+      // Ratings replay every match, but the placeholder and optionally archived players are not ranked
+      const hiddenIds = Stats.getHiddenPlayerIds(players, this.currentRoom);
+      
+      // Closed seasons show their frozen final standings
+      const playerStats = season && season.snapshot
+        ? season.snapshot.standings
+        : Stats.generateLeaderboardData(players, matches, ratingSystemId, ratingMatches).filter(player => !hiddenIds.has(player.id));
+      
+      // Rank by the room's metric and tiebreakers, keeping players short of the minimum apart
+      const settings = season && season.snapshot
+        ? season.snapshot.leaderboardSettings || Rankings.defaultSettings
+        : Rankings.getSettings(this.currentRoom);
+      const { ranked, provisional } = season && season.snapshot
+        ? { ranked: season.snapshot.standings.map((row, index) => ({ ...row, rank: row.rank || index + 1 })), provisional: season.snapshot.provisional || [] }
+        : Rankings.rank(playerStats, matches, settings);
+      
+      // Update leaderboard
+      this.leaderboardData = ranked;
+      this.provisionalData = provisional;
+      this.renderLeaderboardSettings(settings);
+      this.renderLeaderboard();
+      
+      // Update doubles leaderboard and partnerships
+      this.renderDoublesStats(players, matches, hiddenIds);
+      
+      // Update upsets and prediction accuracy
+      this.renderUpsets(players, matches);
+      
+      // Update the rivalry matrix, in leaderboard order
+      this.renderRivalryMatrix([...ranked, ...provisional].filter(player => player.matches > 0), matches);
+      
+      // Create win distribution chart
+      this.createWinDistributionChart(playerStats);
+      
+      // Create match activity chart
+      this.createMatchActivityChart(matches);
     } catch (error) {
-      console.error('Error populating player selectors:', error);
-      this.showToast('Error loading players', 'error');
+      console.error('Error loading statistics:', error);
+      this.showToast('Error loading statistics', 'error');
     }
   },
   
   /**
-   * Populate player filter for match history
+   * Fill the season selector and summary for the current room
+   * @param {Array} seasons - Seasons in the room, newest first
+   * @returns {Object|null} - Selected season, or null to show every match
    */
-  async populatePlayerFilter() {
-    if (!this.currentRoom) return;
+  renderSeasonPicker(seasons) {
+    const currentSeason = Seasons.getCurrentSeason(seasons);
     
-    try {
-      const players = await DB.getPlayersInRoom(this.currentRoom.id);
-      
-      const playerFilter = document.getElementById('history-player-filter');
-      
-      // Clear existing options except the first one
-      while (playerFilter.options.length > 1) {
-        playerFilter.remove(1);
-      }
-      
-      // Add player options
-      players.forEach(player => {
-        const option = document.createElement('option');
-        option.value = player.id;
-        option.textContent = player.name;
-        playerFilter.appendChild(option);
-      });
-      
-      // Add event listener
-      playerFilter.addEventListener('change', this.filterMatchHistory.bind(this));
-      document.getElementById('history-date-filter').addEventListener('change', this.filterMatchHistory.bind(this));
-    } catch (error) {
-      console.error('Error populating player filter:', error);
-      this.showToast('Error loading players', 'error');
+    // Without a choice yet, the running season is shown
+    if (!this.currentSeasonId || (this.currentSeasonId !== this.allSeasonsOption && !seasons.some(s => s.id === this.currentSeasonId))) {
+      this.currentSeasonId = currentSeason ? currentSeason.id : this.allSeasonsOption;
     }
+    
+    const season = seasons.find(s => s.id === this.currentSeasonId) || null;
+    
+    document.getElementById('new-season-btn').classList.toggle('hidden', Boolean(currentSeason));
+    document.getElementById('close-season-btn').classList.toggle('hidden', !season || season.status !== 'active');
+    document.getElementById('season-picker').classList.toggle('hidden', seasons.length === 0);
+    
+    const selector = document.getElementById('season-selector');
+    selector.innerHTML = '';
+    
+    const allOption = document.createElement('option');
+    allOption.value = this.allSeasonsOption;
+    allOption.textContent = 'All matches';
+    selector.appendChild(allOption);
+    
+    seasons.forEach(s => {
+      const option = document.createElement('option');
+      option.value = s.id;
+      option.textContent = s.status === 'active' ? `${s.name} (current)` : s.name;
+      selector.appendChild(option);
+    });
+    selector.value = this.currentSeasonId;
+    
+    this.renderSeasonSummary(season);
+    
+    return season;
   },
   
   /**
-   * Filter match history based on selected filters
+   * Show a season's dates and, once closed, its champion and awards
+   * @param {Object|null} season - Selected season
    */
-  async filterMatchHistory() {
-    if (!this.currentRoom) return;
+  renderSeasonSummary(season) {
+    const summary = document.getElementById('season-summary');
+    summary.classList.toggle('hidden', !season);
+    if (!season) return;
     
-    try {
-      const playerFilter = document.getElementById('history-player-filter').value;
-      const dateFilter = document.getElementById('history-date-filter').value;
-      
-      let matches = await DB.getMatchesInRoom(this.currentRoom.id);
-      const players = await DB.getPlayersInRoom(this.currentRoom.id);
-      
-      // Filter by player
-      if (playerFilter) {
-        matches = matches.filter(match => 
-          match.player1Id === playerFilter || match.player2Id === playerFilter
-        );
-      }
-      
-      // Filter by date
-      if (dateFilter !== 'all') {
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        
+    const formatDate = date => new Date(date).toLocaleDateString();
+    let dates = `Started ${formatDate(season.startDate)}`;
+    if (season.endDate) {
+      dates += `, ended ${formatDate(season.endDate)}`;
+    } else if (season.plannedEndDate) {
+      dates += `, planned to end ${formatDate(season.plannedEndDate)}`;
+    }
+    document.getElementById('season-dates').textContent = dates;
+    
+    const snapshot = season.snapshot;
+    document.getElementById('season-results').classList.toggle('hidden', !snapshot);
+    if (!snapshot) return;
+    
+    document.getElementById('season-champion').textContent = snapshot.championName || 'No matches played';
+    
+    const awardsList = document.getElementById('season-awards');
+    awardsList.innerHTML = '';
+    snapshot.awards.forEach(award => {
+      const item = document.createElement('li');
+      item.innerHTML = `<strong>${award.title}:</strong> ${award.playerName} (${award.value})`;
+      awardsList.appendChild(item);
+    });
+  },
+  
+  /**
+   * Show the create season modal
+   */
+  showCreateSeasonModal() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    document.getElementById('season-start').value = this.formatDateTimeInput(new Date());
+    
+    document.getElementById('create-season-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
+    document.getElementById('season-name').focus();
+  },
+  
+  /**
+   * Handle create season form submission
+   * @param {Event} event - Submit event
+   */
+  async handleCreateSeasonSubmit(event) {
+    event.preventDefault();
+    
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    const name = document.getElementById('season-name').value.trim();
+    const startValue = document.getElementById('season-start').value;
+    const plannedEndValue = document.getElementById('season-planned-end').value;
+    
+    if (!name) {
+      this.showToast('Please enter a season name', 'error');
+      return;
+    }
+    
+    if (!startValue) {
+      this.showToast('Please enter a start date', 'error');
+      return;
+    }
+    
+    const startDate = new Date(startValue).toISOString();
+    const plannedEndDate = plannedEndValue ? new Date(`${plannedEndValue}T23:59`).toISOString() : null;
+    
+    if (plannedEndDate && plannedEndDate <= startDate) {
+      this.showToast('The planned end must be after the start', 'error');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      
+      const season = await DB.createSeason({
+        roomId: this.currentRoom.id,
+        name,
+        startDate,
+        plannedEndDate
+      });
+      
+      this.currentSeasonId = season.id;
+      await this.loadStats();
+      
+      this.showToast('Season started', 'success');
+      this.hideLoading();
+      
+      // Close the modal
+      this.closeAllModals();
+    } catch (error) {
+      console.error('Error creating season:', error);
+      this.showToast(error.message, 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Confirm closing the selected season
+   */
+  confirmCloseSeason() {
+    if (!this.currentSeasonId) return;
+    
+    this.showConfirmation(
+      'Close Season',
+      'Are you sure you want to close this season? Its final standings, champion and awards will be frozen.',
+      async () => {
+        try {
+          await DB.closeSeason(this.currentSeasonId);
+          await this.loadStats();
+          this.showToast('Season closed', 'success');
+        } catch (error) {
+          console.error('Error closing season:', error);
+          this.showToast(error.message, 'error');
+        }
+      }
+    );
+  },
+  
+  /**
+   * Describe how the leaderboard is ranked
+   * @param {Object} settings - Leaderboard settings
+   */
+  renderLeaderboardSettings(settings) {
+    const tiebreakers = settings.tiebreakers.map(id => Rankings.tiebreakers[id].toLowerCase());
+    let description = `Ranked by ${Rankings.metrics[settings.metric].name}`;
+    if (tiebreakers.length > 0) {
+      description += `, then ${tiebreakers.join(', then ')}`;
+    }
+    if (settings.minMatches > 0) {
+      description += `. ${settings.minMatches} matches needed to qualify.`;
+    } else {
+      description += '.';
+    }
+    
+    document.getElementById('leaderboard-ranking').textContent = description;
+    document.getElementById('provisional-caption').textContent =
+      `Fewer than ${settings.minMatches} matches played, so not ranked yet.`;
+    document.querySelectorAll('.leaderboard-table').forEach(table => {
+      table.classList.toggle('show-wilson', settings.metric === 'wilson');
+    });
+  },
+  
+  /**
+   * Sort leaderboard rows by the column the user picked
+   * @param {Array} rows - Leaderboard rows in rank order
+   * @returns {Array} - Sorted rows
+   */
+  sortLeaderboardRows(rows) {
+    const { key, direction } = this.leaderboardSort;
+    
+    // Rank order is the order the rows are already in
+    if (key === 'rank') {
+      return direction === 'asc' ? [...rows] : [...rows].reverse();
+    }
+    
+    return [...rows].sort((a, b) => {
+      const difference = key === 'name' ? a.name.localeCompare(b.name) : (a[key] || 0) - (b[key] || 0);
+      return direction === 'asc' ? difference : -difference;
+    });
+  },
+  
+  /**
+   * Render the leaderboard and provisional players using the current sort order
+   */
+  renderLeaderboard() {
+    const { key, direction } = this.leaderboardSort;
+    
+    this.renderLeaderboardRows(document.getElementById('leaderboard-list'), this.sortLeaderboardRows(this.leaderboardData));
+    this.renderLeaderboardRows(document.getElementById('provisional-list'), this.sortLeaderboardRows(this.provisionalData));
+    document.getElementById('provisional-leaderboard').classList.toggle('hidden', this.provisionalData.length === 0);
+    
+    // Update sort indicators
+    document.querySelectorAll('.leaderboard-table th[data-sort]').forEach(th => {
+      th.classList.remove('sort-asc', 'sort-desc');
+      if (th.dataset.sort === key) {
+        th.classList.add(`sort-${direction}`);
+      }
+    });
+  },
+  
+  /**
+   * Fill a leaderboard table body
+   * @param {HTMLElement} list - Table body
+   * @param {Array} rows - Leaderboard rows in display order
+   */
+  renderLeaderboardRows(list, rows) {
+    list.innerHTML = '';
+    
+    rows.forEach((player, index) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${player.rank || '-'}</td>
+        <td><button class="player-link compare-player">${player.name}</button></td>
+        <td>${player.rating}</td>
+        <td>${player.ratingLow !== null ? `${player.ratingLow} – ${player.ratingHigh}` : '-'}</td>
+        <td>${player.matches}</td>
+        <td>${player.wins}</td>
+        <td>${player.winPercentage}%</td>
+        <td class="wilson-column">${player.wilsonScore !== undefined ? `${player.wilsonScore}%` : '-'}</td>
+        <td>${player.pointDifferential !== undefined ? `${player.pointDifferential > 0 ? '+' : ''}${player.pointDifferential}` : '-'}</td>
+        <td>${player.currentStreak > 0 ? `${player.currentStreak} ${player.isWinningStreak ? 'W' : 'L'}` : '-'}</td>
+      `;
+      
+      // Compare with the next player down, or the one above for the last row
+      const rival = rows[index + 1] || rows[index - 1];
+      row.querySelector('.compare-player').addEventListener('click', () => {
+        this.showCompareModal(player.id, rival ? rival.id : null);
+      });
+      list.appendChild(row);
+    });
+  },
+  
+  /**
+   * Render the doubles leaderboard and partnership records
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   * @param {Set} hiddenIds - IDs of players left off the leaderboards
+   */
+  renderDoublesStats(players, matches, hiddenIds = new Set()) {
+    const doublesLeaderboard = Stats.generateDoublesLeaderboardData(players, matches)
+      .filter(player => !hiddenIds.has(player.id));
+    const pairStats = Stats.calculatePairStats(players, matches)
+      .filter(pair => !pair.playerIds.some(id => hiddenIds.has(id)));
+    
+    // Only show the doubles section once doubles have been played
+    document.getElementById('doubles-stats').classList.toggle('hidden', doublesLeaderboard.length === 0);
+    
+    const doublesList = document.getElementById('doubles-leaderboard-list');
+    doublesList.innerHTML = '';
+    
+    doublesLeaderboard.forEach((player, index) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${index + 1}</td>
+        <td>${player.name}</td>
+        <td>${player.matches}</td>
+        <td>${player.wins}</td>
+        <td>${player.winPercentage}%</td>
+      `;
+      doublesList.appendChild(row);
+    });
+    
+    const pairsList = document.getElementById('pairs-list');
+    pairsList.innerHTML = '';
+    
+    pairStats.forEach(pair => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${pair.names.join(' & ')}</td>
+        <td>${pair.matches}</td>
+        <td>${pair.wins}</td>
+        <td>${pair.losses}</td>
+        <td>${pair.winPercentage}%</td>
+      `;
+      pairsList.appendChild(row);
+    });
+  },
+  
+  /**
+   * Render the biggest upsets and how often predictions were right
+   * @param {Array} players - Array of players
+   * @param {Array} matches - Array of matches
+   */
+  renderUpsets(players, matches) {
+    const playerMap = new Map(players.map(player => [player.id, player.name]));
+    const accuracy = Predictions.calculateAccuracy(matches);
+    const upsets = Predictions.getUpsets(matches);
+    
+    document.getElementById('prediction-accuracy').textContent = accuracy.predicted > 0
+      ? `The favorite won ${accuracy.correct} of ${accuracy.predicted} predicted matches (${accuracy.percentage}% accuracy)`
+      : 'No predicted matches yet';
+    document.getElementById('upsets-table').classList.toggle('hidden', upsets.length === 0);
+    document.getElementById('no-upsets-message').classList.toggle('hidden', upsets.length > 0);
+    
+    const upsetsList = document.getElementById('upsets-list');
+    upsetsList.innerHTML = '';
+    
+    upsets.forEach(match => {
+      const loserId = match.winnerId === match.player1Id ? match.player2Id : match.player1Id;
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${new Date(match.date).toLocaleDateString()}</td>
+        <td>${playerMap.get(match.winnerId) || 'Unknown'}</td>
+        <td>${playerMap.get(loserId) || 'Unknown'}</td>
+        <td>${Math.round(Predictions.getWinnerProbability(match) * 100)}%</td>
+        <td>${match.player1Score} - ${match.player2Score}</td>
+      `;
+      upsetsList.appendChild(row);
+    });
+  },
+  
+  /**
+   * Render every ranked player's record against every other
+   * @param {Array} rows - Leaderboard rows of the players to include, in order
+   * @param {Array} matches - Array of matches
+   */
+  renderRivalryMatrix(rows, matches) {
+    const records = Stats.generateRivalryMatrix(rows.map(row => row.id), matches);
+    const table = document.getElementById('rivalry-matrix');
+    
+    table.classList.toggle('hidden', rows.length < 2);
+    document.getElementById('no-rivalries-message').classList.toggle('hidden', rows.length >= 2);
+    document.getElementById('rivalry-details').classList.add('hidden');
+    
+    const header = rows.map(row => `<th scope="col" title="${row.name}">${row.name}</th>`).join('');
+    table.innerHTML = `<thead><tr><th></th>${header}</tr></thead><tbody></tbody>`;
+    
+    const body = table.querySelector('tbody');
+    rows.forEach(row => {
+      const tableRow = document.createElement('tr');
+      tableRow.innerHTML = `<th scope="row">${row.name}</th>`;
+      
+      rows.forEach(opponent => {
+        const cell = document.createElement('td');
+        const record = records[row.id][opponent.id];
+        
+        if (opponent.id === row.id) {
+          cell.className = 'rivalry-self';
+        } else if (!record) {
+          cell.className = 'rivalry-none';
+          cell.textContent = '-';
+        } else {
+          cell.className = `rivalry-cell ${this.getRivalryClass(record)}`;
+          cell.textContent = `${record.wins}-${record.losses}`;
+          cell.title = `${row.name} vs ${opponent.name}: ${record.wins} wins, ${record.losses} losses`;
+          cell.addEventListener('click', () => this.renderRivalryDetails(row, opponent, matches));
+        }
+        
+        tableRow.appendChild(cell);
+      });
+      
+      body.appendChild(tableRow);
+    });
+  },
+  
+  /**
+   * Get the color class of a rivalry cell
+   * @param {Object} record - Record as { wins, losses }
+   * @returns {string} - Class name for how one-sided the rivalry is
+   */
+  getRivalryClass(record) {
+    const share = record.wins / (record.wins + record.losses);
+    
+    if (share >= 0.75) return 'rivalry-dominant';
+    if (share > 0.5) return 'rivalry-ahead';
+    if (share === 0.5) return 'rivalry-even';
+    if (share > 0.25) return 'rivalry-behind';
+    return 'rivalry-dominated';
+  },
+  
+  /**
+   * Show the matches behind a rivalry cell
+   * @param {Object} player - Row player as { id, name }
+   * @param {Object} opponent - Column player as { id, name }
+   * @param {Array} matches - Array of matches
+   */
+  renderRivalryDetails(player, opponent, matches) {
+    const meetings = Stats.getHeadToHeadMatches(player.id, opponent.id, matches).reverse();
+    
+    document.getElementById('rivalry-details-title').textContent = `${player.name} vs ${opponent.name}`;
+    const detailsList = document.getElementById('rivalry-details-list');
+    detailsList.innerHTML = '';
+    
+    meetings.forEach(match => {
+      detailsList.appendChild(this.createMeetingRow(match, player, opponent));
+    });
+    
+    document.getElementById('rivalry-details').classList.remove('hidden');
+  },
+  
+  /**
+   * Create a row for one meeting of two players, scored from the first player's side
+   * @param {Object} match - Singles match between the players
+   * @param {Object} player - First player as { id, name }
+   * @param {Object} opponent - Second player as { id, name }
+   * @returns {HTMLElement} - Table row
+   */
+  createMeetingRow(match, player, opponent) {
+    const swapped = match.player1Id !== player.id;
+    const games = (match.games || [])
+      .map(game => swapped ? `${game.player2Score}-${game.player1Score}` : `${game.player1Score}-${game.player2Score}`)
+      .join(', ');
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${new Date(match.date).toLocaleDateString()}</td>
+      <td>${swapped ? `${match.player2Score} - ${match.player1Score}` : `${match.player1Score} - ${match.player2Score}`}</td>
+      <td>${games || '-'}</td>
+      <td>${match.winnerId === player.id ? player.name : opponent.name}</td>
+    `;
+    return row;
+  },
+  
+  /**
+   * Handle leaderboard header click
+   * @param {Event} event - Click event
+   */
+  handleLeaderboardSort(event) {
+    const key = event.currentTarget.dataset.sort;
+    
+    if (this.leaderboardSort.key === key) {
+      // Same column, toggle direction
+      this.leaderboardSort.direction = this.leaderboardSort.direction === 'desc' ? 'asc' : 'desc';
+    } else {
+      // Rank and name read top-down, numbers start with the highest
+      this.leaderboardSort = { key, direction: key === 'rank' || key === 'name' ? 'asc' : 'desc' };
+    }
+    
+    this.renderLeaderboard();
+  },
+  
+  /**
+   * Create win distribution chart
+   * @param {Array} playerStats - Array of player statistics
+   */
+  createWinDistributionChart(playerStats) {
+    Charts.bar(document.getElementById('win-distribution-chart'), {
+      title: 'Wins by player',
+      valueLabel: 'Wins',
+      integer: true,
+      data: playerStats
+        .filter(player => player.matches > 0)
+        .map(player => ({
+          label: player.name,
+          value: player.wins,
+          tooltip: `${player.name}: ${player.wins} wins (${player.winPercentage}%)`
+        }))
+    });
+  },
+  
+  /**
+   * Create match activity chart
+   * @param {Array} matches - Array of matches
+   */
+  createMatchActivityChart(matches) {
+    Charts.bar(document.getElementById('match-activity-chart'), {
+      title: 'Matches per day, last 10 days with matches',
+      valueLabel: 'Matches',
+      integer: true,
+      data: Stats.generateMatchActivityData(matches).map(data => ({
+        label: data.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+        value: data.count,
+        tooltip: `${data.date.toLocaleDateString()}: ${data.count} ${data.count === 1 ? 'match' : 'matches'}`
+      }))
+    });
+  },
+  
+  /**
+   * Get the players who can be picked for new matches and events
+   * @param {Array} players - Room players
+   * @returns {Array} - Players who are not archived
+   */
+  getActivePlayers(players) {
+    return players.filter(player => !player.archived);
+  },
+  
+  /**
+   * Populate player selectors for the new match form
+   */
+  async populatePlayerSelectors() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const roomPlayers = await DB.getPlayersInRoom(this.currentRoom.id);
+      const players = this.getActivePlayers(roomPlayers);
+      
+      // Archived players can still play the event matches they were drawn into
+      const contextIds = this.matchContext ? [this.matchContext.player1Id, this.matchContext.player2Id] : [];
+      const contextPlayers = roomPlayers.filter(player => player.archived && contextIds.includes(player.id));
+      
+      const selectIds = ['player1', 'player1-partner', 'player2', 'player2-partner', 'live-player1', 'live-player2'];
+      
+      selectIds.forEach(selectId => {
+        const select = document.getElementById(selectId);
+        
+        // Clear existing options except the first one
+        while (select.options.length > 1) {
+          select.remove(1);
+        }
+        
+        // Add player options
+        const selectPlayers = selectId === 'player1' || selectId === 'player2' ? [...players, ...contextPlayers] : players;
+        selectPlayers.forEach(player => {
+          const option = document.createElement('option');
+          option.value = player.id;
+          option.textContent = player.name;
+          select.appendChild(option);
+        });
+      });
+    } catch (error) {
+      console.error('Error populating player selectors:', error);
+      this.showToast('Error loading players', 'error');
+    }
+  },
+  
+  /**
+   * Get the number of games in a match for the current room
+   * @returns {number} - Best-of game count
+   */
+  getMatchFormat() {
+    return (this.currentRoom && parseInt(this.currentRoom.matchFormat)) || DB.defaultMatchFormat;
+  },
+  
+  /**
+   * Get the scoring rules of the current room
+   * @returns {Object} - Points to win, win-by-2, max deuce length and best-of game count
+   */
+  getScoringRules() {
+    return Scoring.getRules(this.currentRoom);
+  },
+  
+  /**
+   * Record a match for an event, with the players fixed in the new match form
+   * @param {Object} context - Label, player IDs, extra match data and the tab to return to
+   */
+  startMatchContext(context) {
+    this.matchContext = context;
+    this.setActiveTab('new-match');
+  },
+  
+  /**
+   * Apply the current match context to the new match form
+   */
+  applyMatchContext() {
+    const context = this.matchContext;
+    const fixedFields = ['match-type', 'player1', 'player2'];
+    
+    document.getElementById('match-context').classList.toggle('hidden', !context);
+    
+    if (context) {
+      document.getElementById('match-context-label').textContent = context.label;
+      document.getElementById('match-type').value = 'singles';
+      this.setMatchTypeFields('singles');
+      document.getElementById('player1').value = context.player1Id;
+      document.getElementById('player2').value = context.player2Id;
+    }
+    
+    fixedFields.forEach(fieldId => {
+      document.getElementById(fieldId).disabled = Boolean(context);
+    });
+    
+    this.updateHandicapFields();
+    this.updateMatchPrediction();
+  },
+  
+  /**
+   * Stop recording a match for an event
+   */
+  clearMatchContext() {
+    this.matchContext = null;
+    this.applyMatchContext();
+    
+    // Drop any archived players added for the event match
+    this.populatePlayerSelectors();
+  },
+  
+  /**
+   * Handle new match form reset
+   */
+  handleMatchFormReset() {
+    this.setMatchTypeFields('singles');
+    this.resetGameRows();
+  },
+  
+  /**
+   * Show or hide the partner fields of the new match form
+   * @param {string} matchType - 'singles' or 'doubles'
+   */
+  setMatchTypeFields(matchType) {
+    const isDoubles = matchType === 'doubles';
+    
+    document.querySelectorAll('#new-match-form .doubles-only').forEach(group => {
+      group.classList.toggle('hidden', !isDoubles);
+    });
+    document.getElementById('player1-partner').required = isDoubles;
+    document.getElementById('player2-partner').required = isDoubles;
+    
+    this.updateHandicapFields();
+    this.updateMatchPrediction();
+  },
+  
+  /**
+   * Show each selected singles player's chance of winning
+   */
+  async updateMatchPrediction() {
+    const predictionText = document.getElementById('match-prediction');
+    const player1Id = document.getElementById('player1').value;
+    const player2Id = document.getElementById('player2').value;
+    const isSingles = document.getElementById('match-type').value === 'singles';
+    
+    predictionText.classList.add('hidden');
+    if (!this.currentRoom || !isSingles || !player1Id || !player2Id || player1Id === player2Id) return;
+    
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const prediction = Predictions.predict(players, matches, RatingSystems.getSystemId(this.currentRoom), player1Id, player2Id);
+      
+      // The players may have changed while the matches loaded
+      if (document.getElementById('player1').value !== player1Id || document.getElementById('player2').value !== player2Id) return;
+      
+      const names = new Map(players.map(player => [player.id, player.name]));
+      const percent = probability => `${Math.round(probability * 100)}%`;
+      const { headToHead } = prediction;
+      const basis = headToHead.matches > 0
+        ? `from ratings and a ${headToHead.player1Wins}-${headToHead.player2Wins} head-to-head record`
+        : 'from ratings; they have not played each other yet';
+      
+      predictionText.textContent = `Win probability: ${names.get(player1Id)} ${percent(prediction.player1)}, ${names.get(player2Id)} ${percent(prediction.player2)} (${basis})`;
+      predictionText.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error predicting match:', error);
+    }
+  },
+  
+  /**
+   * Show the handicap fields and a suggested head start for the selected singles players
+   */
+  async updateHandicapFields() {
+    const room = this.currentRoom;
+    const enabled = Boolean(room && room.handicapsEnabled) && document.getElementById('match-type').value === 'singles';
+    const suggestionText = document.getElementById('handicap-suggestion');
+    const applyButton = document.getElementById('apply-handicap-btn');
+    
+    document.getElementById('handicap-group').classList.toggle('hidden', !enabled);
+    applyButton.classList.add('hidden');
+    this.handicapSuggestion = null;
+    if (!enabled) return;
+    
+    const player1Id = document.getElementById('player1').value;
+    const player2Id = document.getElementById('player2').value;
+    if (!player1Id || !player2Id || player1Id === player2Id) {
+      suggestionText.textContent = 'Select both players to see a suggested head start.';
+      return;
+    }
+    
+    try {
+      const players = await DB.getPlayersInRoom(room.id);
+      const matches = await DB.getMatchesInRoom(room.id);
+      const rows = Stats.generateLeaderboardData(players, matches, RatingSystems.getSystemId(room));
+      const player1Row = rows.find(row => row.id === player1Id);
+      const player2Row = rows.find(row => row.id === player2Id);
+      const basis = Handicaps.getBasis(room);
+      const suggestion = Handicaps.suggest(player1Row, player2Row, basis, this.getScoringRules());
+      
+      // The players may have changed while the stats loaded
+      if (document.getElementById('player1').value !== player1Id || document.getElementById('player2').value !== player2Id) return;
+      
+      if (!suggestion) {
+        suggestionText.textContent = basis === 'winRate' && (player1Row.matches === 0 || player2Row.matches === 0)
+          ? 'No head start suggested until both players have a win rate.'
+          : 'These players are evenly matched, so no head start is suggested.';
+        return;
+      }
+      
+      const receiver = suggestion.side === 'player1' ? player1Row : player2Row;
+      const difference = basis === 'winRate' ? `${suggestion.difference}%` : suggestion.difference;
+      suggestionText.textContent = `Suggested: ${receiver.name} starts each game with ${suggestion.points} point${suggestion.points === 1 ? '' : 's'} (${Handicaps.bases[basis].toLowerCase()} of ${difference}).`;
+      applyButton.classList.remove('hidden');
+      this.handicapSuggestion = suggestion;
+    } catch (error) {
+      console.error('Error suggesting handicap:', error);
+      suggestionText.textContent = '';
+    }
+  },
+  
+  /**
+   * Fill the handicap fields with the suggested head start
+   */
+  applyHandicapSuggestion() {
+    if (!this.handicapSuggestion) return;
+    
+    document.getElementById('handicap-side').value = this.handicapSuggestion.side;
+    document.getElementById('handicap-points').value = this.handicapSuggestion.points;
+  },
+  
+  /**
+   * Reset the game rows of the new match form
+   */
+  resetGameRows() {
+    const matchFormat = this.getMatchFormat();
+    const gamesToWin = Math.ceil(matchFormat / 2);
+    
+    document.getElementById('match-format-label').textContent = `Best of ${matchFormat}`;
+    document.getElementById('match-games').innerHTML = '';
+    
+    // Start with the minimum number of games needed to win
+    for (let i = 0; i < gamesToWin; i++) {
+      this.addGameRow();
+    }
+  },
+  
+  /**
+   * Add a game row to a games list
+   * @param {HTMLElement} gamesContainer - Games list, the new match form's by default
+   * @param {number} maxGames - Most games allowed in the list
+   * @param {Object} game - Optional game scores to fill in
+   */
+  addGameRow(gamesContainer = document.getElementById('match-games'), maxGames = this.getMatchFormat(), game = null) {
+    if (gamesContainer.children.length >= maxGames) {
+      this.showToast(`A best of ${maxGames} match has at most ${maxGames} games`, 'error');
+      return;
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'game-row';
+    row.innerHTML = `
+      <span class="game-number"></span>
+      <input type="number" class="game-score-player1" min="0" placeholder="P1" aria-label="Player 1 points" required />
+      <span>-</span>
+      <input type="number" class="game-score-player2" min="0" placeholder="P2" aria-label="Player 2 points" required />
+      <button type="button" class="btn danger remove-game" aria-label="Remove game">&times;</button>
+      <span class="game-error" role="alert"></span>
+    `;
+    
+    if (game) {
+      row.querySelector('.game-score-player1').value = game.player1Score;
+      row.querySelector('.game-score-player2').value = game.player2Score;
+    }
+    
+    row.querySelector('.remove-game').addEventListener('click', () => {
+      row.remove();
+      this.numberGameRows(gamesContainer);
+    });
+    
+    // A corrected score clears its error until the form is submitted again
+    row.querySelectorAll('input').forEach(input => {
+      input.addEventListener('input', () => {
+        row.classList.remove('invalid');
+        row.querySelector('.game-error').textContent = '';
+      });
+    });
+    
+    gamesContainer.appendChild(row);
+    this.numberGameRows(gamesContainer);
+  },
+  
+  /**
+   * Update game numbers after rows are added or removed
+   * @param {HTMLElement} gamesContainer - Games list, the new match form's by default
+   */
+  numberGameRows(gamesContainer = document.getElementById('match-games')) {
+    gamesContainer.querySelectorAll('.game-row').forEach((row, index) => {
+      row.querySelector('.game-number').textContent = `Game ${index + 1}`;
+    });
+  },
+  
+  /**
+   * Get the game scores entered in a games list
+   * @param {HTMLElement} gamesContainer - Games list, the new match form's by default
+   * @returns {Array} - Array of { player1Score, player2Score } as entered
+   */
+  getGameScores(gamesContainer = document.getElementById('match-games')) {
+    return Array.from(gamesContainer.querySelectorAll('.game-row')).map(row => ({
+      player1Score: row.querySelector('.game-score-player1').value,
+      player2Score: row.querySelector('.game-score-player2').value
+    }));
+  },
+  
+  /**
+   * Show scoring rule errors next to the games they belong to
+   * @param {HTMLElement} gamesContainer - Games list
+   * @param {HTMLElement} matchErrorElement - Element for errors about the match as a whole
+   * @param {Object} errors - Errors from Scoring.getMatchErrors
+   * @returns {boolean} - True if there were any errors
+   */
+  showGameErrors(gamesContainer, matchErrorElement, errors) {
+    gamesContainer.querySelectorAll('.game-row').forEach((row, index) => {
+      const error = errors.games[index] || '';
+      row.classList.toggle('invalid', Boolean(error));
+      row.querySelector('.game-error').textContent = error;
+    });
+    
+    matchErrorElement.textContent = errors.match || '';
+    matchErrorElement.classList.toggle('hidden', !errors.match);
+    
+    return Boolean(errors.match) || errors.games.some(Boolean);
+  },
+  
+  /**
+   * Get the settings key of the current room's live match
+   * @returns {string} - Setting key
+   */
+  getLiveMatchKey() {
+    return LiveMatch.getSettingKey(this.currentRoom.id);
+  },
+  
+  /**
+   * Render the live match tab from the current live match state
+   */
+  async renderLiveMatch() {
+    const setupForm = document.getElementById('live-setup-form');
+    const scoreboard = document.getElementById('live-scoreboard');
+    
+    if (!this.liveMatch) {
+      setupForm.classList.remove('hidden');
+      scoreboard.classList.add('hidden');
+      return;
+    }
+    
+    setupForm.classList.add('hidden');
+    scoreboard.classList.remove('hidden');
+    
+    const state = this.liveMatch;
+    const player1 = await DB.getPlayer(state.player1Id);
+    const player2 = await DB.getPlayer(state.player2Id);
+    const names = {
+      player1: player1 ? player1.name : 'Player 1',
+      player2: player2 ? player2.name : 'Player 2'
+    };
+    
+    const game = LiveMatch.getCurrentGame(state);
+    const gamesWon = Stats.countGamesWon(LiveMatch.getCompletedGames(state));
+    const matchOver = LiveMatch.isMatchOver(state);
+    const server = LiveMatch.getServer(state);
+    
+    // Update status line
+    const status = document.getElementById('live-status');
+    if (matchOver) {
+      const winner = gamesWon.player1 > gamesWon.player2 ? 'player1' : 'player2';
+      status.textContent = `Match over: ${names[winner]} wins ${gamesWon[winner]}-${gamesWon[LiveMatch.getOpponent(winner)]}`;
+    } else {
+      status.textContent = `Game ${state.games.length} of best of ${state.matchFormat}`;
+    }
+    
+    // Update point buttons
+    ['player1', 'player2'].forEach(side => {
+      const button = document.getElementById(`live-point-${side}`);
+      button.querySelector('.live-player-name').textContent = names[side];
+      button.querySelector('.live-score').textContent = game[`${side}Score`];
+      button.querySelector('.live-games').textContent = `Games: ${gamesWon[side]}`;
+      button.classList.toggle('serving', !matchOver && server === side);
+      button.disabled = matchOver;
+    });
+    
+    document.getElementById('live-undo').disabled = state.points.length === 0;
+    document.getElementById('live-finish').classList.toggle('hidden', !matchOver);
+    document.getElementById('live-save').classList.toggle('hidden', !matchOver);
+  },
+  
+  /**
+   * Handle live match setup form submission
+   * @param {Event} event - Submit event
+   */
+  async handleLiveMatchStart(event) {
+    event.preventDefault();
+    
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    const player1Id = document.getElementById('live-player1').value;
+    const player2Id = document.getElementById('live-player2').value;
+    const firstServer = document.getElementById('live-first-server').value;
+    
+    if (!player1Id || !player2Id) {
+      this.showToast('Please select both players', 'error');
+      return;
+    }
+    
+    if (player1Id === player2Id) {
+      this.showToast('Please select different players', 'error');
+      return;
+    }
+    
+    try {
+      this.liveMatch = LiveMatch.createState({
+        roomId: this.currentRoom.id,
+        player1Id,
+        player2Id,
+        firstServer,
+        rules: this.getScoringRules()
+      });
+      
+      await DB.saveSetting(this.getLiveMatchKey(), this.liveMatch);
+      
+      document.getElementById('live-setup-form').reset();
+      await this.renderLiveMatch();
+    } catch (error) {
+      console.error('Error starting live match:', error);
+      this.showToast('Error starting live match', 'error');
+    }
+  },
+  
+  /**
+   * Award a point in the live match
+   * @param {string} side - 'player1' or 'player2'
+   */
+  async handleLivePoint(side) {
+    if (!this.liveMatch) return;
+    
+    try {
+      this.liveMatch = LiveMatch.awardPoint(this.liveMatch, side);
+      await DB.saveSetting(this.getLiveMatchKey(), this.liveMatch);
+      await this.renderLiveMatch();
+    } catch (error) {
+      console.error('Error saving live point:', error);
+      this.showToast('Error saving point', 'error');
+    }
+  },
+  
+  /**
+   * Undo the last point of the live match
+   */
+  async handleLiveUndo() {
+    if (!this.liveMatch || this.liveMatch.points.length === 0) return;
+    
+    try {
+      this.liveMatch = LiveMatch.undoPoint(this.liveMatch);
+      await DB.saveSetting(this.getLiveMatchKey(), this.liveMatch);
+      await this.renderLiveMatch();
+    } catch (error) {
+      console.error('Error undoing live point:', error);
+      this.showToast('Error undoing point', 'error');
+    }
+  },
+  
+  /**
+   * Confirm abandoning the live match
+   */
+  confirmAbandonLiveMatch() {
+    this.showConfirmation(
+      'Abandon Match',
+      'Are you sure you want to abandon this live match? The score will not be saved.',
+      async () => {
+        try {
+          await DB.deleteSetting(this.getLiveMatchKey());
+          this.liveMatch = null;
+          await this.renderLiveMatch();
+        } catch (error) {
+          console.error('Error abandoning live match:', error);
+          this.showToast('Error abandoning match', 'error');
+        }
+      }
+    );
+  },
+  
+  /**
+   * Save the finished live match
+   */
+  async handleLiveMatchSave() {
+    if (!this.liveMatch || !LiveMatch.isMatchOver(this.liveMatch)) return;
+    
+    try {
+      this.showLoading();
+      
+      const state = this.liveMatch;
+      
+      // Create match
+      const match = await DB.createMatch({
+        roomId: state.roomId,
+        player1Id: state.player1Id,
+        player2Id: state.player2Id,
+        games: LiveMatch.getCompletedGames(state),
+        points: state.points,
+        fromLiveMatch: true,
+        notes: document.getElementById('live-notes').value.trim()
+      });
+      
+      // Clear the live match
+      await DB.deleteSetting(this.getLiveMatchKey());
+      this.liveMatch = null;
+      document.getElementById('live-notes').value = '';
+      await this.renderLiveMatch();
+      
+      // Reload players, matches and stats
+      await this.loadPlayers();
+      await this.loadMatches();
+      await this.loadStats();
+      
+      this.showToast('Match recorded successfully', 'success');
+      await this.showAchievementToasts(match.achievements);
+      this.hideLoading();
+    } catch (error) {
+      console.error('Error recording live match:', error);
+      this.showToast(error.message || 'Error recording match', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Load tournaments for the current room
+   */
+  async loadTournaments() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const tournaments = await DB.getTournamentsInRoom(this.currentRoom.id);
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      
+      // Create a map of player IDs to names
+      const playerMap = new Map();
+      players.forEach(player => {
+        playerMap.set(player.id, player.name);
+      });
+      
+      const picker = document.getElementById('tournament-picker');
+      const details = document.getElementById('tournament-details');
+      const noTournamentsMessage = document.getElementById('no-tournaments-message');
+      
+      if (tournaments.length === 0) {
+        picker.classList.add('hidden');
+        details.classList.add('hidden');
+        noTournamentsMessage.classList.remove('hidden');
+        return;
+      }
+      
+      picker.classList.remove('hidden');
+      details.classList.remove('hidden');
+      noTournamentsMessage.classList.add('hidden');
+      
+      // Newest tournaments first
+      tournaments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      
+      const tournament = tournaments.find(t => t.id === this.currentTournamentId) || tournaments[0];
+      this.currentTournamentId = tournament.id;
+      
+      // Populate tournament selector
+      const selector = document.getElementById('tournament-selector');
+      selector.innerHTML = '';
+      tournaments.forEach(t => {
+        const option = document.createElement('option');
+        option.value = t.id;
+        option.textContent = t.name;
+        selector.appendChild(option);
+      });
+      selector.value = tournament.id;
+      
+      // Update status
+      const status = tournament.championId
+        ? `Champion: ${playerMap.get(tournament.championId)}`
+        : 'In progress';
+      document.getElementById('tournament-status').textContent = 
+        `${Tournaments.formats[tournament.format]} · ${tournament.playerIds.length} players · ${status}`;
+      
+      this.renderBracket(tournament, playerMap);
+    } catch (error) {
+      console.error('Error loading tournaments:', error);
+      this.showToast('Error loading tournaments', 'error');
+    }
+  },
+  
+  /**
+   * Render a tournament bracket as columns of rounds
+   * @param {Object} tournament - Tournament object
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  renderBracket(tournament, playerMap) {
+    const container = document.getElementById('tournament-bracket');
+    container.innerHTML = '';
+    
+    const sections = [
+      { bracket: 'winners', title: tournament.format === 'double' ? 'Winners Bracket' : 'Bracket' },
+      { bracket: 'losers', title: 'Losers Bracket' },
+      { bracket: 'final', title: 'Grand Final' }
+    ];
+    
+    sections.forEach(({ bracket, title }) => {
+      // The grand final reset is only shown once it is needed
+      const bracketMatches = tournament.bracket.filter(match => 
+        match.bracket === bracket && !(bracket === 'final' && match.round === 2 && !match.player1Id)
+      );
+      if (bracketMatches.length === 0) return;
+      
+      const section = document.createElement('div');
+      section.className = 'bracket-section';
+      section.innerHTML = `<h4>${title}</h4>`;
+      
+      const bracketElement = document.createElement('div');
+      bracketElement.className = 'bracket';
+      
+      const rounds = [...new Set(bracketMatches.map(match => match.round))].sort((a, b) => a - b);
+      rounds.forEach(round => {
+        const roundElement = document.createElement('div');
+        roundElement.className = 'bracket-round';
+        roundElement.innerHTML = `<div class="bracket-round-title">${Tournaments.getRoundName(tournament.bracket, bracket, round)}</div>`;
+        
+        bracketMatches
+          .filter(match => match.round === round)
+          .sort((a, b) => a.position - b.position)
+          .forEach(match => {
+            roundElement.appendChild(this.createBracketMatchElement(tournament, match, playerMap));
+          });
+        
+        bracketElement.appendChild(roundElement);
+      });
+      
+      section.appendChild(bracketElement);
+      container.appendChild(section);
+    });
+  },
+  
+  /**
+   * Create the element for a single bracket match
+   * @param {Object} tournament - Tournament object
+   * @param {Object} match - Bracket match
+   * @param {Map} playerMap - Map of player IDs to names
+   * @returns {HTMLElement} - Bracket match element
+   */
+  createBracketMatchElement(tournament, match, playerMap) {
+    const element = document.createElement('div');
+    element.className = 'bracket-match';
+    
+    ['player1Id', 'player2Id'].forEach(slot => {
+      const playerId = match[slot];
+      const slotElement = document.createElement('div');
+      slotElement.className = 'bracket-slot';
+      
+      if (playerId === Tournaments.BYE) {
+        slotElement.classList.add('bye');
+        slotElement.textContent = 'Bye';
+      } else if (!playerId) {
+        slotElement.classList.add('pending');
+        slotElement.textContent = 'TBD';
+      } else {
+        slotElement.textContent = playerMap.get(playerId) || 'Unknown';
+        if (match.winnerId === playerId) {
+          slotElement.classList.add('winner');
+        }
+      }
+      
+      element.appendChild(slotElement);
+    });
+    
+    if (Tournaments.isPlayable(match)) {
+      const recordButton = document.createElement('button');
+      recordButton.className = 'btn primary record-bracket-match';
+      recordButton.textContent = 'Record Result';
+      recordButton.addEventListener('click', () => {
+        this.startMatchContext({
+          label: `${tournament.name}: ${Tournaments.getRoundName(tournament.bracket, match.bracket, match.round)}`,
+          player1Id: match.player1Id,
+          player2Id: match.player2Id,
+          matchData: {
+            tournamentId: tournament.id,
+            bracketMatchId: match.id
+          },
+          returnTab: 'tournaments'
+        });
+      });
+      element.appendChild(recordButton);
+    }
+    
+    return element;
+  },
+  
+  /**
+   * Show the create tournament modal
+   */
+  async showCreateTournamentModal() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    try {
+      const players = this.getActivePlayers(await DB.getPlayersInRoom(this.currentRoom.id));
+      
+      if (players.length < 2) {
+        this.showToast('A tournament needs at least 2 players', 'error');
+        return;
+      }
+      
+      this.populatePlayerCheckboxes('tournament-players', players);
+      
+      document.getElementById('create-tournament-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      document.getElementById('tournament-name').focus();
+    } catch (error) {
+      console.error('Error showing create tournament modal:', error);
+      this.showToast('Error loading players', 'error');
+    }
+  },
+  
+  /**
+   * Handle create tournament form submission
+   * @param {Event} event - Submit event
+   */
+  async handleCreateTournamentSubmit(event) {
+    event.preventDefault();
+    
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    const name = document.getElementById('tournament-name').value.trim();
+    const format = document.getElementById('tournament-format').value;
+    const seeded = document.getElementById('tournament-seeded').checked;
+    const selectedIds = this.getCheckedPlayerIds('tournament-players');
+    
+    if (!name) {
+      this.showToast('Please enter a tournament name', 'error');
+      return;
+    }
+    
+    if (selectedIds.length < 2) {
+      this.showToast('Please select at least 2 players', 'error');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      
+      let playerIds;
+      if (seeded) {
+        playerIds = await this.getSeededPlayerIds(selectedIds);
+      } else {
+        // Random draw
+        playerIds = [...selectedIds];
+        for (let i = playerIds.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [playerIds[i], playerIds[j]] = [playerIds[j], playerIds[i]];
+        }
+      }
+      
+      // Create tournament
+      const tournament = await DB.createTournament({
+        roomId: this.currentRoom.id,
+        name,
+        format,
+        seeded,
+        playerIds
+      });
+      
+      this.currentTournamentId = tournament.id;
+      await this.loadTournaments();
+      
+      this.showToast('Tournament created successfully', 'success');
+      this.hideLoading();
+      
+      // Close the modal
+      this.closeAllModals();
+    } catch (error) {
+      console.error('Error creating tournament:', error);
+      this.showToast('Error creating tournament', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Confirm delete of the selected tournament
+   */
+  confirmDeleteTournament() {
+    if (!this.currentTournamentId) return;
+    
+    this.showConfirmation(
+      'Delete Tournament',
+      'Are you sure you want to delete this tournament? Matches already recorded will be kept.',
+      async () => {
+        try {
+          await DB.deleteTournament(this.currentTournamentId);
+          this.currentTournamentId = null;
+          await this.loadTournaments();
+          this.showToast('Tournament deleted successfully', 'success');
+        } catch (error) {
+          console.error('Error deleting tournament:', error);
+          this.showToast('Error deleting tournament', 'error');
+        }
+      }
+    );
+  },
+  
+  /**
+   * Fill a checkbox list with room players, all checked
+   * @param {string} containerId - ID of the checkbox list element
+   * @param {Array} players - Players to list
+   */
+  populatePlayerCheckboxes(containerId, players) {
+    const playerList = document.getElementById(containerId);
+    playerList.innerHTML = '';
+    players.forEach(player => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      label.innerHTML = `<input type="checkbox" value="${player.id}" checked /> ${player.name}`;
+      playerList.appendChild(label);
+    });
+  },
+  
+  /**
+   * Get the IDs of the checked players in a checkbox list
+   * @param {string} containerId - ID of the checkbox list element
+   * @returns {Array} - Player IDs
+   */
+  getCheckedPlayerIds(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(input => input.value);
+  },
+  
+  /**
+   * Order players by the room's current standings
+   * @param {Array} playerIds - Player IDs
+   * @returns {Promise} - Resolves with the player IDs, best first
+   */
+  async getSeededPlayerIds(playerIds) {
+    const players = await DB.getPlayersInRoom(this.currentRoom.id);
+    const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+    const standings = Stats.generateLeaderboardData(players, matches, RatingSystems.getSystemId(this.currentRoom));
+    return standings.map(player => player.id).filter(id => playerIds.includes(id));
+  },
+  
+  /**
+   * Load leagues for the current room
+   */
+  async loadLeagues() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const leagues = await DB.getLeaguesInRoom(this.currentRoom.id);
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      
+      // Create a map of player IDs to names
+      const playerMap = new Map();
+      players.forEach(player => {
+        playerMap.set(player.id, player.name);
+      });
+      
+      const picker = document.getElementById('league-picker');
+      const details = document.getElementById('league-details');
+      const noLeaguesMessage = document.getElementById('no-leagues-message');
+      
+      if (leagues.length === 0) {
+        picker.classList.add('hidden');
+        details.classList.add('hidden');
+        noLeaguesMessage.classList.remove('hidden');
+        return;
+      }
+      
+      picker.classList.remove('hidden');
+      details.classList.remove('hidden');
+      noLeaguesMessage.classList.add('hidden');
+      
+      // Newest leagues first
+      leagues.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      
+      const league = leagues.find(l => l.id === this.currentLeagueId) || leagues[0];
+      this.currentLeagueId = league.id;
+      
+      // Populate league selector
+      const selector = document.getElementById('league-selector');
+      selector.innerHTML = '';
+      leagues.forEach(l => {
+        const option = document.createElement('option');
+        option.value = l.id;
+        option.textContent = l.name;
+        selector.appendChild(option);
+      });
+      selector.value = league.id;
+      
+      // Update status
+      const isSwiss = league.format === 'swiss';
+      const played = league.fixtures.filter(fixture => fixture.matchId).length;
+      const currentRound = Leagues.getCurrentRound(league);
+      let status;
+      if (Leagues.isComplete(league)) {
+        status = 'Completed';
+      } else if (isSwiss) {
+        const pairedRounds = Swiss.getPairedRounds(league);
+        status = currentRound
+          ? `Round ${currentRound} of ${league.rounds}`
+          : `Round ${pairedRounds} of ${league.rounds} finished`;
+      } else {
+        status = `Round ${currentRound}`;
+      }
+      document.getElementById('league-status').textContent = 
+        `${Leagues.formats[league.format]} · ${played} of ${league.fixtures.length} fixtures played · ${status}`;
+      
+      document.getElementById('pair-round-btn').classList.toggle('hidden', !(isSwiss && Swiss.canPairNextRound(league)));
+      document.getElementById('league-table-section').classList.toggle('hidden', isSwiss);
+      document.getElementById('swiss-standings-section').classList.toggle('hidden', !isSwiss);
+      
+      if (isSwiss) {
+        this.renderSwissStandings(Swiss.calculateStandings(league, matches), playerMap);
+      } else {
+        this.renderLeagueTable(Leagues.calculateTable(league, matches), playerMap);
+      }
+      this.renderLeagueFixtures(league, matches, playerMap);
+    } catch (error) {
+      console.error('Error loading leagues:', error);
+      this.showToast('Error loading leagues', 'error');
+    }
+  },
+  
+  /**
+   * Render the league table
+   * @param {Array} table - League table rows
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  renderLeagueTable(table, playerMap) {
+    const tableList = document.getElementById('league-table-list');
+    tableList.innerHTML = '';
+    
+    table.forEach((row, index) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${index + 1}</td>
+        <td>${playerMap.get(row.id) || 'Unknown'}</td>
+        <td>${row.played}</td>
+        <td>${row.wins}</td>
+        <td>${row.losses}</td>
+        <td>${row.gamesWon}-${row.gamesLost}</td>
+        <td>${row.points}</td>
+      `;
+      tableList.appendChild(tr);
+    });
+  },
+  
+  /**
+   * Render Swiss standings with tiebreaks
+   * @param {Array} standings - Swiss standings rows
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  renderSwissStandings(standings, playerMap) {
+    const standingsList = document.getElementById('swiss-standings-list');
+    standingsList.innerHTML = '';
+    
+    standings.forEach((row, index) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${index + 1}</td>
+        <td>${playerMap.get(row.id) || 'Unknown'}</td>
+        <td>${row.played}</td>
+        <td>${row.wins}</td>
+        <td>${row.losses}</td>
+        <td>${row.byes}</td>
+        <td>${row.score}</td>
+        <td>${row.buchholz}</td>
+        <td>${row.sonnebornBerger}</td>
+      `;
+      standingsList.appendChild(tr);
+    });
+  },
+  
+  /**
+   * Render league fixtures grouped by round
+   * @param {Object} league - League object
+   * @param {Array} matches - Matches in the room
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  renderLeagueFixtures(league, matches, playerMap) {
+    const container = document.getElementById('league-fixtures');
+    container.innerHTML = '';
+    
+    const matchMap = new Map(matches.map(match => [match.id, match]));
+    const currentRound = Leagues.getCurrentRound(league);
+    const rounds = [...new Set([
+      ...league.fixtures.map(fixture => fixture.round),
+      ...(league.byes || []).map(bye => bye.round)
+    ])].sort((a, b) => a - b);
+    
+    rounds.forEach(round => {
+      const roundElement = document.createElement('div');
+      roundElement.className = 'league-round';
+      roundElement.classList.toggle('current', round === currentRound);
+      roundElement.innerHTML = `<h5>Round ${round}</h5>`;
+      
+      league.fixtures.filter(fixture => fixture.round === round).forEach(fixture => {
+        const fixtureElement = document.createElement('div');
+        fixtureElement.className = 'fixture';
+        
+        const players = document.createElement('span');
+        players.textContent = `${playerMap.get(fixture.player1Id) || 'Unknown'} vs ${playerMap.get(fixture.player2Id) || 'Unknown'}`;
+        fixtureElement.appendChild(players);
+        
+        const match = matchMap.get(fixture.matchId);
+        if (match) {
+          const result = document.createElement('span');
+          result.className = 'fixture-result';
+          result.textContent = `${match.player1Score} - ${match.player2Score}`;
+          fixtureElement.appendChild(result);
+        } else {
+          const recordButton = document.createElement('button');
+          recordButton.className = 'btn primary';
+          recordButton.textContent = 'Record Result';
+          recordButton.addEventListener('click', () => {
+            this.startMatchContext({
+              label: `${league.name}: Round ${round}`,
+              player1Id: fixture.player1Id,
+              player2Id: fixture.player2Id,
+              matchData: {
+                leagueId: league.id,
+                fixtureId: fixture.id
+              },
+              returnTab: 'leagues'
+            });
+          });
+          fixtureElement.appendChild(recordButton);
+        }
+        
+        roundElement.appendChild(fixtureElement);
+      });
+      
+      // Players sitting out a Swiss round
+      (league.byes || []).filter(bye => bye.round === round).forEach(bye => {
+        const byeElement = document.createElement('div');
+        byeElement.className = 'fixture';
+        byeElement.innerHTML = `<span>${playerMap.get(bye.playerId) || 'Unknown'}</span><span class="fixture-result">Bye</span>`;
+        roundElement.appendChild(byeElement);
+      });
+      
+      container.appendChild(roundElement);
+    });
+  },
+  
+  /**
+   * Show the create league modal
+   */
+  async showCreateLeagueModal() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    try {
+      const players = this.getActivePlayers(await DB.getPlayersInRoom(this.currentRoom.id));
+      
+      if (players.length < 2) {
+        this.showToast('A league needs at least 2 players', 'error');
+        return;
+      }
+      
+      this.populatePlayerCheckboxes('league-players', players);
+      this.updateLeagueFormatFields();
+      
+      document.getElementById('create-league-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      document.getElementById('league-name').focus();
+    } catch (error) {
+      console.error('Error showing create league modal:', error);
+      this.showToast('Error loading players', 'error');
+    }
+  },
+  
+  /**
+   * Show the fields that apply to the selected league format
+   */
+  updateLeagueFormatFields() {
+    const isSwiss = document.getElementById('league-format').value === 'swiss';
+    
+    document.getElementById('league-rounds-group').classList.toggle('hidden', !isSwiss);
+    document.querySelectorAll('.league-points').forEach(group => {
+      group.classList.toggle('hidden', isSwiss);
+    });
+  },
+  
+  /**
+   * Handle create league form submission
+   * @param {Event} event - Submit event
+   */
+  async handleCreateLeagueSubmit(event) {
+    event.preventDefault();
+    
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    const name = document.getElementById('league-name').value.trim();
+    const format = document.getElementById('league-format').value;
+    const pointsForWin = parseInt(document.getElementById('league-points-win').value);
+    const pointsForLoss = parseInt(document.getElementById('league-points-loss').value);
+    const roundsValue = document.getElementById('league-rounds').value;
+    const rounds = roundsValue ? parseInt(roundsValue) : undefined;
+    const playerIds = this.getCheckedPlayerIds('league-players');
+    
+    if (!name) {
+      this.showToast('Please enter a league name', 'error');
+      return;
+    }
+    
+    if (isNaN(pointsForWin) || isNaN(pointsForLoss) || pointsForWin < 0 || pointsForLoss < 0) {
+      this.showToast('Please enter valid points', 'error');
+      return;
+    }
+    
+    if (playerIds.length < 2) {
+      this.showToast('Please select at least 2 players', 'error');
+      return;
+    }
+    
+    // Every Swiss round needs new opponents
+    if (format === 'swiss' && rounds !== undefined && (isNaN(rounds) || rounds < 1 || rounds > Swiss.getMaxRounds(playerIds.length))) {
+      this.showToast(`Please enter between 1 and ${Swiss.getMaxRounds(playerIds.length)} rounds`, 'error');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      
+      // Swiss pairings start from the room's standings
+      const league = await DB.createLeague({
+        roomId: this.currentRoom.id,
+        name,
+        format,
+        pointsForWin,
+        pointsForLoss,
+        rounds,
+        playerIds: format === 'swiss' ? await this.getSeededPlayerIds(playerIds) : playerIds
+      });
+      
+      this.currentLeagueId = league.id;
+      await this.loadLeagues();
+      
+      this.showToast('League created successfully', 'success');
+      this.hideLoading();
+      
+      // Close the modal
+      this.closeAllModals();
+    } catch (error) {
+      console.error('Error creating league:', error);
+      this.showToast('Error creating league', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Pair the next round of the selected Swiss league
+   */
+  async handlePairNextRound() {
+    if (!this.currentLeagueId) return;
+    
+    try {
+      this.showLoading();
+      
+      const league = await DB.pairNextLeagueRound(this.currentLeagueId);
+      await this.loadLeagues();
+      
+      if (league.status === 'completed') {
+        this.showToast(`No pairings left without repeating an opponent, so the league ends after round ${league.rounds}`, 'info');
+      } else {
+        this.showToast('Next round paired', 'success');
+      }
+      this.hideLoading();
+    } catch (error) {
+      console.error('Error pairing next round:', error);
+      this.showToast(error.message, 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Confirm delete of the selected league
+   */
+  confirmDeleteLeague() {
+    if (!this.currentLeagueId) return;
+    
+    this.showConfirmation(
+      'Delete League',
+      'Are you sure you want to delete this league? Matches already recorded will be kept.',
+      async () => {
+        try {
+          await DB.deleteLeague(this.currentLeagueId);
+          this.currentLeagueId = null;
+          await this.loadLeagues();
+          this.showToast('League deleted successfully', 'success');
+        } catch (error) {
+          console.error('Error deleting league:', error);
+          this.showToast('Error deleting league', 'error');
+        }
+      }
+    );
+  },
+  
+  /**
+   * Load the ladder for the current room
+   */
+  async loadLadder() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const storedLadder = await DB.getLadder(this.currentRoom.id);
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      
+      document.getElementById('start-ladder-btn').classList.toggle('hidden', Boolean(storedLadder));
+      document.getElementById('delete-ladder-btn').classList.toggle('hidden', !storedLadder);
+      document.getElementById('ladder-details').classList.toggle('hidden', !storedLadder);
+      document.getElementById('no-ladder-message').classList.toggle('hidden', Boolean(storedLadder));
+      
+      if (!storedLadder) return;
+      
+      // Bring the ladder up to date with the room and the clock
+      let ladder = Ladder.syncPlayers(storedLadder, players.map(player => player.id));
+      ladder = Ladder.expireChallenges(ladder);
+      if (ladder !== storedLadder) {
+        ladder = await DB.saveLadder(ladder);
+      }
+      
+      // Create a map of player IDs to names
+      const playerMap = new Map();
+      players.forEach(player => {
+        playerMap.set(player.id, player.name);
+      });
+      
+      document.getElementById('ladder-max-rungs').value = ladder.maxChallengeDistance;
+      document.getElementById('ladder-deadline-days').value = ladder.deadlineDays;
+      
+      this.renderLadder(ladder, playerMap);
+      this.renderChallenges(ladder, playerMap);
+    } catch (error) {
+      console.error('Error loading ladder:', error);
+      this.showToast('Error loading ladder', 'error');
+    }
+  },
+  
+  /**
+   * Render the ladder rungs
+   * @param {Object} ladder - Ladder
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  renderLadder(ladder, playerMap) {
+    const ladderList = document.getElementById('ladder-list');
+    ladderList.innerHTML = '';
+    
+    ladder.playerIds.forEach((playerId, index) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${index + 1}</td>
+        <td>${playerMap.get(playerId) || 'Unknown'}</td>
+        <td></td>
+      `;
+      
+      // Offer a challenge against anyone in reach
+      const defenderIds = Ladder.getEligibleDefenders(ladder, playerId);
+      if (defenderIds.length > 0) {
+        const challengeCell = row.lastElementChild;
+        challengeCell.className = 'ladder-challenge';
+        
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Player for ${playerMap.get(playerId)} to challenge`);
+        defenderIds.forEach(defenderId => {
+          const option = document.createElement('option');
+          option.value = defenderId;
+          option.textContent = `${ladder.playerIds.indexOf(defenderId) + 1}. ${playerMap.get(defenderId) || 'Unknown'}`;
+          select.appendChild(option);
+        });
+        
+        const button = document.createElement('button');
+        button.className = 'btn primary';
+        button.textContent = 'Challenge';
+        button.addEventListener('click', () => {
+          this.handleCreateChallenge(playerId, select.value);
+        });
+        
+        challengeCell.appendChild(select);
+        challengeCell.appendChild(button);
+      }
+      
+      ladderList.appendChild(row);
+    });
+  },
+  
+  /**
+   * Render open challenges followed by the most recent closed ones
+   * @param {Object} ladder - Ladder
+   * @param {Map} playerMap - Map of player IDs to names
+   */
+  renderChallenges(ladder, playerMap) {
+    const challengesList = document.getElementById('challenges-list');
+    challengesList.innerHTML = '';
+    
+    const openChallenges = Ladder.getOpenChallenges(ladder);
+    const closedChallenges = ladder.challenges
+      .filter(challenge => !Ladder.isOpen(challenge))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, 10);
+    const challenges = [...openChallenges, ...closedChallenges];
+    
+    document.getElementById('challenges-table').classList.toggle('hidden', challenges.length === 0);
+    document.getElementById('no-challenges-message').classList.toggle('hidden', challenges.length > 0);
+    
+    challenges.forEach(challenge => {
+      const challengerName = playerMap.get(challenge.challengerId) || 'Unknown';
+      const defenderName = playerMap.get(challenge.defenderId) || 'Unknown';
+      const status = challenge.status === 'completed'
+        ? `Won by ${playerMap.get(challenge.winnerId) || 'Unknown'}`
+        : challenge.status;
+      
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${challengerName}</td>
+        <td>${defenderName}</td>
+        <td class="challenge-status ${challenge.status}">${status}</td>
+        <td>${Ladder.isOpen(challenge) ? new Date(challenge.deadline).toLocaleDateString() : ''}</td>
+        <td></td>
+      `;
+      
+      const actions = row.lastElementChild;
+      if (challenge.status === 'pending') {
+        actions.appendChild(this.createChallengeButton('Accept', 'primary', () => this.handleAcceptChallenge(challenge.id)));
+      } else if (challenge.status === 'accepted') {
+        actions.appendChild(this.createChallengeButton('Record Result', 'primary', () => {
+          this.startMatchContext({
+            label: `Ladder challenge: ${challengerName} vs ${defenderName}`,
+            player1Id: challenge.challengerId,
+            player2Id: challenge.defenderId,
+            matchData: {
+              ladderChallengeId: challenge.id
+            },
+            returnTab: 'ladder'
+          });
+        }));
+      }
+      if (Ladder.isOpen(challenge)) {
+        actions.appendChild(this.createChallengeButton('Cancel', 'danger', () => this.handleCancelChallenge(challenge.id)));
+      }
+      
+      challengesList.appendChild(row);
+    });
+  },
+  
+  /**
+   * Create an action button for a challenge row
+   * @param {string} label - Button text
+   * @param {string} style - Button style class
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLElement} - Button element
+   */
+  createChallengeButton(label, style, onClick) {
+    const button = document.createElement('button');
+    button.className = `btn ${style}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  },
+  
+  /**
+   * Start a ladder for the current room, ordered by the current standings
+   */
+  async handleStartLadder() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      
+      const players = this.getActivePlayers(await DB.getPlayersInRoom(this.currentRoom.id));
+      if (players.length < 2) {
+        this.showToast('A ladder needs at least 2 players', 'error');
+        this.hideLoading();
+        return;
+      }
+      
+      const playerIds = await this.getSeededPlayerIds(players.map(player => player.id));
+      await DB.saveLadder(Ladder.createLadder(this.currentRoom.id, playerIds));
+      await this.loadLadder();
+      
+      this.showToast('Ladder started successfully', 'success');
+      this.hideLoading();
+    } catch (error) {
+      console.error('Error starting ladder:', error);
+      this.showToast('Error starting ladder', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Apply a change to the current room's ladder and save it
+   * @param {Function} change - Takes the ladder and returns the updated ladder
+   * @param {string} successMessage - Toast shown after saving
+   */
+  async updateLadder(change, successMessage) {
+    try {
+      const ladder = await DB.getLadder(this.currentRoom.id);
+      await DB.saveLadder(change(Ladder.expireChallenges(ladder)));
+      await this.loadLadder();
+      this.showToast(successMessage, 'success');
+    } catch (error) {
+      console.error('Error updating ladder:', error);
+      this.showToast(error.message, 'error');
+    }
+  },
+  
+  /**
+   * Issue a ladder challenge
+   * @param {string} challengerId - Challenger ID
+   * @param {string} defenderId - Defender ID
+   */
+  handleCreateChallenge(challengerId, defenderId) {
+    return this.updateLadder(ladder => Ladder.createChallenge(ladder, challengerId, defenderId), 'Challenge issued');
+  },
+  
+  /**
+   * Accept a ladder challenge
+   * @param {string} challengeId - Challenge ID
+   */
+  handleAcceptChallenge(challengeId) {
+    return this.updateLadder(ladder => Ladder.acceptChallenge(ladder, challengeId), 'Challenge accepted');
+  },
+  
+  /**
+   * Withdraw a ladder challenge
+   * @param {string} challengeId - Challenge ID
+   */
+  handleCancelChallenge(challengeId) {
+    return this.updateLadder(ladder => Ladder.cancelChallenge(ladder, challengeId), 'Challenge cancelled');
+  },
+  
+  /**
+   * Handle ladder rules form submission
+   * @param {Event} event - Submit event
+   */
+  handleLadderSettingsSubmit(event) {
+    event.preventDefault();
+    
+    const maxChallengeDistance = parseInt(document.getElementById('ladder-max-rungs').value);
+    const deadlineDays = parseInt(document.getElementById('ladder-deadline-days').value);
+    
+    if (isNaN(maxChallengeDistance) || maxChallengeDistance < 1 || isNaN(deadlineDays) || deadlineDays < 1) {
+      this.showToast('Rungs and days must be at least 1', 'error');
+      return;
+    }
+    
+    return this.updateLadder(ladder => ({ ...ladder, maxChallengeDistance, deadlineDays }), 'Ladder rules saved');
+  },
+  
+  /**
+   * Confirm delete of the current room's ladder
+   */
+  confirmDeleteLadder() {
+    this.showConfirmation(
+      'Delete Ladder',
+      'Are you sure you want to delete this ladder and its challenges? Matches already recorded will be kept.',
+      async () => {
+        try {
+          await DB.deleteLadder(this.currentRoom.id);
+          await this.loadLadder();
+          this.showToast('Ladder deleted successfully', 'success');
+        } catch (error) {
+          console.error('Error deleting ladder:', error);
+          this.showToast('Error deleting ladder', 'error');
+        }
+      }
+    );
+  },
+  
+  /**
+   * Load the king of the table queue for the current room
+   */
+  async loadKingOfTable() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const queue = await this.getKingQueue(players);
+      
+      // Create a map of player IDs to names
+      const playerMap = new Map();
+      players.forEach(player => {
+        playerMap.set(player.id, player.name);
+      });
+      
+      // Show the king and the next match
+      const nextMatch = KingOfTable.getNextMatch(queue);
+      document.getElementById('king-status').textContent = queue.kingId
+        ? `King: ${playerMap.get(queue.kingId)} (since ${new Date(queue.kingSince).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`
+        : 'No king yet';
+      document.getElementById('king-next-match').textContent = nextMatch
+        ? `Next: ${playerMap.get(nextMatch.kingId)} vs ${playerMap.get(nextMatch.challengerId)}`
+        : 'Waiting for challengers';
+      document.getElementById('play-king-match-btn').classList.toggle('hidden', !nextMatch);
+      document.getElementById('king-losers-rejoin').checked = queue.losersRejoin;
+      
+      // Players not at the table can join
+      const joinSelect = document.getElementById('king-join-player');
+      joinSelect.innerHTML = '';
+      this.getActivePlayers(players)
+        .filter(player => player.id !== queue.kingId && !queue.waitlist.includes(player.id))
+        .forEach(player => {
+          const option = document.createElement('option');
+          option.value = player.id;
+          option.textContent = player.name;
+          joinSelect.appendChild(option);
+        });
+      
+      // Render the queue, starting with the king
+      const queueList = document.getElementById('king-queue');
+      queueList.innerHTML = '';
+      const tablePlayers = queue.kingId ? [queue.kingId, ...queue.waitlist] : queue.waitlist;
+      tablePlayers.forEach(playerId => {
+        const item = document.createElement('li');
+        item.innerHTML = `<span>${playerMap.get(playerId)}${playerId === queue.kingId ? ' (king)' : ''}</span>`;
+        
+        const leaveButton = document.createElement('button');
+        leaveButton.className = 'btn secondary';
+        leaveButton.textContent = 'Leave';
+        leaveButton.addEventListener('click', () => this.handleKingLeave(playerId));
+        item.appendChild(leaveButton);
+        
+        queueList.appendChild(item);
+      });
+      document.getElementById('king-queue-empty').classList.toggle('hidden', tablePlayers.length > 0);
+      
+      // Render reign stats
+      const statsList = document.getElementById('king-stats-list');
+      statsList.innerHTML = '';
+      Stats.calculateKingStats(players, matches, queue).forEach(playerStats => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${playerStats.name}</td>
+          <td>${playerStats.reigns}</td>
+          <td>${playerStats.longestReign}</td>
+          <td>${this.formatDuration(playerStats.totalTime)}</td>
+        `;
+        statsList.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Error loading king of the table:', error);
+      this.showToast('Error loading king of the table', 'error');
+    }
+  },
+  
+  /**
+   * Get the current room's queue, without players who have left the room
+   * @param {Array} players - Players in the room
+   * @returns {Promise} - Resolves with the queue state
+   */
+  async getKingQueue(players) {
+    const queue = await DB.getSetting(KingOfTable.getSettingKey(this.currentRoom.id)) ||
+      KingOfTable.createQueue(this.currentRoom.id);
+    const playerIds = players.map(player => player.id);
+    
+    return [queue.kingId, ...queue.waitlist]
+      .filter(playerId => playerId && !playerIds.includes(playerId))
+      .reduce((updatedQueue, playerId) => KingOfTable.leave(updatedQueue, playerId), queue);
+  },
+  
+  /**
+   * Apply a change to the current room's queue and save it
+   * @param {Function} change - Takes the queue and returns the new queue
+   */
+  async updateKingQueue(change) {
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const queue = await this.getKingQueue(players);
+      await DB.saveSetting(KingOfTable.getSettingKey(this.currentRoom.id), change(queue));
+      await this.loadKingOfTable();
+    } catch (error) {
+      console.error('Error updating king of the table queue:', error);
+      this.showToast('Error updating queue', 'error');
+    }
+  },
+  
+  /**
+   * Handle king of the table join form submission
+   * @param {Event} event - Submit event
+   */
+  handleKingJoin(event) {
+    event.preventDefault();
+    
+    const playerId = document.getElementById('king-join-player').value;
+    if (!playerId) {
+      this.showToast('Please select a player', 'error');
+      return;
+    }
+    
+    return this.updateKingQueue(queue => KingOfTable.join(queue, playerId));
+  },
+  
+  /**
+   * Remove a player from the table
+   * @param {string} playerId - Player ID
+   */
+  handleKingLeave(playerId) {
+    return this.updateKingQueue(queue => KingOfTable.leave(queue, playerId));
+  },
+  
+  /**
+   * Record the next king of the table match through the new match form
+   */
+  async startKingMatch() {
+    const players = await DB.getPlayersInRoom(this.currentRoom.id);
+    const nextMatch = KingOfTable.getNextMatch(await this.getKingQueue(players));
+    if (!nextMatch) return;
+    
+    this.startMatchContext({
+      label: 'King of the Table',
+      player1Id: nextMatch.kingId,
+      player2Id: nextMatch.challengerId,
+      matchData: {
+        mode: KingOfTable.mode
+      },
+      returnTab: 'king'
+    });
+  },
+  
+  /**
+   * Format a duration for display
+   * @param {number} milliseconds - Duration in milliseconds
+   * @returns {string} - Formatted duration, e.g. "1h 25m"
+   */
+  formatDuration(milliseconds) {
+    const minutes = Math.floor(milliseconds / 60000);
+    if (minutes < 1) return '< 1m';
+    
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  },
+  
+  /**
+   * Populate player filter for match history
+   */
+  async populatePlayerFilter() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      
+      const playerFilter = document.getElementById('history-player-filter');
+      
+      // Clear existing options except the first one
+      while (playerFilter.options.length > 1) {
+        playerFilter.remove(1);
+      }
+      
+      // Add player options
+      players.forEach(player => {
+        const option = document.createElement('option');
+        option.value = player.id;
+        option.textContent = player.name;
+        playerFilter.appendChild(option);
+      });
+      
+      // Add event listener
+      playerFilter.addEventListener('change', this.filterMatchHistory.bind(this));
+      document.getElementById('history-date-filter').addEventListener('change', this.filterMatchHistory.bind(this));
+    } catch (error) {
+      console.error('Error populating player filter:', error);
+      this.showToast('Error loading players', 'error');
+    }
+  },
+  
+  /**
+   * Filter match history based on selected filters
+   */
+  async filterMatchHistory() {
+    if (!this.currentRoom) return;
+    
+    try {
+      const playerFilter = document.getElementById('history-player-filter').value;
+      const dateFilter = document.getElementById('history-date-filter').value;
+      
+      let matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      
+      // Filter by player
+      if (playerFilter) {
+        matches = matches.filter(match => 
+          Stats.getMatchPlayerIds(match).includes(playerFilter)
+        );
+      }
+      
+      // Filter by date
+      if (dateFilter !== 'all') {
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        
         if (dateFilter === 'today') {
           matches = matches.filter(match => new Date(match.date) >= today);
         } else if (dateFilter === 'week') {
@@ -634,25 +3136,7 @@ const UI = {
         
         // Add matches to the list
         for (const match of sortedMatches) {
-          const date = new Date(match.date);
-          const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-          
-          const row = document.createElement('tr');
-          row.innerHTML = `
-            <td>${formattedDate}</td>
-            <td>${playerMap.get(match.player1Id)} vs ${playerMap.get(match.player2Id)}</td>
-            <td>${match.player1Score} - ${match.player2Score}</td>
-            <td>${playerMap.get(match.winnerId)}</td>
-            <td>${match.notes || '-'}</td>
-            <td class="table-actions">
-              <button class="btn danger delete-match" data-id="${match.id}">Delete</button>
-            </td>
-          `;
-          
-          // Add event listeners
-          row.querySelector('.delete-match').addEventListener('click', () => this.confirmDeleteMatch(match));
-          
-          matchesList.appendChild(row);
+          matchesList.appendChild(this.createMatchRow(match, playerMap));
         }
       }
     } catch (error) {
@@ -714,48 +3198,663 @@ const UI = {
         roomsList.appendChild(row);
       }
       
+      await this.loadTrash();
+      
       // Update storage usage
       const storageUsage = await DB.getStorageUsage();
       document.getElementById('storage-usage').textContent = 
         `${(storageUsage.usage / (1024 * 1024)).toFixed(2)} MB / ${(storageUsage.quota / (1024 * 1024)).toFixed(2)} MB (${storageUsage.percent}%)`;
       
-      document.getElementById('manage-rooms-modal').classList.remove('hidden');
-      document.getElementById('modal-overlay').classList.remove('hidden');
+      document.getElementById('manage-rooms-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      
+      this.hideLoading();
+    } catch (error) {
+      console.error('Error showing manage rooms modal:', error);
+      this.showToast('Error loading rooms', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Load the trash into the manage rooms modal
+   */
+  async loadTrash() {
+    const trash = await DB.getTrash();
+    const rooms = await DB.getAllRooms(true);
+    const roomNames = new Map(rooms.map(room => [room.id, room.name]));
+    
+    document.getElementById('trash-retention-days').value = await DB.getTrashRetentionDays();
+    
+    // Trashed matches may involve players who are in the trash too
+    const playerMap = new Map();
+    for (const roomId of new Set(trash.matches.map(match => match.roomId))) {
+      const players = await DB.getPlayersInRoom(roomId, true);
+      players.forEach(player => playerMap.set(player.id, player.name));
+    }
+    
+    const items = [
+      ...trash.rooms.map(room => ({ type: 'room', record: room, label: `Room: ${room.name}` })),
+      ...trash.players.map(player => ({ type: 'player', record: player, label: `Player: ${player.name}` })),
+      ...trash.matches.map(match => ({
+        type: 'match',
+        record: match,
+        label: `Match: ${this.formatTeam(match, 'player1', playerMap)} vs ${this.formatTeam(match, 'player2', playerMap)} (${match.player1Score} - ${match.player2Score})`
+      }))
+    ].sort((a, b) => new Date(b.record.deletedAt) - new Date(a.record.deletedAt));
+    
+    const trashList = document.getElementById('trash-list');
+    trashList.innerHTML = '';
+    document.getElementById('trash-table').classList.toggle('hidden', items.length === 0);
+    document.getElementById('trash-empty-message').classList.toggle('hidden', items.length > 0);
+    
+    items.forEach(item => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${item.label}</td>
+        <td>${item.type === 'room' ? '-' : roomNames.get(item.record.roomId) || '-'}</td>
+        <td>${new Date(item.record.deletedAt).toLocaleDateString()}</td>
+        <td class="table-actions">
+          <button class="btn primary restore-item">Restore</button>
+          <button class="btn danger purge-item">Delete Forever</button>
+        </td>
+      `;
+      
+      row.querySelector('.restore-item').addEventListener('click', () => this.handleRestoreFromTrash(item));
+      row.querySelector('.purge-item').addEventListener('click', () => this.confirmPurgeFromTrash(item));
+      
+      trashList.appendChild(row);
+    });
+  },
+  
+  /**
+   * Restore a room, player or match from the trash
+   * @param {Object} item - Trash item with type, record and label
+   */
+  async handleRestoreFromTrash(item) {
+    const restore = {
+      room: id => DB.restoreRoom(id),
+      player: id => DB.restorePlayer(id),
+      match: id => DB.restoreMatch(id)
+    };
+    
+    try {
+      this.showLoading();
+      
+      await restore[item.type](item.record.id);
+      await this.refreshAfterTrashChange();
+      
+      this.showToast(`${item.label} restored`, 'success');
+      this.hideLoading();
+      
+      // Show the updated trash
+      await this.showManageRoomsModal();
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      this.showToast(error.message || 'Error restoring from trash', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Confirm permanently deleting an item from the trash
+   * @param {Object} item - Trash item with type, record and label
+   */
+  confirmPurgeFromTrash(item) {
+    // Deleting a player for good needs a decision about their matches
+    if (item.type === 'player') {
+      this.showPurgePlayerModal(item);
+      return;
+    }
+    
+    const purge = {
+      room: id => DB.purgeRoom(id),
+      match: id => DB.purgeMatch(id)
+    };
+    
+    const details = {
+      room: ' and all of its players, matches and events',
+      match: ''
+    };
+    
+    this.showConfirmation(
+      'Delete Forever',
+      `Permanently delete ${item.label}${details[item.type]}? This cannot be undone.`,
+      async () => {
+        try {
+          this.showLoading();
+          
+          await purge[item.type](item.record.id);
+          
+          this.showToast(`${item.label} permanently deleted`, 'success');
+          this.hideLoading();
+          
+          // Back to the trash
+          await this.showManageRoomsModal();
+        } catch (error) {
+          console.error('Error purging from trash:', error);
+          this.showToast('Error deleting from trash', 'error');
+          this.hideLoading();
+        }
+      }
+    );
+  },
+  
+  /**
+   * Show the dialog for permanently deleting a player
+   * @param {Object} item - Trash item of the player
+   */
+  showPurgePlayerModal(item) {
+    document.getElementById('purge-player-id').value = item.record.id;
+    document.getElementById('purge-player-message').textContent =
+      `Permanently delete ${item.record.name}? This cannot be undone. What should happen to their matches?`;
+    
+    document.getElementById('purge-player-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
+  },
+  
+  /**
+   * Handle purge player form submission
+   * @param {Event} event - Submit event
+   */
+  async handlePurgePlayerSubmit(event) {
+    event.preventDefault();
+    
+    const playerId = document.getElementById('purge-player-id').value;
+    const reassignMatches = document.querySelector('input[name="purge-player-matches"]:checked').value === 'reassign';
+    
+    try {
+      this.showLoading();
+      
+      await DB.purgePlayer(playerId, reassignMatches);
+      
+      // Reassigned matches are back in the history
+      if (reassignMatches) {
+        await this.refreshAfterTrashChange();
+      }
+      
+      this.showToast('Player permanently deleted', 'success');
+      this.hideLoading();
+      
+      // Back to the trash
+      this.closeAllModals();
+      await this.showManageRoomsModal();
+    } catch (error) {
+      console.error('Error purging player:', error);
+      this.showToast(error.message || 'Error deleting player', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Handle trash retention form submission
+   * @param {Event} event - Submit event
+   */
+  async handleTrashRetentionSubmit(event) {
+    event.preventDefault();
+    
+    const retentionDays = parseInt(document.getElementById('trash-retention-days').value);
+    if (isNaN(retentionDays) || retentionDays < 1) {
+      this.showToast('Please keep deleted items for at least 1 day', 'error');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      
+      await DB.saveSetting(DB.trashRetentionKey, retentionDays);
+      
+      // A shorter period applies straight away
+      await DB.purgeExpiredTrash();
+      await this.loadTrash();
+      
+      this.showToast('Trash retention updated', 'success');
+      this.hideLoading();
+    } catch (error) {
+      console.error('Error updating trash retention:', error);
+      this.showToast('Error updating trash retention', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Reload the room selector and the current room after the trash changes
+   */
+  async refreshAfterTrashChange() {
+    const rooms = await DB.getAllRooms();
+    this.populateRoomSelector(rooms);
+    
+    if (this.currentRoom) {
+      document.getElementById('room-selector').value = this.currentRoom.id;
+      await this.loadPlayers();
+      await this.loadMatches();
+      await this.loadStats();
+    }
+  },
+  
+  /**
+   * Show the room settings modal
+   */
+  showRoomSettingsModal() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    // Populate rating systems
+    const ratingSystemSelect = document.getElementById('room-rating-system');
+    ratingSystemSelect.innerHTML = '';
+    RatingSystems.getAll().forEach(system => {
+      const option = document.createElement('option');
+      option.value = system.id;
+      option.textContent = system.name;
+      ratingSystemSelect.appendChild(option);
+    });
+    ratingSystemSelect.value = RatingSystems.getSystemId(this.currentRoom);
+    this.updateRatingSystemDescription();
+    
+    document.getElementById('room-match-format').value = this.getMatchFormat();
+    
+    // Populate scoring rules
+    const rules = this.getScoringRules();
+    const pointsSelect = document.getElementById('room-points-to-win');
+    pointsSelect.innerHTML = '';
+    Scoring.pointsOptions.forEach(points => {
+      const option = document.createElement('option');
+      option.value = points;
+      option.textContent = `${points} points`;
+      pointsSelect.appendChild(option);
+    });
+    pointsSelect.value = rules.pointsToWin;
+    document.getElementById('room-win-by-two').checked = rules.winByTwo;
+    document.getElementById('room-max-deuce').value = rules.maxDeuce !== null ? rules.maxDeuce : '';
+    this.updateDeuceFields();
+    
+    // Populate handicap settings
+    const basisSelect = document.getElementById('room-handicap-basis');
+    basisSelect.innerHTML = '';
+    Object.entries(Handicaps.bases).forEach(([basis, label]) => {
+      const option = document.createElement('option');
+      option.value = basis;
+      option.textContent = label;
+      basisSelect.appendChild(option);
+    });
+    basisSelect.value = Handicaps.getBasis(this.currentRoom);
+    document.getElementById('room-handicaps-enabled').checked = Boolean(this.currentRoom.handicapsEnabled);
+    this.updateHandicapBasisField();
+    
+    // Populate leaderboard settings
+    const leaderboardSettings = Rankings.getSettings(this.currentRoom);
+    const metricSelect = document.getElementById('room-leaderboard-metric');
+    metricSelect.innerHTML = '';
+    Object.entries(Rankings.metrics).forEach(([metric, { name }]) => {
+      const option = document.createElement('option');
+      option.value = metric;
+      option.textContent = name;
+      metricSelect.appendChild(option);
+    });
+    metricSelect.value = leaderboardSettings.metric;
+    
+    document.querySelectorAll('.room-tiebreaker').forEach((select, index) => {
+      select.innerHTML = '<option value="">None</option>';
+      Object.entries(Rankings.tiebreakers).forEach(([tiebreaker, label]) => {
+        const option = document.createElement('option');
+        option.value = tiebreaker;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = leaderboardSettings.tiebreakers[index] || '';
+    });
+    document.getElementById('room-min-matches').value = leaderboardSettings.minMatches;
+    
+    document.getElementById('room-hide-archived').checked = Boolean(this.currentRoom.hideArchivedFromLeaderboard);
+    
+    document.getElementById('room-settings-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
+  },
+  
+  /**
+   * Only offer a handicap basis when handicaps are turned on
+   */
+  updateHandicapBasisField() {
+    const enabled = document.getElementById('room-handicaps-enabled').checked;
+    document.getElementById('room-handicap-basis-group').classList.toggle('hidden', !enabled);
+  },
+  
+  /**
+   * Only offer a deuce limit when games are won by 2 points
+   */
+  updateDeuceFields() {
+    const winByTwo = document.getElementById('room-win-by-two').checked;
+    document.getElementById('room-max-deuce-group').classList.toggle('hidden', !winByTwo);
+  },
+  
+  /**
+   * Show the description of the selected rating system
+   */
+  updateRatingSystemDescription() {
+    const systemId = document.getElementById('room-rating-system').value;
+    document.getElementById('room-rating-system-description').textContent = RatingSystems.get(systemId).description;
+  },
+  
+  /**
+   * Show the add player modal
+   */
+  showAddPlayerModal() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    document.getElementById('add-player-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
+    document.getElementById('player-name').focus();
+  },
+  
+  /**
+   * Show the edit player modal
+   * @param {Object} player - Player object
+   */
+  async showEditPlayerModal(player) {
+    document.getElementById('edit-player-id').value = player.id;
+    document.getElementById('edit-player-name').value = player.name;
+    document.getElementById('edit-player-nickname').value = player.nickname || '';
+    
+    // Profiles shared across rooms
+    const personSelect = document.getElementById('edit-player-person');
+    personSelect.innerHTML = `
+      <option value="">No profile</option>
+      <option value="${this.newPersonOption}">New profile for this player</option>
+    `;
+    try {
+      const people = await DB.getAllPeople();
+      people.sort((a, b) => a.name.localeCompare(b.name)).forEach(person => {
+        const option = document.createElement('option');
+        option.value = person.id;
+        option.textContent = person.name;
+        personSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Error loading people:', error);
+    }
+    personSelect.value = player.personId || '';
+    
+    document.getElementById('edit-player-modal').classList.remove('hidden');
+    document.getElementById('modal-overlay').classList.remove('hidden');
+    document.getElementById('edit-player-name').focus();
+  },
+  
+  /**
+   * Show a person's combined and per-room records
+   * @param {string} personId - Person ID
+   */
+  async showPersonProfileModal(personId) {
+    try {
+      const profile = await DB.getPersonProfile(personId);
+      const { totals } = profile;
+      
+      document.getElementById('person-profile-name').textContent = profile.person.name;
+      document.getElementById('person-profile-totals').textContent =
+        `All rooms: ${totals.matches} matches, ${totals.wins} wins, ${totals.losses} losses (${totals.winPercentage}%)`;
+      
+      const roomsList = document.getElementById('person-profile-rooms');
+      roomsList.innerHTML = '';
+      profile.rooms.forEach(({ room, player, stats }) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${room.name}</td>
+          <td>${player.name}</td>
+          <td>${stats.matches}</td>
+          <td>${stats.wins}</td>
+          <td>${stats.losses}</td>
+          <td>${stats.winPercentage}%</td>
+        `;
+        roomsList.appendChild(row);
+      });
+      
+      document.getElementById('person-profile-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      this.showToast('Error loading profile', 'error');
+    }
+  },
+  
+  /**
+   * Show a player's career in the current room
+   * Like the leaderboard, the profile covers singles matches
+   * @param {Object} player - Player object
+   */
+  async showPlayerProfileModal(player) {
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const playerMap = new Map(players.map(({ id, name }) => [id, name]));
+      const systemId = RatingSystems.getSystemId(this.currentRoom);
+      
+      const stats = Stats.calculatePlayerStats(player, matches);
+      const ratingHistory = Stats.generateRatingHistory(player.id, players, matches, systemId);
+      const streaks = Stats.calculateLongestStreaks(player.id, matches);
+      const averageMargin = Stats.calculateAverageMargin(player.id, matches);
+      const rating = ratingHistory.length > 0
+        ? ratingHistory[ratingHistory.length - 1].rating
+        : Math.round(RatingSystems.get(systemId).createRating().rating);
+      
+      document.getElementById('player-profile-name').textContent = player.name;
+      document.getElementById('player-profile-record').textContent =
+        `${stats.matches} matches, ${stats.wins} wins, ${stats.losses} losses (${stats.winPercentage}%)`;
+      
+      const careerStats = [
+        ['Rating', rating],
+        ['Games', `${stats.gamesWon} - ${stats.gamesLost}`],
+        ['Points', `${stats.pointsWon} - ${stats.pointsLost}`],
+        ['Current streak', stats.matches > 0 ? `${stats.currentStreak} ${stats.isWinningStreak ? 'W' : 'L'}` : '-'],
+        ['Longest win streak', streaks.wins],
+        ['Longest losing streak', streaks.losses],
+        ['Average margin', averageMargin === null ? '-' : `${averageMargin > 0 ? '+' : ''}${averageMargin} points per match`]
+      ];
+      document.getElementById('player-profile-stats').innerHTML = careerStats
+        .map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`)
+        .join('');
+      
+      this.createRatingHistoryChart(document.getElementById('player-profile-rating-chart'), ratingHistory, player.name);
+      
+      const form = Stats.calculateForm(player.id, matches);
+      document.getElementById('player-profile-form').innerHTML = form.length > 0
+        ? form.map(result => `<span class="form-result ${result === 'W' ? 'form-win' : 'form-loss'}">${result}</span>`).join('')
+        : '<p class="empty-chart">No matches played yet</p>';
       
-      this.hideLoading();
+      this.renderProfileOpponents(Stats.calculateOpponentRecords(player.id, matches), playerMap);
+      this.renderProfileMatches(player.id, matches, playerMap);
+      
+      document.getElementById('player-profile-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
     } catch (error) {
-      console.error('Error showing manage rooms modal:', error);
-      this.showToast('Error loading rooms', 'error');
-      this.hideLoading();
+      console.error('Error loading player profile:', error);
+      this.showToast('Error loading player profile', 'error');
     }
   },
   
   /**
-   * Show the add player modal
+   * Show the opponents a player does best and worst against
+   * @param {Array} records - Records against each opponent, best first
+   * @param {Map} playerMap - Map of player IDs to names
    */
-  showAddPlayerModal() {
-    if (!this.currentRoom) {
-      this.showToast('Please select a room first', 'error');
+  renderProfileOpponents(records, playerMap) {
+    const list = document.getElementById('player-profile-opponents');
+    const formatRecord = record =>
+      `${playerMap.get(record.id)} (${record.wins}-${record.losses}, ${record.winPercentage}%)`;
+    
+    if (records.length === 0) {
+      list.innerHTML = '<li>No opponents yet</li>';
       return;
     }
     
-    document.getElementById('add-player-modal').classList.remove('hidden');
-    document.getElementById('modal-overlay').classList.remove('hidden');
-    document.getElementById('player-name').focus();
+    list.innerHTML = `<li>Best against: ${formatRecord(records[0])}</li>`;
+    if (records.length > 1) {
+      list.innerHTML += `<li>Toughest opponent: ${formatRecord(records[records.length - 1])}</li>`;
+    }
   },
   
   /**
-   * Show the edit player modal
-   * @param {Object} player - Player object
+   * Show a player's latest matches, singles and doubles
+   * @param {string} playerId - Player ID
+   * @param {Array} matches - Array of matches
+   * @param {Map} playerMap - Map of player IDs to names
+   * @param {number} limit - Number of matches to show
    */
-  showEditPlayerModal(player) {
-    document.getElementById('edit-player-id').value = player.id;
-    document.getElementById('edit-player-name').value = player.name;
-    document.getElementById('edit-player-nickname').value = player.nickname || '';
+  renderProfileMatches(playerId, matches, playerMap, limit = 10) {
+    const recentMatches = matches
+      .filter(match => Stats.getPlayerSide(match, playerId) !== null)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, limit);
     
-    document.getElementById('edit-player-modal').classList.remove('hidden');
-    document.getElementById('modal-overlay').classList.remove('hidden');
-    document.getElementById('edit-player-name').focus();
+    const matchesList = document.getElementById('player-profile-matches');
+    matchesList.innerHTML = '';
+    matchesList.parentElement.classList.toggle('hidden', recentMatches.length === 0);
+    document.getElementById('player-profile-no-matches').classList.toggle('hidden', recentMatches.length > 0);
+    
+    recentMatches.forEach(match => {
+      const side = Stats.getPlayerSide(match, playerId);
+      const otherSide = side === 'player1' ? 'player2' : 'player1';
+      const won = Stats.isWinner(match, playerId);
+      
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${new Date(match.date).toLocaleDateString()}</td>
+        <td>${this.formatTeam(match, otherSide, playerMap)}</td>
+        <td>${match[`${side}Score`]} - ${match[`${otherSide}Score`]}</td>
+        <td class="${won ? 'rating-up' : 'rating-down'}">${won ? 'Won' : 'Lost'}</td>
+      `;
+      matchesList.appendChild(row);
+    });
+  },
+  
+  /**
+   * Draw a player's rating over time as a line chart
+   * @param {HTMLElement} chartContainer - Element to draw the chart in
+   * @param {Array} history - Points as { date, rating }
+   * @param {string} playerName - Player name
+   */
+  createRatingHistoryChart(chartContainer, history, playerName) {
+    Charts.line(chartContainer, {
+      title: `${playerName}'s rating after each match`,
+      xLabel: 'Matches played',
+      integer: true,
+      series: [{
+        name: 'Rating',
+        points: history.map((point, index) => ({
+          x: index,
+          y: point.rating,
+          tooltip: index === 0
+            ? `Starting rating: ${point.rating}`
+            : `Match ${index} (${new Date(point.date).toLocaleDateString()}): ${point.rating}`
+        }))
+      }]
+    });
+  },
+  
+  /**
+   * Show the head-to-head comparison of two players
+   * @param {string} player1Id - First player ID
+   * @param {string|null} player2Id - Second player ID, or null to pick the first other player
+   */
+  async showCompareModal(player1Id, player2Id) {
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      
+      ['compare-player1', 'compare-player2'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '';
+        players.forEach(player => {
+          const option = document.createElement('option');
+          option.value = player.id;
+          option.textContent = player.name;
+          select.appendChild(option);
+        });
+      });
+      
+      const otherPlayer = players.find(player => player.id !== player1Id);
+      document.getElementById('compare-player1').value = player1Id;
+      document.getElementById('compare-player2').value = player2Id || (otherPlayer ? otherPlayer.id : '');
+      
+      await this.renderComparison();
+      
+      document.getElementById('compare-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+    } catch (error) {
+      console.error('Error loading head-to-head:', error);
+      this.showToast('Error loading head-to-head', 'error');
+    }
+  },
+  
+  /**
+   * Render the head-to-head of the two selected players
+   */
+  async renderComparison() {
+    const player1Id = document.getElementById('compare-player1').value;
+    const player2Id = document.getElementById('compare-player2').value;
+    
+    try {
+      const players = await DB.getPlayersInRoom(this.currentRoom.id);
+      const matches = await DB.getMatchesInRoom(this.currentRoom.id);
+      const player1 = players.find(player => player.id === player1Id);
+      const player2 = players.find(player => player.id === player2Id);
+      if (!player1 || !player2) return;
+      
+      const headToHead = Stats.calculateHeadToHead(player1, player2, matches);
+      
+      document.getElementById('compare-record').textContent =
+        `${player1.name} ${headToHead.player1Wins} - ${headToHead.player2Wins} ${player2.name}`;
+      
+      let streakText = 'These players have not met yet';
+      if (player1.id === player2.id) {
+        streakText = 'Choose two different players';
+      } else if (headToHead.streakHolder) {
+        streakText = headToHead.currentStreak === 1
+          ? `${headToHead.streakHolder.name} won their last meeting`
+          : `${headToHead.streakHolder.name} has won the last ${headToHead.currentStreak} meetings`;
+      }
+      document.getElementById('compare-streak').textContent = streakText;
+      
+      // Ratings and overall records come from every singles match, not just their meetings
+      const { ratings } = Stats.calculateRatings(players, matches, RatingSystems.getSystemId(this.currentRoom));
+      const player1Stats = Stats.calculatePlayerStats(player1, matches);
+      const player2Stats = Stats.calculatePlayerStats(player2, matches);
+      const formatStreak = stats => stats.currentStreak > 0 ? `${stats.currentStreak} ${stats.isWinningStreak ? 'W' : 'L'}` : '-';
+      
+      const rows = [
+        ['Average score vs each other', headToHead.player1AvgScore, headToHead.player2AvgScore],
+        ['Games won vs each other', headToHead.player1GamesWon, headToHead.player2GamesWon],
+        ['Points won vs each other', headToHead.player1Points, headToHead.player2Points],
+        ['Rating', Math.round(ratings[player1.id].rating), Math.round(ratings[player2.id].rating)],
+        ['Matches', player1Stats.matches, player2Stats.matches],
+        ['Wins', player1Stats.wins, player2Stats.wins],
+        ['Win %', `${player1Stats.winPercentage}%`, `${player2Stats.winPercentage}%`],
+        ['Current streak', formatStreak(player1Stats), formatStreak(player2Stats)],
+        ['Average score', player1Stats.avgScoreFor, player2Stats.avgScoreFor]
+      ];
+      
+      document.getElementById('compare-name1').textContent = player1.name;
+      document.getElementById('compare-name2').textContent = player2.name;
+      document.getElementById('compare-stats').innerHTML = rows
+        .map(([label, value1, value2]) => `<tr><td>${label}</td><td>${value1}</td><td>${value2}</td></tr>`)
+        .join('');
+      
+      // Newest meeting first, scored from player 1's side
+      const meetings = player1.id === player2.id ? [] : Stats.getHeadToHeadMatches(player1.id, player2.id, matches).reverse();
+      const meetingsList = document.getElementById('compare-meetings');
+      meetingsList.innerHTML = '';
+      meetingsList.parentElement.classList.toggle('hidden', meetings.length === 0);
+      document.getElementById('compare-no-meetings').classList.toggle('hidden', meetings.length > 0);
+      
+      meetings.forEach(match => {
+        meetingsList.appendChild(this.createMeetingRow(match, player1, player2));
+      });
+    } catch (error) {
+      console.error('Error comparing players:', error);
+      this.showToast('Error comparing players', 'error');
+    }
   },
   
   /**
@@ -779,6 +3878,15 @@ const UI = {
     document.getElementById('create-room-form').reset();
     document.getElementById('add-player-form').reset();
     document.getElementById('edit-player-form').reset();
+    document.getElementById('merge-players-form').reset();
+    document.getElementById('room-settings-form').reset();
+    document.getElementById('create-tournament-form').reset();
+    document.getElementById('create-league-form').reset();
+    document.getElementById('create-season-form').reset();
+    document.getElementById('edit-match-form').reset();
+    document.getElementById('edit-match-games-error').classList.add('hidden');
+    document.getElementById('purge-player-form').reset();
+    this.editingMatch = null;
   },
   
   /**
@@ -813,7 +3921,7 @@ const UI = {
   confirmDeleteRoom(room) {
     this.showConfirmation(
       'Delete Room',
-      `Are you sure you want to delete the room "${room.name}"? This will also delete all players and matches in this room.`,
+      `Move the room "${room.name}" to the trash? Its players and matches go with it and can be restored from Manage Rooms.`,
       async () => {
         try {
           this.showLoading();
@@ -833,7 +3941,7 @@ const UI = {
             this.currentRoom = null;
           }
           
-          this.showToast('Room deleted successfully', 'success');
+          this.showToast('Room moved to the trash', 'success');
           this.hideLoading();
           
           // Close the manage rooms modal
@@ -847,6 +3955,135 @@ const UI = {
     );
   },
   
+  /**
+   * Archive or reactivate a player
+   * @param {Object} player - Player object
+   * @param {boolean} archived - Whether to archive the player
+   */
+  async handleArchivePlayer(player, archived) {
+    try {
+      this.showLoading();
+      
+      await DB.setPlayerArchived(player.id, archived);
+      
+      // Archived players leave the selectors and possibly the leaderboard
+      await this.loadPlayers();
+      await this.populatePlayerSelectors();
+      await this.loadStats();
+      
+      this.showToast(archived ? `${player.name} archived` : `${player.name} reactivated`, 'success');
+      this.hideLoading();
+    } catch (error) {
+      console.error('Error archiving player:', error);
+      this.showToast('Error updating player', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Show the merge players modal
+   */
+  async showMergePlayersModal() {
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    try {
+      const players = (await DB.getPlayersInRoom(this.currentRoom.id)).filter(player => !player.placeholder);
+      
+      if (players.length < 2) {
+        this.showToast('Merging needs at least 2 players', 'error');
+        return;
+      }
+      
+      ['merge-source', 'merge-target'].forEach((selectId, index) => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '';
+        players.forEach(player => {
+          const option = document.createElement('option');
+          option.value = player.id;
+          option.textContent = player.name;
+          select.appendChild(option);
+        });
+        select.value = players[index].id;
+      });
+      
+      await this.updateMergePreview();
+      
+      document.getElementById('merge-players-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+    } catch (error) {
+      console.error('Error showing merge players modal:', error);
+      this.showToast('Error loading players', 'error');
+    }
+  },
+  
+  /**
+   * Show how many matches the selected merge will move
+   */
+  async updateMergePreview() {
+    const sourceId = document.getElementById('merge-source').value;
+    const targetId = document.getElementById('merge-target').value;
+    const preview = document.getElementById('merge-preview');
+    
+    if (sourceId === targetId) {
+      preview.textContent = 'Choose two different players.';
+      return;
+    }
+    
+    try {
+      const { matchCount, reviewCount } = await DB.getMergePreview(sourceId, targetId);
+      preview.textContent = `${matchCount} match${matchCount === 1 ? '' : 'es'} will be moved.` +
+        (reviewCount > 0 ? ` ${reviewCount} between these two players will be flagged for review.` : '');
+    } catch (error) {
+      console.error('Error previewing merge:', error);
+      preview.textContent = '';
+    }
+  },
+  
+  /**
+   * Handle merge players form submission
+   * @param {Event} event - Submit event
+   */
+  async handleMergePlayersSubmit(event) {
+    event.preventDefault();
+    
+    const sourceSelect = document.getElementById('merge-source');
+    const targetSelect = document.getElementById('merge-target');
+    
+    if (sourceSelect.value === targetSelect.value) {
+      this.showToast('Please choose two different players', 'error');
+      return;
+    }
+    
+    const sourceName = sourceSelect.selectedOptions[0].textContent;
+    const targetName = targetSelect.selectedOptions[0].textContent;
+    
+    try {
+      this.showLoading();
+      
+      const { matchCount, reviewCount } = await DB.mergePlayers(sourceSelect.value, targetSelect.value);
+      
+      // Reload everything that shows players
+      await this.loadPlayers();
+      await this.populatePlayerSelectors();
+      await this.loadMatches();
+      await this.loadStats();
+      
+      this.showToast(`Merged ${sourceName} into ${targetName}: ${matchCount} match${matchCount === 1 ? '' : 'es'} moved` +
+        (reviewCount > 0 ? `, ${reviewCount} flagged for review` : ''), 'success');
+      this.hideLoading();
+      
+      // Close the modal
+      this.closeAllModals();
+    } catch (error) {
+      console.error('Error merging players:', error);
+      this.showToast(error.message || 'Error merging players', 'error');
+      this.hideLoading();
+    }
+  },
+  
   /**
    * Confirm delete player
    * @param {Object} player - Player object
@@ -854,7 +4091,7 @@ const UI = {
   confirmDeletePlayer(player) {
     this.showConfirmation(
       'Delete Player',
-      `Are you sure you want to delete the player "${player.name}"?`,
+      `Move the player "${player.name}" and their matches to the trash? They can be restored from Manage Rooms.`,
       async () => {
         try {
           this.showLoading();
@@ -868,11 +4105,11 @@ const UI = {
           await this.loadMatches();
           await this.loadStats();
           
-          this.showToast('Player deleted successfully', 'success');
+          this.showToast('Player moved to the trash', 'success');
           this.hideLoading();
         } catch (error) {
           console.error('Error deleting player:', error);
-          this.showToast('Error deleting player', 'error');
+          this.showToast(error.message || 'Error deleting player', 'error');
           this.hideLoading();
         }
       }
@@ -886,7 +4123,7 @@ const UI = {
   confirmDeleteMatch(match) {
     this.showConfirmation(
       'Delete Match',
-      'Are you sure you want to delete this match?',
+      'Move this match to the trash? It can be restored from Manage Rooms.',
       async () => {
         try {
           this.showLoading();
@@ -899,11 +4136,11 @@ const UI = {
           // Reload stats
           await this.loadStats();
           
-          this.showToast('Match deleted successfully', 'success');
+          this.showToast('Match moved to the trash', 'success');
           this.hideLoading();
         } catch (error) {
           console.error('Error deleting match:', error);
-          this.showToast('Error deleting match', 'error');
+          this.showToast(error.message || 'Error deleting match', 'error');
           this.hideLoading();
         }
       }
@@ -1009,6 +4246,7 @@ const UI = {
     const playerId = document.getElementById('edit-player-id').value;
     const playerName = document.getElementById('edit-player-name').value.trim();
     const playerNickname = document.getElementById('edit-player-nickname').value.trim();
+    let personId = document.getElementById('edit-player-person').value || null;
     
     if (!playerId) {
       this.showToast('Invalid player ID', 'error');
@@ -1023,11 +4261,17 @@ const UI = {
     try {
       this.showLoading();
       
+      // Start a profile named after the player
+      if (personId === this.newPersonOption) {
+        personId = (await DB.createPerson({ name: playerName })).id;
+      }
+      
       // Update player
       await DB.updatePlayer({
         id: playerId,
         name: playerName,
-        nickname: playerNickname
+        nickname: playerNickname,
+        personId
       });
       
       // Reload players
@@ -1049,6 +4293,182 @@ const UI = {
     }
   },
   
+  /**
+   * Handle edit match form submission
+   * @param {Event} event - Submit event
+   */
+  async handleEditMatchSubmit(event) {
+    event.preventDefault();
+    
+    const match = this.editingMatch;
+    if (!match || match.id !== document.getElementById('edit-match-id').value) {
+      this.showToast('Invalid match ID', 'error');
+      return;
+    }
+    
+    const isDoubles = match.type === 'doubles';
+    const changes = {
+      id: match.id,
+      player1Id: document.getElementById('edit-match-player1').value,
+      player2Id: document.getElementById('edit-match-player2').value,
+      notes: document.getElementById('edit-match-notes').value.trim()
+    };
+    
+    if (isDoubles) {
+      changes.player1PartnerId = document.getElementById('edit-match-player1-partner').value;
+      changes.player2PartnerId = document.getElementById('edit-match-player2-partner').value;
+    }
+    
+    const selectedIds = isDoubles
+      ? [changes.player1Id, changes.player1PartnerId, changes.player2Id, changes.player2PartnerId]
+      : [changes.player1Id, changes.player2Id];
+    
+    if (selectedIds.some(id => !id)) {
+      this.showToast('Please select every player', 'error');
+      return;
+    }
+    
+    if (new Set(selectedIds).size !== selectedIds.length) {
+      this.showToast('Please select different players', 'error');
+      return;
+    }
+    
+    // The input drops seconds, so only an actual change replaces the stored date
+    const dateValue = document.getElementById('edit-match-date').value;
+    if (!dateValue) {
+      this.showToast('Please enter a date', 'error');
+      return;
+    }
+    if (dateValue !== this.formatDateTimeInput(match.date)) {
+      changes.date = new Date(dateValue).toISOString();
+    }
+    
+    if (Array.isArray(match.games) && match.games.length > 0) {
+      const games = this.getGameScores(document.getElementById('edit-match-games'));
+      
+      if (games.length === 0 || games.some(game => game.player1Score === '' || game.player2Score === '')) {
+        this.showToast('Please enter scores for every game', 'error');
+        return;
+      }
+      
+      changes.games = games.map(game => ({
+        player1Score: Number(game.player1Score),
+        player2Score: Number(game.player2Score)
+      }));
+      
+      // Games kept as they were may follow older rules, so only edited games are checked,
+      // but the match must still end when a player wins the games it was played to
+      const errors = Scoring.getEditedMatchErrors(changes.games, match.games, Scoring.getEditRules(match, this.currentRoom));
+      if (this.showGameErrors(document.getElementById('edit-match-games'), document.getElementById('edit-match-games-error'), errors)) {
+        this.showToast('Please fix the scores shown in red', 'error');
+        return;
+      }
+    } else {
+      changes.player1Score = document.getElementById('edit-match-player1-score').value;
+      changes.player2Score = document.getElementById('edit-match-player2-score').value;
+    }
+    
+    try {
+      this.showLoading();
+      
+      await DB.updateMatch(changes);
+      
+      // Reload matches and the stats that depend on them
+      await this.loadMatches();
+      await this.loadStats();
+      
+      this.showToast('Match updated successfully', 'success');
+      this.hideLoading();
+      
+      // Close the modal
+      this.closeAllModals();
+    } catch (error) {
+      console.error('Error updating match:', error);
+      this.showToast(error.message || 'Error updating match', 'error');
+      this.hideLoading();
+    }
+  },
+  
+  /**
+   * Handle room settings form submission
+   * @param {Event} event - Submit event
+   */
+  async handleRoomSettingsSubmit(event) {
+    event.preventDefault();
+    
+    if (!this.currentRoom) {
+      this.showToast('Please select a room first', 'error');
+      return;
+    }
+    
+    const ratingSystem = document.getElementById('room-rating-system').value;
+    const matchFormat = parseInt(document.getElementById('room-match-format').value);
+    const hideArchivedFromLeaderboard = document.getElementById('room-hide-archived').checked;
+    const handicapsEnabled = document.getElementById('room-handicaps-enabled').checked;
+    const handicapBasis = document.getElementById('room-handicap-basis').value;
+    const winByTwo = document.getElementById('room-win-by-two').checked;
+    const maxDeuceValue = document.getElementById('room-max-deuce').value;
+    const maxDeuce = winByTwo && maxDeuceValue !== '' ? Number(maxDeuceValue) : null;
+    const scoringRules = {
+      pointsToWin: parseInt(document.getElementById('room-points-to-win').value),
+      winByTwo,
+      maxDeuce
+    };
+    
+    if (maxDeuce !== null && (!Number.isInteger(maxDeuce) || maxDeuce < 0)) {
+      this.showToast('Max deuce length must be a whole number of 0 or more', 'error');
+      return;
+    }
+    
+    const leaderboardSettings = {
+      metric: document.getElementById('room-leaderboard-metric').value,
+      tiebreakers: [...document.querySelectorAll('.room-tiebreaker')].map(select => select.value).filter(Boolean),
+      minMatches: Number(document.getElementById('room-min-matches').value)
+    };
+    const leaderboardError = Rankings.getError(leaderboardSettings);
+    if (leaderboardError) {
+      this.showToast(leaderboardError, 'error');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      
+      // Update room
+      this.currentRoom = await DB.updateRoom({
+        id: this.currentRoom.id,
+        ratingSystem,
+        matchFormat,
+        scoringRules,
+        handicapsEnabled,
+        handicapBasis,
+        leaderboardSettings,
+        hideArchivedFromLeaderboard
+      });
+      
+      // Match the new match form to the room's format and handicap setting
+      this.resetGameRows();
+      this.updateHandicapFields();
+      
+      // Replay match ratings with the new system
+      await DB.updateMatchRatings(this.currentRoom.id);
+      
+      // Reload affected tabs
+      await this.loadMatches();
+      await this.loadStats();
+      
+      this.showToast('Room settings saved', 'success');
+      this.hideLoading();
+      
+      // Close the modal
+      this.closeAllModals();
+    } catch (error) {
+      console.error('Error saving room settings:', error);
+      this.showToast('Error saving room settings', 'error');
+      this.hideLoading();
+    }
+  },
+  
   /**
    * Handle match form submission
    * @param {Event} event - Submit event
@@ -1061,10 +4481,12 @@ const UI = {
       return;
     }
     
+    const matchType = document.getElementById('match-type').value;
     const player1Id = document.getElementById('player1').value;
     const player2Id = document.getElementById('player2').value;
-    const player1Score = document.getElementById('player1-score').value;
-    const player2Score = document.getElementById('player2-score').value;
+    const player1PartnerId = document.getElementById('player1-partner').value;
+    const player2PartnerId = document.getElementById('player2-partner').value;
+    const games = this.getGameScores();
     const notes = document.getElementById('match-notes').value.trim();
     
     if (!player1Id || !player2Id) {
@@ -1072,13 +4494,50 @@ const UI = {
       return;
     }
     
-    if (player1Id === player2Id) {
+    if (matchType === 'doubles' && (!player1PartnerId || !player2PartnerId)) {
+      this.showToast('Please select both partners', 'error');
+      return;
+    }
+    
+    const selectedIds = matchType === 'doubles'
+      ? [player1Id, player1PartnerId, player2Id, player2PartnerId]
+      : [player1Id, player2Id];
+    
+    if (new Set(selectedIds).size !== selectedIds.length) {
       this.showToast('Please select different players', 'error');
       return;
     }
     
-    if (!player1Score || !player2Score) {
-      this.showToast('Please enter scores for both players', 'error');
+    if (games.length === 0 || games.some(game => game.player1Score === '' || game.player2Score === '')) {
+      this.showToast('Please enter scores for every game', 'error');
+      return;
+    }
+    
+    const gameScores = games.map(game => ({
+      player1Score: Number(game.player1Score),
+      player2Score: Number(game.player2Score)
+    }));
+    
+    // A head start only applies to singles in rooms that offer handicaps
+    const handicapSide = document.getElementById('handicap-side').value;
+    let handicap;
+    if (handicapSide && !document.getElementById('handicap-group').classList.contains('hidden')) {
+      handicap = {
+        side: handicapSide,
+        points: Number(document.getElementById('handicap-points').value)
+      };
+      
+      const handicapError = Handicaps.getError(handicap, this.getScoringRules());
+      if (handicapError) {
+        this.showToast(handicapError, 'error');
+        return;
+      }
+    }
+    
+    // Check every game against the room's scoring rules
+    const errors = Scoring.getMatchErrors(gameScores, this.getScoringRules());
+    if (this.showGameErrors(document.getElementById('match-games'), document.getElementById('match-games-error'), errors)) {
+      this.showToast('Please fix the scores shown in red', 'error');
       return;
     }
     
@@ -1086,29 +4545,40 @@ const UI = {
       this.showLoading();
       
       // Create match
-      await DB.createMatch({
+      const match = await DB.createMatch({
         roomId: this.currentRoom.id,
+        type: matchType,
         player1Id,
         player2Id,
-        player1Score,
-        player2Score,
-        notes
+        player1PartnerId,
+        player2PartnerId,
+        games: gameScores,
+        notes,
+        handicap,
+        ...(this.matchContext ? this.matchContext.matchData : {})
       });
       
       // Reset form
       document.getElementById('new-match-form').reset();
       
-      // Reload matches
+      // Reload players, matches and stats
+      await this.loadPlayers();
       await this.loadMatches();
-      
-      // Reload stats
       await this.loadStats();
       
+      // Return to the event the match was recorded for
+      const context = this.matchContext;
+      if (context) {
+        this.clearMatchContext();
+        this.setActiveTab(context.returnTab);
+      }
+      
       this.showToast('Match recorded successfully', 'success');
+      await this.showAchievementToasts(match.achievements);
       this.hideLoading();
     } catch (error) {
       console.error('Error recording match:', error);
-      this.showToast('Error recording match', 'error');
+      this.showToast(error.message || 'Error recording match', 'error');
       this.hideLoading();
     }
   },
@@ -1191,7 +4661,7 @@ const UI = {
         
         this.showLoading();
         
-        await DB.importData(data);
+        const violations = await ExportImport.importData(data);
         
         // Update room selector
         const rooms = await DB.getAllRooms();
@@ -1209,6 +4679,9 @@ const UI = {
         }
         
         this.showToast('Data imported successfully', 'success');
+        if (violations.length > 0) {
+          this.showToast(`${violations.length} imported match${violations.length === 1 ? '' : 'es'} break the room's scoring rules and are marked for review`, 'error');
+        }
         this.hideLoading();
         
         // Close the manage rooms modal if open
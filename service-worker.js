@@ -3,7 +3,7 @@
  * Enables offline functionality and PWA features
  */
 
-const CACHE_NAME = 'ping-pong-tracker-v1';
+const CACHE_NAME = 'ping-pong-tracker-v15';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
@@ -11,7 +11,21 @@ const ASSETS_TO_CACHE = [
   './js/app.js',
   './js/db.js',
   './js/ui.js',
+  './js/rating-systems.js',
   './js/stats.js',
+  './js/scoring.js',
+  './js/handicaps.js',
+  './js/predictions.js',
+  './js/rankings.js',
+  './js/charts.js',
+  './js/live-match.js',
+  './js/tournaments.js',
+  './js/leagues.js',
+  './js/swiss.js',
+  './js/ladder.js',
+  './js/king-of-table.js',
+  './js/seasons.js',
+  './js/achievements.js',
   './js/export-import.js',
   './manifest.json'
 ];